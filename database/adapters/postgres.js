@@ -0,0 +1,274 @@
+const path = require('path');
+const { Worker, MessageChannel, receiveMessageOnPort } = require('worker_threads');
+const { DatabaseError, ConstraintError, QuerySyntaxError, InvalidValueError } = require('../errors');
+
+// PostgreSQL adapter. The app's database API is synchronous and `pg` is not, so queries run
+// on one connection in a worker thread while this thread waits for the answer (Atomics.wait).
+// Every statement commits on the server as it runs; flush() has nothing to do.
+//
+// Queries are written for SQLite and translated here: ? and named parameters become $1..$n,
+// CURRENT_TIMESTAMP keeps SQLite's "YYYY-MM-DD HH:MM:SS" UTC text format (timestamps are
+// stored as text, as in SQLite), LIKE stays case-insensitive, "IS ?" stays NULL-safe, and
+// CREATE/ALTER TABLE get PostgreSQL column types. INSERTs return their row so lastInsertRowid works.
+
+const connectionString = process.env.DATABASE_URL;
+// Give up waiting for a query after this long
+const QUERY_TIMEOUT_MS = parseInt(process.env.DB_QUERY_TIMEOUT_MS) || 30000;
+// Distinct statements to keep translations of
+const TRANSLATION_CACHE_SIZE = 1000;
+
+const NOW_UTC = "(to_char(now() AT TIME ZONE 'UTC', 'YYYY-MM-DD HH24:MI:SS'))";
+const COLUMN_TYPES = {
+  DATETIME: 'TEXT',
+  BOOLEAN: 'INTEGER',
+  BLOB: 'BYTEA',
+  REAL: 'DOUBLE PRECISION'
+};
+
+let worker = null;
+let port = null;
+let signal = null;
+let lastRequestId = 0;
+const translations = new Map();
+
+// Send a request to the worker and block until it answers
+function call(request) {
+  if (!worker) {
+    throw new Error('Database is not initialized');
+  }
+
+  const id = ++lastRequestId;
+  const deadline = Date.now() + QUERY_TIMEOUT_MS;
+  port.postMessage({ id, ...request });
+
+  for (;;) {
+    // Reset before draining, so an answer posted after the drain still wakes the wait
+    Atomics.store(signal, 0, 0);
+
+    let entry;
+    while ((entry = receiveMessageOnPort(port))) {
+      // Answers to requests that already timed out are dropped
+      if (entry.message.id !== id) continue;
+
+      if (entry.message.error) {
+        throw Object.assign(new Error(entry.message.error.message), entry.message.error);
+      }
+      return entry.message.result;
+    }
+
+    const remaining = deadline - Date.now();
+    if (remaining <= 0 || Atomics.wait(signal, 0, 0, remaining) === 'timed-out') {
+      throw new Error(`Database query timed out after ${QUERY_TIMEOUT_MS} ms`);
+    }
+  }
+}
+
+// Rewrite a statement from SQLite's dialect, leaving string literals, quoted identifiers
+// and comments alone
+function translate(sql) {
+  if (translations.has(sql)) {
+    return translations.get(sql);
+  }
+
+  const isTableDefinition = /^\s*(CREATE|ALTER)\s+TABLE\b/i.test(sql);
+  const source = isTableDefinition
+    ? sql.replace(/\bINTEGER\s+PRIMARY\s+KEY\s+AUTOINCREMENT\b/gi, 'SERIAL PRIMARY KEY')
+    : sql;
+
+  let text = '';
+  let parameter = 0;
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+    const rest = source.slice(i);
+    let token;
+
+    if (char === "'" || char === '"') {
+      // Quotes are escaped by doubling them
+      let end = i + 1;
+      while (end < source.length && (source[end] !== char || source[end + 1] === char)) {
+        end += source[end] === char ? 2 : 1;
+      }
+      token = source.slice(i, end + 1);
+      text += token;
+    } else if (rest.startsWith('--') || rest.startsWith('/*')) {
+      const end = rest.startsWith('--') ? rest.indexOf('\n') : rest.indexOf('*/');
+      token = end === -1 ? rest : rest.slice(0, rest.startsWith('--') ? end : end + 2);
+      text += token;
+    } else if (char === '?' || /^[@:$][A-Za-z_]/.test(rest)) {
+      token = char === '?' ? char : /^[@:$]\w+/.exec(rest)[0];
+      text += `$${++parameter}`;
+      // A parameter that is only tested for NULL has no type PostgreSQL can infer
+      if (/^\s+IS\s+(NOT\s+)?NULL\b/i.test(rest.slice(token.length))) {
+        text += '::text';
+      }
+    } else if (/[A-Za-z_]/.test(char)) {
+      token = /^\w+/.exec(rest)[0];
+      const word = token.toUpperCase();
+
+      const comparison = /^IS(\s+NOT)?\s+(?=\?|[@:$][A-Za-z_])/i.exec(rest);
+
+      if (comparison) {
+        // SQLite's "IS ?" compares NULLs as equal
+        token = comparison[0];
+        text += comparison[1] ? 'IS DISTINCT FROM ' : 'IS NOT DISTINCT FROM ';
+      } else if (word === 'CURRENT_TIMESTAMP') {
+        text += NOW_UTC;
+      } else if (word === 'LIKE') {
+        text += 'ILIKE';
+      } else if (isTableDefinition && COLUMN_TYPES[word]) {
+        text += COLUMN_TYPES[word];
+      } else {
+        text += token;
+      }
+    } else {
+      token = char;
+      text += char;
+    }
+
+    i += token.length;
+  }
+
+  if (translations.size >= TRANSLATION_CACHE_SIZE) {
+    translations.clear();
+  }
+  translations.set(sql, text);
+  return text;
+}
+
+const CONSTRAINTS = {
+  '23505': 'unique',
+  '23503': 'foreign_key',
+  '23502': 'not_null',
+  '23514': 'check'
+};
+
+// Errors from the server carry a SQLSTATE code
+function translateError(error, sql) {
+  const code = String(error.code || '');
+
+  if (CONSTRAINTS[code]) {
+    return new ConstraintError(CONSTRAINTS[code], { cause: error, sql });
+  }
+  // Class 42: syntax error or access rule violation (undefined table, column, function...)
+  if (code.startsWith('42')) {
+    return new QuerySyntaxError(error.message, { cause: error, sql });
+  }
+  // Class 22: data exception (a value that doesn't fit its type)
+  if (code.startsWith('22')) {
+    return new InvalidValueError(error.message, { cause: error, sql });
+  }
+  return new DatabaseError(error.message, { cause: error, sql });
+}
+
+function query(sql, params) {
+  return call({ sql: translate(sql), params });
+}
+
+async function init() {
+  if (worker) return;
+
+  if (!connectionString) {
+    throw new Error('DATABASE_URL must be set when DB_CLIENT=postgres');
+  }
+
+  const channel = new MessageChannel();
+  signal = new Int32Array(new SharedArrayBuffer(4));
+  port = channel.port1;
+  port.unref();
+
+  worker = new Worker(path.join(__dirname, 'postgresWorker.js'), {
+    workerData: { connectionString, signal, port: channel.port2 },
+    transferList: [channel.port2]
+  });
+  // Queries are answered while this thread waits, so the worker never needs to keep the process alive
+  worker.unref();
+  worker.on('error', error => {
+    console.error('Database worker error:', error);
+  });
+
+  try {
+    call({ type: 'connect' });
+  } catch (error) {
+    close();
+    throw error;
+  }
+}
+
+function get(sql, params) {
+  return query(sql, params).rows[0];
+}
+
+function all(sql, params) {
+  return query(sql, params).rows;
+}
+
+function run(sql, params) {
+  let text = translate(sql);
+  if (/^\s*INSERT\b/i.test(text) && !/\bRETURNING\b/i.test(text)) {
+    text = `${text.replace(/[\s;]+$/, '')} RETURNING *`;
+  }
+
+  const { rows, rowCount } = call({ sql: text, params });
+  return {
+    changes: rowCount,
+    lastInsertRowid: rows[rows.length - 1]?.id || 0
+  };
+}
+
+// One or more statements without parameters
+function exec(sql) {
+  call({ sql: translate(sql), params: [] });
+}
+
+// Foreign keys are always enforced, and SQLite's other pragmas have no equivalent here
+function pragma() {}
+
+function tableExists(name) {
+  return Boolean(get('SELECT 1 FROM information_schema.tables WHERE table_schema = current_schema() AND table_name = ?', [name]));
+}
+
+function begin() {
+  call({ sql: 'BEGIN', params: [] });
+}
+
+function commit() {
+  call({ sql: 'COMMIT', params: [] });
+}
+
+function rollback() {
+  call({ sql: 'ROLLBACK', params: [] });
+}
+
+function flush() {}
+
+// Disconnect and stop the worker; used on shutdown
+function close() {
+  if (!worker) return;
+
+  try {
+    call({ type: 'close' });
+  } catch (error) {
+    console.error('Database close error:', error);
+  }
+  worker.terminate();
+  worker = null;
+}
+
+module.exports = {
+  dialect: 'postgres',
+  init,
+  get,
+  all,
+  run,
+  exec,
+  pragma,
+  tableExists,
+  begin,
+  commit,
+  rollback,
+  translateError,
+  flush,
+  close
+};
@@ -0,0 +1,77 @@
+const { workerData } = require('worker_threads');
+const { Client, types } = require('pg');
+
+// Runs queries for the PostgreSQL adapter (see postgres.js). Each answer is posted back and
+// then signalled, which wakes the waiting thread.
+
+const { connectionString, signal, port } = workerData;
+
+// Return values the way sql.js does: counts and sums as numbers, booleans as 1/0, dates as text
+types.setTypeParser(types.builtins.INT8, value => parseInt(value));
+types.setTypeParser(types.builtins.NUMERIC, value => parseFloat(value));
+types.setTypeParser(types.builtins.BOOL, value => (value === 't' ? 1 : 0));
+types.setTypeParser(types.builtins.DATE, value => value);
+types.setTypeParser(types.builtins.TIMESTAMP, value => value);
+types.setTypeParser(types.builtins.TIMESTAMPTZ, value => value);
+
+let client = null;
+
+async function connect() {
+  if (client) return client;
+
+  const connecting = new Client({ connectionString });
+  // A dropped connection is replaced on the next query
+  connecting.on('error', error => {
+    console.error('PostgreSQL connection error:', error.message);
+    if (client === connecting) {
+      client = null;
+    }
+  });
+  await connecting.connect();
+  client = connecting;
+  return client;
+}
+
+// sql.js binds booleans as 1/0, and blobs arrive here as plain Uint8Arrays
+function toPostgresParam(param) {
+  if (typeof param === 'boolean') return param ? 1 : 0;
+  if (param instanceof Uint8Array) return Buffer.from(param);
+  return param;
+}
+
+async function handle({ type, sql, params }) {
+  if (type === 'close') {
+    if (client) {
+      await client.end();
+      client = null;
+    }
+    return null;
+  }
+
+  const connection = await connect();
+  if (type === 'connect') return null;
+
+  // Without parameters the simple protocol is used, which allows several statements
+  const result = params.length > 0
+    ? await connection.query(sql, params.map(toPostgresParam))
+    : await connection.query(sql);
+  const last = Array.isArray(result) ? result[result.length - 1] : result;
+
+  return { rows: last.rows, rowCount: last.rowCount || 0 };
+}
+
+port.on('message', async request => {
+  let reply;
+  try {
+    reply = { id: request.id, result: await handle(request) };
+  } catch (error) {
+    reply = {
+      id: request.id,
+      error: { message: error.message, code: error.code, detail: error.detail }
+    };
+  }
+
+  port.postMessage(reply);
+  Atomics.store(signal, 0, 1);
+  Atomics.notify(signal, 0);
+});
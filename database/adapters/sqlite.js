@@ -0,0 +1,508 @@
+const initSqlJs = require('sql.js');
+const fs = require('fs');
+const path = require('path');
+const { DatabaseError, ConstraintError, QuerySyntaxError, InvalidValueError, DatabaseLockedError } = require('../errors');
+
+// sql.js adapter: the whole database lives in memory in this process.
+//
+// Persistence: the database file is a full snapshot, and every committed change since is
+// appended to the journal and fsync'd before the write returns, so a crash loses nothing.
+// Snapshots are written in the background (debounced) to a temp file that is renamed into
+// place, so the file on disk is always complete. Each snapshot bumps PRAGMA user_version and
+// the journal's first line records the version it applies on top of, so changes already in
+// a snapshot are never replayed twice.
+//
+// Replay re-runs the journaled SQL, so CURRENT_TIMESTAMP defaults get the replay time.
+//
+// Only one process may have the database open, or each would overwrite the other's
+// snapshots: opening it takes a lock file holding the owner's pid, and a second server or CLI
+// (migrate, seed, restore, ...) fails until the owner closes it or exits. A lock left by a
+// process that is no longer running is taken over.
+//
+// Backups are full copies of the database. In the process that owns it they are exported
+// from memory; any other process (the backup CLI next to a running server) reads the file
+// and journal without writing to either, and without taking the lock.
+
+const dbPath = process.env.DATABASE_PATH || path.join(__dirname, '..', 'social_media.db');
+// Not "-journal": that name belongs to SQLite itself, and the sqlite3 CLI would discard ours
+const journalPath = `${dbPath}.journal`;
+const lockPath = `${dbPath}.lock`;
+
+// Snapshot this long after the last write, and at least this often under constant writes
+const SAVE_DELAY_MS = parseInt(process.env.DB_SAVE_DELAY_MS) || 1000;
+const SAVE_MAX_DELAY_MS = parseInt(process.env.DB_SAVE_MAX_DELAY_MS) || 10000;
+
+let db = null;
+let SQL = null;
+let initialized = false;
+// export() ends any open transaction, so saving is deferred until COMMIT
+let inTransaction = false;
+// Statements of the open transaction, journaled together on COMMIT
+let transactionStatements = [];
+let journalFd = null;
+let generation = 0;
+let dirty = false;
+let saveTimer = null;
+let firstUnsavedAt = null;
+let lockHeld = false;
+
+function fsyncPath(target) {
+  const fd = fs.openSync(target, 'r');
+  try {
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Some platforms can't fsync a directory; the rename is still atomic
+    if (!['EISDIR', 'EINVAL', 'EPERM'].includes(error.code)) throw error;
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+// Write a file so that it either fully replaces `target` or leaves it untouched
+function writeFileAtomic(target, data) {
+  const tempPath = `${target}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, data);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tempPath, target);
+  fsyncPath(path.dirname(target));
+}
+
+// Blobs don't survive JSON as-is
+function encodeParams(params) {
+  return params.map(param => (param instanceof Uint8Array ? { $blob: Buffer.from(param).toString('base64') } : param));
+}
+
+function decodeParams(params) {
+  return params.map(param => (param && param.$blob !== undefined ? new Uint8Array(Buffer.from(param.$blob, 'base64')) : param));
+}
+
+// Start an empty journal for the current snapshot generation
+function resetJournal() {
+  if (journalFd !== null) {
+    fs.closeSync(journalFd);
+  }
+  writeFileAtomic(journalPath, `${JSON.stringify({ generation })}\n`);
+  journalFd = fs.openSync(journalPath, 'a');
+}
+
+function appendJournal(statements) {
+  fs.writeSync(journalFd, `${JSON.stringify({ statements })}\n`);
+  fs.fsyncSync(journalFd);
+}
+
+function userVersion(database) {
+  return database.exec('PRAGMA user_version')[0].values[0][0];
+}
+
+// Re-apply changes that were journaled after the snapshot of `snapshotGeneration` was written
+function replayJournal(database, snapshotGeneration) {
+  if (!fs.existsSync(journalPath)) return 0;
+
+  const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+  let header;
+  try {
+    header = JSON.parse(lines[0]);
+  } catch (error) {
+    return 0;
+  }
+
+  // Written before the current snapshot, which already contains these changes
+  if (header.generation !== snapshotGeneration) return 0;
+
+  let replayed = 0;
+
+  for (const line of lines.slice(1)) {
+    if (!line) continue;
+
+    let entry;
+    try {
+      entry = JSON.parse(line);
+    } catch (error) {
+      // A crash mid-append leaves a partial last line; that write never returned
+      console.warn('Ignoring incomplete database journal entry');
+      break;
+    }
+
+    database.run('BEGIN TRANSACTION');
+    try {
+      // exec() calls may hold several statements, which only run unprepared (no params)
+      entry.statements.forEach(([sql, params]) => (
+        params.length > 0 ? database.run(sql, decodeParams(params)) : database.run(sql)
+      ));
+      database.run('COMMIT');
+    } catch (error) {
+      database.run('ROLLBACK');
+      throw error;
+    }
+    replayed++;
+  }
+
+  return replayed;
+}
+
+function isRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    // EPERM: it exists but belongs to another user
+    return error.code === 'EPERM';
+  }
+}
+
+// Take the lock file, or throw if a running process holds it
+function acquireLock() {
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      fs.writeFileSync(lockPath, String(process.pid), { flag: 'wx' });
+      lockHeld = true;
+      return;
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+
+    let owner;
+    try {
+      owner = parseInt(fs.readFileSync(lockPath, 'utf8'));
+    } catch (error) {
+      // Released in the meantime
+      if (error.code === 'ENOENT') continue;
+      throw error;
+    }
+
+    // Our own pid means a previous run with it (a restarted container) didn't clean up
+    if (owner && owner !== process.pid && isRunning(owner)) {
+      throw new DatabaseLockedError(`Database ${dbPath} is in use by process ${owner}; stop it first`);
+    }
+
+    console.warn(`Removing stale database lock left by process ${owner || 'unknown'}`);
+    fs.rmSync(lockPath, { force: true });
+  }
+
+  throw new DatabaseLockedError(`Could not lock database ${dbPath}`);
+}
+
+function releaseLock() {
+  if (!lockHeld) return;
+  lockHeld = false;
+  fs.rmSync(lockPath, { force: true });
+}
+
+// Initialize the database
+async function initDb() {
+  if (initialized) return;
+  
+  acquireLock();
+  SQL = SQL || await initSqlJs();
+  
+  // Load existing database or create new
+  if (fs.existsSync(dbPath)) {
+    const fileBuffer = fs.readFileSync(dbPath);
+    db = new SQL.Database(fileBuffer);
+  } else {
+    db = new SQL.Database();
+  }
+  
+  // Enable foreign keys
+  db.run('PRAGMA foreign_keys = ON');
+  generation = userVersion(db);
+
+  const replayed = replayJournal(db, generation);
+  initialized = true;
+
+  if (replayed > 0) {
+    console.log(`Recovered ${replayed} journaled database changes`);
+    dirty = true;
+    saveDb();
+  } else {
+    resetJournal();
+  }
+}
+
+// Write a snapshot of the database to file and start a fresh journal
+function saveDb() {
+  if (!db || inTransaction || !dirty) return;
+
+  clearTimeout(saveTimer);
+  saveTimer = null;
+  firstUnsavedAt = null;
+
+  generation++;
+  db.run(`PRAGMA user_version = ${generation}`);
+  const data = db.export();
+  // export() resets connection pragmas, which would silently disable ON DELETE CASCADE
+  db.run('PRAGMA foreign_keys = ON');
+
+  writeFileAtomic(dbPath, Buffer.from(data));
+  resetJournal();
+  dirty = false;
+}
+
+// Snapshot shortly after writes stop, without waiting forever under constant writes
+function scheduleSave() {
+  const now = Date.now();
+  dirty = true;
+
+  if (firstUnsavedAt === null) {
+    firstUnsavedAt = now;
+  }
+
+  clearTimeout(saveTimer);
+  const delay = Math.max(0, Math.min(SAVE_DELAY_MS, firstUnsavedAt + SAVE_MAX_DELAY_MS - now));
+  saveTimer = setTimeout(() => {
+    try {
+      saveDb();
+    } catch (error) {
+      // The journal still holds every change, so nothing is lost; try again on the next write
+      console.error('Database snapshot error:', error);
+    }
+  }, delay);
+}
+
+// Journal a successful write (or hold it until its transaction commits)
+function recordWrite(sql, params) {
+  if (inTransaction) {
+    transactionStatements.push([sql, encodeParams(params)]);
+    return;
+  }
+  appendJournal([[sql, encodeParams(params)]]);
+  scheduleSave();
+}
+
+// Write any pending changes to the database file now
+function flush() {
+  if (initialized) {
+    saveDb();
+  }
+}
+
+// Flush, stop journaling and release the lock; used on shutdown
+function close() {
+  flush();
+  clearTimeout(saveTimer);
+  if (journalFd !== null) {
+    fs.closeSync(journalFd);
+    journalFd = null;
+  }
+  releaseLock();
+}
+
+// The database as the file and journal on disk hold it. The snapshot is read first: if the
+// owner replaces both in between, the new journal doesn't match the old snapshot and is
+// skipped, which still gives a consistent (slightly older) copy.
+async function readFromDisk() {
+  SQL = SQL || await initSqlJs();
+
+  const database = fs.existsSync(dbPath) ? new SQL.Database(fs.readFileSync(dbPath)) : new SQL.Database();
+  replayJournal(database, userVersion(database));
+  return database;
+}
+
+// Write a consistent copy of the database to `target`
+async function backup(target) {
+  let data;
+
+  if (initialized) {
+    // export() would end the transaction
+    if (inTransaction) {
+      throw new Error('Cannot back up the database during a transaction');
+    }
+    data = db.export();
+    db.run('PRAGMA foreign_keys = ON');
+  } else {
+    const database = await readFromDisk();
+    data = database.export();
+    database.close();
+  }
+
+  writeFileAtomic(target, Buffer.from(data));
+}
+
+// Check that a backup opens and passes SQLite's integrity check. Returns the problems found
+// and the latest migration the backup has.
+async function verifyBackup(source) {
+  SQL = SQL || await initSqlJs();
+
+  let database = null;
+  try {
+    database = new SQL.Database(fs.readFileSync(source));
+    const problems = database.exec('PRAGMA integrity_check')[0].values
+      .map(([message]) => message)
+      .filter(message => message !== 'ok');
+
+    const hasMigrations = database.exec("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'schema_migrations'").length > 0;
+    if (!hasMigrations) {
+      problems.push('No schema_migrations table; not a database of this app');
+    }
+    const schemaVersion = hasMigrations
+      ? database.exec('SELECT MAX(version) FROM schema_migrations')[0].values[0][0]
+      : null;
+
+    return { problems, schemaVersion };
+  } catch (error) {
+    // Not a database at all ("file is not a database") or truncated
+    return { problems: [error.message], schemaVersion: null };
+  } finally {
+    if (database) {
+      database.close();
+    }
+  }
+}
+
+// Replace the database with a backup and snapshot it. The new generation is past both the
+// current one and the backup's, so no existing journal can be replayed onto it.
+function restore(source) {
+  if (!initialized) {
+    throw new Error('Database is not initialized');
+  }
+  if (inTransaction) {
+    throw new Error('Cannot restore the database during a transaction');
+  }
+
+  const restored = new SQL.Database(fs.readFileSync(source));
+  restored.run('PRAGMA foreign_keys = ON');
+
+  db.close();
+  db = restored;
+  generation = Math.max(generation, userVersion(db));
+  dirty = true;
+  saveDb();
+}
+
+const CONSTRAINTS = {
+  UNIQUE: 'unique',
+  'FOREIGN KEY': 'foreign_key',
+  'NOT NULL': 'not_null',
+  CHECK: 'check'
+};
+
+// sql.js errors only carry SQLite's message, so they are told apart by it
+function translateError(error, sql) {
+  const message = error.message || String(error);
+  const constraint = /^(UNIQUE|FOREIGN KEY|NOT NULL|CHECK) constraint failed/.exec(message);
+
+  if (constraint) {
+    return new ConstraintError(CONSTRAINTS[constraint[1]], { cause: error, sql });
+  }
+  if (/syntax error|incomplete input|no such (table|column|function)|has no column named/.test(message)) {
+    return new QuerySyntaxError(message, { cause: error, sql });
+  }
+  if (/datatype mismatch|too big/.test(message)) {
+    return new InvalidValueError(message, { cause: error, sql });
+  }
+  return new DatabaseError(message, { cause: error, sql });
+}
+
+function lastInsertRowid() {
+  const lastId = db.exec('SELECT last_insert_rowid() as id');
+  return lastId[0]?.values[0]?.[0] || 0;
+}
+
+// First row of a query, or undefined
+function get(sql, params) {
+  const stmt = db.prepare(sql);
+  try {
+    if (params.length > 0) {
+      stmt.bind(params);
+    }
+    return stmt.step() ? stmt.getAsObject() : undefined;
+  } finally {
+    stmt.free();
+  }
+}
+
+function all(sql, params) {
+  const stmt = db.prepare(sql);
+  const results = [];
+  try {
+    if (params.length > 0) {
+      stmt.bind(params);
+    }
+    while (stmt.step()) {
+      results.push(stmt.getAsObject());
+    }
+  } finally {
+    stmt.free();
+  }
+  return results;
+}
+
+function run(sql, params) {
+  db.run(sql, params);
+  const changes = db.getRowsModified();
+  const rowid = lastInsertRowid();
+  recordWrite(sql, params);
+  return { changes, lastInsertRowid: rowid };
+}
+
+// One or more statements without parameters
+function exec(sql) {
+  db.run(sql);
+  recordWrite(sql, []);
+}
+
+function pragma(statement) {
+  db.run(`PRAGMA ${statement}`);
+}
+
+function tableExists(name) {
+  return Boolean(get("SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?", [name]));
+}
+
+function begin() {
+  db.run('BEGIN TRANSACTION');
+  inTransaction = true;
+  transactionStatements = [];
+}
+
+function commit() {
+  db.run('COMMIT');
+  inTransaction = false;
+  if (transactionStatements.length > 0) {
+    appendJournal(transactionStatements);
+    scheduleSave();
+  }
+  transactionStatements = [];
+}
+
+function rollback() {
+  inTransaction = false;
+  transactionStatements = [];
+  db.run('ROLLBACK');
+}
+
+// Scripts and crashes that still reach process exit keep their last changes in the file
+// (they are in the journal either way)
+process.once('exit', () => {
+  try {
+    flush();
+  } catch (error) {
+    console.error('Database flush error:', error);
+  }
+  releaseLock();
+});
+
+module.exports = {
+  dialect: 'sqlite',
+  init: initDb,
+  get,
+  all,
+  run,
+  exec,
+  pragma,
+  tableExists,
+  begin,
+  commit,
+  rollback,
+  translateError,
+  backup,
+  verifyBackup,
+  restore,
+  flush,
+  close
+};
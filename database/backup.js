@@ -0,0 +1,59 @@
+require('dotenv').config();
+const db = require('./db');
+const { BACKUP_DIR, listBackups, verifyBackup, createBackup, restoreBackup } = require('../services/backups');
+const { status } = require('./migrator');
+
+// Backup CLI (SQLite; files go to BACKUP_DIR):
+//   npm run backup                      copy the database and verify the copy; safe while the server runs
+//   npm run list-backups                list backups, newest first
+//   npm run verify-backup -- <name>     check a backup's checksum and integrity
+//   npm run restore -- <name>           replace the database with a backup; refuses to run while the
+//                                       server has the database open, and backs up the current data first
+
+function printBackup(backup) {
+  const { verification } = backup;
+  const state = !verification ? 'unverified' : (verification.ok ? 'ok' : `FAILED: ${verification.problems.join('; ')}`);
+  console.log(`${backup.name}  ${backup.created_at}  ${backup.size} bytes  ${state}`);
+}
+
+async function main() {
+  const [command = 'backup', name] = process.argv.slice(2);
+
+  if (command === 'backup') {
+    // The database is read from disk rather than opened, so a running server keeps it
+    const backup = await createBackup('manual');
+    printBackup(backup);
+    if (!backup.verification.ok) {
+      process.exitCode = 1;
+    }
+  } else if (command === 'list-backups') {
+    const backups = listBackups();
+    backups.forEach(printBackup);
+    console.log(`${backups.length} backup(s) in ${BACKUP_DIR}`);
+  } else if (command === 'verify') {
+    if (!name) throw new Error('Name the backup to verify');
+    const verification = await verifyBackup(name);
+    console.log(verification.ok ? `${name} is ok (schema version ${verification.schema_version})` : `${name} FAILED: ${verification.problems.join('; ')}`);
+    if (!verification.ok) {
+      process.exitCode = 1;
+    }
+  } else if (command === 'restore') {
+    if (!name) throw new Error('Name the backup to restore');
+    await db.ensureReady();
+    const { restored, safetyBackup } = await restoreBackup(name);
+    console.log(`Restored ${restored.name}; the previous data is in ${safetyBackup.name}`);
+
+    const { pending } = status();
+    if (pending.length > 0) {
+      console.log(`${pending.length} migration(s) pending; run "npm run migrate" before starting the server`);
+    }
+    db.close();
+  } else {
+    throw new Error(`Unknown command "${command}" (use backup, list-backups, verify or restore)`);
+  }
+}
+
+main().catch(err => {
+  console.error('Backup failed:', err.message);
+  process.exit(1);
+});
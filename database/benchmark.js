@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+// Write throughput of the database layer against the previous approach of exporting and
+// rewriting the whole file after every statement. Runs on a throwaway database:
+//
+//   npm run bench-db [-- <writes> <existing rows>]
+
+const WRITES = parseInt(process.argv[2]) || 500;
+const EXISTING_ROWS = parseInt(process.argv[3]) || 20000;
+
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'socialai-bench-'));
+const dbPath = path.join(workDir, 'bench.db');
+
+const SCHEMA = `
+  CREATE TABLE analytics (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    platform TEXT NOT NULL,
+    likes INTEGER,
+    impressions INTEGER,
+    recorded_at DATETIME
+  )
+`;
+const INSERT = 'INSERT INTO analytics (platform, likes, impressions, recorded_at) VALUES (?, ?, ?, ?)';
+
+const row = i => ['twitter', i % 500, i * 10, new Date().toISOString()];
+
+// A database of realistic size, so each full export has real work to do
+async function createDatabase() {
+  const SQL = await initSqlJs();
+  const db = new SQL.Database();
+  db.run(SCHEMA);
+  db.run('BEGIN TRANSACTION');
+  for (let i = 0; i < EXISTING_ROWS; i++) {
+    db.run(INSERT, row(i));
+  }
+  db.run('COMMIT');
+  fs.writeFileSync(dbPath, Buffer.from(db.export()));
+  db.close();
+  return SQL;
+}
+
+function report(name, writes, elapsedMs) {
+  const perSecond = Math.round(writes / (elapsedMs / 1000));
+  console.log(`${name.padEnd(38)} ${String(writes).padStart(6)} writes  ${elapsedMs.toFixed(0).padStart(7)} ms  ${String(perSecond).padStart(8)} writes/s`);
+  return perSecond;
+}
+
+// The old db.js: db.export() and writeFileSync() after every statement
+function benchmarkFullExport(SQL) {
+  const db = new SQL.Database(fs.readFileSync(dbPath));
+  const started = process.hrtime.bigint();
+
+  for (let i = 0; i < WRITES; i++) {
+    db.run(INSERT, row(i));
+    fs.writeFileSync(dbPath, Buffer.from(db.export()));
+  }
+
+  const elapsed = Number(process.hrtime.bigint() - started) / 1e6;
+  db.close();
+  return report('full export per statement (before)', WRITES, elapsed);
+}
+
+async function benchmarkJournal() {
+  process.env.DB_CLIENT = 'sqlite';
+  process.env.DATABASE_PATH = dbPath;
+  const db = require('./db');
+  await db.ensureReady();
+
+  const insert = db.prepare(INSERT);
+
+  let started = process.hrtime.bigint();
+  for (let i = 0; i < WRITES; i++) {
+    insert.run(...row(i));
+  }
+  db.flush();
+  const single = report('journal per statement (after)', WRITES, Number(process.hrtime.bigint() - started) / 1e6);
+
+  started = process.hrtime.bigint();
+  db.transaction(() => {
+    for (let i = 0; i < WRITES; i++) {
+      insert.run(...row(i));
+    }
+  })();
+  db.flush();
+  const batched = report('journal, one transaction (after)', WRITES, Number(process.hrtime.bigint() - started) / 1e6);
+
+  db.close();
+  return { single, batched };
+}
+
+async function main() {
+  console.log(`Database with ${EXISTING_ROWS} existing rows, ${WRITES} inserts per run\n`);
+
+  const SQL = await createDatabase();
+  console.log(`Database file: ${(fs.statSync(dbPath).size / 1024).toFixed(0)} KB\n`);
+
+  const before = benchmarkFullExport(SQL);
+  const { single, batched } = await benchmarkJournal();
+
+  console.log(`\nPer-statement writes: ${(single / before).toFixed(1)}x faster; batched: ${(batched / before).toFixed(1)}x faster`);
+}
+
+main()
+  .catch(error => {
+    console.error('Benchmark failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  });
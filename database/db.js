@@ -1,38 +1,32 @@
-const initSqlJs = require('sql.js');
-const fs = require('fs');
-const path = require('path');
-
-const dbPath = process.env.DATABASE_PATH || path.join(__dirname, 'social_media.db');
-
-let db = null;
-let SQL = null;
-let initialized = false;
-
-// Initialize the database
-async function initDb() {
-  if (initialized) return;
-  
-  SQL = await initSqlJs();
-  
-  // Load existing database or create new
-  if (fs.existsSync(dbPath)) {
-    const fileBuffer = fs.readFileSync(dbPath);
-    db = new SQL.Database(fileBuffer);
-  } else {
-    db = new SQL.Database();
-  }
-  
-  // Enable foreign keys
-  db.run('PRAGMA foreign_keys = ON');
-  initialized = true;
+// Database access for the app. Routes and services use the synchronous
+// prepare().get/all/run API below; the storage behind it is an adapter picked with DB_CLIENT:
+//
+//   sqlite    (default) sql.js in memory, persisted to DATABASE_PATH - one process at a time (a lock file enforces it)
+//   postgres  PostgreSQL at DATABASE_URL, for running several server processes
+//
+// Queries are written in SQLite's dialect; the PostgreSQL adapter translates them. Failing
+// statements throw the typed errors in errors.js. backup/verifyBackup/restore are only
+// provided by the SQLite adapter (see services/backups.js).
+
+const ADAPTERS = {
+  sqlite: './adapters/sqlite',
+  postgres: './adapters/postgres'
+};
+
+const client = process.env.DB_CLIENT || 'sqlite';
+if (!ADAPTERS[client]) {
+  throw new Error(`Unknown DB_CLIENT "${client}" (use ${Object.keys(ADAPTERS).join(' or ')})`);
 }
 
-// Save database to file
-function saveDb() {
-  if (db) {
-    const data = db.export();
-    const buffer = Buffer.from(data);
-    fs.writeFileSync(dbPath, buffer);
+const adapter = require(ADAPTERS[client]);
+const errors = require('./errors');
+
+// Run a statement through the adapter, turning driver errors into typed ones (errors.js)
+function execute(sql, fn) {
+  try {
+    return fn();
+  } catch (error) {
+    throw error instanceof errors.DatabaseError ? error : adapter.translateError(error, sql);
   }
 }
 
@@ -44,113 +38,85 @@ class StatementWrapper {
 
   _convertParams(params) {
     if (params.length === 0) return [];
-    if (params.length === 1 && typeof params[0] === 'object' && !Array.isArray(params[0])) {
+    if (params.length === 1 && params[0] !== null && typeof params[0] === 'object' && !Array.isArray(params[0])) {
       // Named parameters - convert to positional
       const obj = params[0];
       const namedParams = this.sql.match(/[@:$]\w+/g) || [];
       return namedParams.map(param => {
         const key = param.substring(1);
-        return obj[key];
+        return obj[key] === undefined ? null : obj[key];
       });
     }
-    return params;
+    // Drivers refuse to bind undefined, so treat it as NULL
+    return params.map(param => param === undefined ? null : param);
   }
 
   run(...params) {
-    const convertedParams = this._convertParams(params);
-    db.run(this.sql, convertedParams);
-    saveDb();
-    const lastId = db.exec('SELECT last_insert_rowid() as id');
-    return { 
-      changes: db.getRowsModified(), 
-      lastInsertRowid: lastId[0]?.values[0]?.[0] || 0 
-    };
+    return execute(this.sql, () => adapter.run(this.sql, this._convertParams(params)));
   }
 
   get(...params) {
-    const convertedParams = this._convertParams(params);
-    try {
-      const stmt = db.prepare(this.sql);
-      if (convertedParams.length > 0) {
-        stmt.bind(convertedParams);
-      }
-      if (stmt.step()) {
-        const row = stmt.getAsObject();
-        stmt.free();
-        return row;
-      }
-      stmt.free();
-      return undefined;
-    } catch (e) {
-      console.error('Error in get:', e.message, this.sql);
-      return undefined;
-    }
+    return execute(this.sql, () => adapter.get(this.sql, this._convertParams(params)));
   }
 
   all(...params) {
-    const convertedParams = this._convertParams(params);
-    const results = [];
-    try {
-      const stmt = db.prepare(this.sql);
-      if (convertedParams.length > 0) {
-        stmt.bind(convertedParams);
-      }
-      while (stmt.step()) {
-        results.push(stmt.getAsObject());
-      }
-      stmt.free();
-    } catch (e) {
-      console.error('Error in all:', e.message, this.sql);
-    }
-    return results;
+    return execute(this.sql, () => adapter.all(this.sql, this._convertParams(params)));
   }
 }
 
 // Database wrapper
 const dbWrapper = {
+  dialect: adapter.dialect,
+
   prepare(sql) {
     return new StatementWrapper(sql);
   },
-  
+
   exec(sql) {
-    db.run(sql);
-    saveDb();
+    execute(sql, () => adapter.exec(sql));
   },
-  
+
   run(sql, params = []) {
-    db.run(sql, params);
-    saveDb();
-    const lastId = db.exec('SELECT last_insert_rowid() as id');
-    return { 
-      changes: db.getRowsModified(), 
-      lastInsertRowid: lastId[0]?.values[0]?.[0] || 0 
-    };
+    return execute(sql, () => adapter.run(sql, params));
   },
-  
+
   pragma(statement) {
-    db.run(`PRAGMA ${statement}`);
+    adapter.pragma(statement);
+  },
+
+  tableExists(name) {
+    return adapter.tableExists(name);
   },
-  
+
   transaction(fn) {
     return (...args) => {
-      db.run('BEGIN TRANSACTION');
+      execute('BEGIN', () => adapter.begin());
       try {
         const result = fn(...args);
-        db.run('COMMIT');
-        saveDb();
+        execute('COMMIT', () => adapter.commit());
         return result;
       } catch (e) {
-        db.run('ROLLBACK');
+        adapter.rollback();
         throw e;
       }
     };
   }
 };
 
-// Initialize on module load
-const readyPromise = initDb();
+// Initialized on the first ensureReady(), so a process can take backups without opening
+// (and taking over) the database
+let readyPromise = null;
 
 module.exports = dbWrapper;
-module.exports.ensureReady = () => readyPromise;
-module.exports.saveDb = saveDb;
-module.exports.initDb = initDb;
+module.exports.ensureReady = () => {
+  readyPromise = readyPromise || adapter.init();
+  return readyPromise;
+};
+module.exports.saveDb = adapter.flush;
+module.exports.flush = adapter.flush;
+module.exports.close = adapter.close;
+module.exports.initDb = adapter.init;
+module.exports.backup = adapter.backup;
+module.exports.verifyBackup = adapter.verifyBackup;
+module.exports.restore = adapter.restore;
+module.exports.errors = errors;
@@ -0,0 +1,71 @@
+require('dotenv').config();
+const db = require('./db');
+const { encryptToken, decryptToken, needsReencryption } = require('../services/tokenCrypto');
+
+// Encrypt plaintext social account tokens, two-factor secrets and webhook secrets, and re-encrypt
+// values written under an older key, so a rotated-out key can be removed from TOKEN_ENCRYPTION_KEYS
+async function encryptTokens() {
+  await db.ensureReady();
+
+  if (!process.env.TOKEN_ENCRYPTION_KEYS) {
+    throw new Error('TOKEN_ENCRYPTION_KEYS is not set');
+  }
+
+  const accounts = db.prepare('SELECT id, access_token, refresh_token FROM social_accounts').all();
+
+  const updateTokens = db.prepare(`
+    UPDATE social_accounts SET access_token = ?, refresh_token = ? WHERE id = ?
+  `);
+
+  const reencrypt = db.transaction(rows => {
+    let updated = 0;
+
+    for (const account of rows) {
+      if (!needsReencryption(account.access_token) && !needsReencryption(account.refresh_token)) {
+        continue;
+      }
+
+      updateTokens.run(
+        encryptToken(decryptToken(account.access_token)),
+        encryptToken(decryptToken(account.refresh_token)),
+        account.id
+      );
+      updated++;
+    }
+
+    return updated;
+  });
+
+  const updated = reencrypt(accounts);
+
+  console.log(`Checked ${accounts.length} social accounts, re-encrypted ${updated}`);
+
+  // Two-factor secrets use the same keyring
+  const users = db.prepare('SELECT id, two_factor_secret FROM users WHERE two_factor_secret IS NOT NULL').all();
+  const updateSecret = db.prepare('UPDATE users SET two_factor_secret = ? WHERE id = ?');
+
+  const reencryptSecrets = db.transaction(rows => {
+    const stale = rows.filter(user => needsReencryption(user.two_factor_secret));
+    stale.forEach(user => updateSecret.run(encryptToken(decryptToken(user.two_factor_secret)), user.id));
+    return stale.length;
+  });
+
+  console.log(`Checked ${users.length} two-factor secrets, re-encrypted ${reencryptSecrets(users)}`);
+
+  // So do webhook signing secrets
+  const webhooks = db.prepare('SELECT id, secret FROM webhooks').all();
+  const updateWebhookSecret = db.prepare('UPDATE webhooks SET secret = ? WHERE id = ?');
+
+  const reencryptWebhooks = db.transaction(rows => {
+    const stale = rows.filter(webhook => needsReencryption(webhook.secret));
+    stale.forEach(webhook => updateWebhookSecret.run(encryptToken(decryptToken(webhook.secret)), webhook.id));
+    return stale.length;
+  });
+
+  console.log(`Checked ${webhooks.length} webhook secrets, re-encrypted ${reencryptWebhooks(webhooks)}`);
+}
+
+encryptTokens().catch(err => {
+  console.error('Token encryption failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,60 @@
+// Errors raised by the database layer. Each adapter turns its driver's errors into these, so
+// callers can tell a request that can't be satisfied (a broken constraint, a missing record)
+// from a bug. `status` is the HTTP status the error middleware answers with.
+
+const CONSTRAINT_MESSAGES = {
+  unique: 'A record with these values already exists',
+  foreign_key: 'A referenced record does not exist',
+  not_null: 'A required value is missing',
+  check: 'A value is not allowed'
+};
+
+class DatabaseError extends Error {
+  constructor(message, { cause, sql } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = 500;
+    this.cause = cause;
+    this.sql = sql;
+  }
+}
+
+// A write broke a UNIQUE, FOREIGN KEY, NOT NULL or CHECK constraint
+class ConstraintError extends DatabaseError {
+  constructor(constraint, options) {
+    super(CONSTRAINT_MESSAGES[constraint], options);
+    this.constraint = constraint;
+    this.status = constraint === 'unique' ? 409 : 400;
+  }
+}
+
+// A record the caller asked for doesn't exist (or isn't theirs)
+class NotFoundError extends DatabaseError {
+  constructor(message = 'Not found', options) {
+    super(message, options);
+    this.status = 404;
+  }
+}
+
+// The statement itself is broken: bad syntax, or a table or column that doesn't exist
+class QuerySyntaxError extends DatabaseError {}
+
+// A value can't be stored in or compared with its column
+class InvalidValueError extends DatabaseError {
+  constructor(message, options) {
+    super(message, options);
+    this.status = 400;
+  }
+}
+
+// Another process has the database open (SQLite allows only one)
+class DatabaseLockedError extends DatabaseError {}
+
+module.exports = {
+  DatabaseError,
+  ConstraintError,
+  NotFoundError,
+  QuerySyntaxError,
+  InvalidValueError,
+  DatabaseLockedError
+};
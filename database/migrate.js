@@ -0,0 +1,40 @@
+require('dotenv').config();
+const db = require('./db');
+const { status, migrate, rollback } = require('./migrator');
+
+// Schema migration CLI:
+//   npm run migrate                     apply pending migrations (-- <version> to stop at one)
+//   npm run migrate:rollback            revert the last migration (-- <steps> for more)
+//   npm run migrate:status              list migrations and whether they are applied
+async function main() {
+  await db.ensureReady();
+
+  const [command = 'migrate', argument] = process.argv.slice(2);
+
+  if (command === 'migrate') {
+    const applied = migrate({ target: argument ? parseInt(argument) : Infinity });
+    console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+  } else if (command === 'rollback') {
+    const reverted = rollback({ steps: argument ? parseInt(argument) : 1 });
+    console.log(reverted.length > 0 ? `Rolled back ${reverted.length} migration(s)` : 'Nothing to roll back');
+  } else if (command === 'status') {
+    const { migrations, pending, missing } = status();
+    migrations.forEach(migration => {
+      const state = migration.applied_at ? `applied ${migration.applied_at}` : 'pending';
+      console.log(`${String(migration.version).padStart(3, '0')}_${migration.name}  ${state}`);
+    });
+    missing.forEach(row => {
+      console.log(`${String(row.version).padStart(3, '0')}_${row.name}  applied ${row.applied_at}, file missing`);
+    });
+    console.log(`${pending.length} pending`);
+  } else {
+    throw new Error(`Unknown command "${command}" (use migrate, rollback or status)`);
+  }
+
+  db.close();
+}
+
+main().catch(err => {
+  console.error('Migration failed:', err.message);
+  process.exit(1);
+});
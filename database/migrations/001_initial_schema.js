@@ -0,0 +1,170 @@
+// Initial schema: the tables and indexes created by the original, destructive init script.
+// Databases built by that script are recorded as being at this version the first time
+// migrations run (see migrator.js), and the later migrations bring them up to date.
+
+const TABLES = [
+  'users',
+  'brand_settings',
+  'social_accounts',
+  'posts',
+  'platform_posts',
+  'analytics',
+  'content_templates',
+  'ai_generations'
+];
+
+module.exports = {
+  up(db) {
+    // Users table
+    db.exec(`
+      CREATE TABLE users (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        email TEXT UNIQUE NOT NULL,
+        password TEXT NOT NULL,
+        name TEXT NOT NULL,
+        company TEXT,
+        avatar_url TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    // Brand settings table
+    db.exec(`
+      CREATE TABLE brand_settings (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        brand_name TEXT,
+        brand_voice TEXT,
+        target_audience TEXT,
+        industry TEXT,
+        keywords TEXT,
+        hashtag_strategy TEXT,
+        tone TEXT DEFAULT 'professional',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Social accounts table
+    db.exec(`
+      CREATE TABLE social_accounts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        platform TEXT NOT NULL,
+        account_name TEXT NOT NULL,
+        account_id TEXT,
+        access_token TEXT,
+        refresh_token TEXT,
+        token_expires_at DATETIME,
+        is_active INTEGER DEFAULT 1,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Posts table
+    db.exec(`
+      CREATE TABLE posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        title TEXT,
+        content TEXT NOT NULL,
+        media_urls TEXT,
+        platforms TEXT NOT NULL,
+        status TEXT DEFAULT 'draft',
+        scheduled_at DATETIME,
+        published_at DATETIME,
+        hashtags TEXT,
+        ai_generated INTEGER DEFAULT 0,
+        ai_prompt TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Platform-specific posts table
+    db.exec(`
+      CREATE TABLE platform_posts (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER NOT NULL,
+        platform TEXT NOT NULL,
+        content TEXT,
+        media_urls TEXT,
+        platform_post_id TEXT,
+        status TEXT DEFAULT 'pending',
+        published_at DATETIME,
+        error_message TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Analytics table
+    db.exec(`
+      CREATE TABLE analytics (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        platform_post_id INTEGER NOT NULL,
+        platform TEXT NOT NULL,
+        likes INTEGER DEFAULT 0,
+        comments INTEGER DEFAULT 0,
+        shares INTEGER DEFAULT 0,
+        impressions INTEGER DEFAULT 0,
+        reach INTEGER DEFAULT 0,
+        clicks INTEGER DEFAULT 0,
+        engagement_rate REAL DEFAULT 0,
+        recorded_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (platform_post_id) REFERENCES platform_posts(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Content templates table
+    db.exec(`
+      CREATE TABLE content_templates (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        description TEXT,
+        template TEXT NOT NULL,
+        platform TEXT,
+        category TEXT,
+        is_public INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // AI generations history table
+    db.exec(`
+      CREATE TABLE ai_generations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        prompt TEXT NOT NULL,
+        generated_content TEXT NOT NULL,
+        platform TEXT,
+        model TEXT,
+        tokens_used INTEGER DEFAULT 0,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Indexes
+    db.exec('CREATE INDEX idx_posts_user ON posts(user_id)');
+    db.exec('CREATE INDEX idx_posts_status ON posts(status)');
+    db.exec('CREATE INDEX idx_posts_scheduled ON posts(scheduled_at)');
+    db.exec('CREATE INDEX idx_platform_posts_post ON platform_posts(post_id)');
+    db.exec('CREATE INDEX idx_analytics_platform_post ON analytics(platform_post_id)');
+    db.exec('CREATE INDEX idx_social_accounts_user ON social_accounts(user_id)');
+  },
+
+  down(db) {
+    // Children first, so dropping a table never trips a foreign key
+    [...TABLES].reverse().forEach(table => db.exec(`DROP TABLE IF EXISTS ${table}`));
+  }
+};
@@ -0,0 +1,11 @@
+// Templates are listed per user (and alongside public ones) on every templates request
+
+module.exports = {
+  up(db) {
+    db.exec('CREATE INDEX idx_content_templates_user ON content_templates(user_id)');
+  },
+
+  down(db) {
+    db.exec('DROP INDEX idx_content_templates_user');
+  }
+};
@@ -0,0 +1,28 @@
+// Durable publish job queue: one row per attempt to publish a post, leased by the scheduler
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE publish_jobs (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER NOT NULL,
+        status TEXT DEFAULT 'queued',
+        attempts INTEGER DEFAULT 0,
+        max_attempts INTEGER DEFAULT 5,
+        run_at DATETIME NOT NULL,
+        locked_until DATETIME,
+        last_error TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_publish_jobs_due ON publish_jobs(status, run_at)');
+    db.exec('CREATE INDEX idx_publish_jobs_post ON publish_jobs(post_id)');
+  },
+
+  down(db) {
+    db.exec('DROP TABLE publish_jobs');
+  }
+};
@@ -0,0 +1,23 @@
+// Pending OAuth authorization flows
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE oauth_states (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nonce TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL,
+        platform TEXT NOT NULL,
+        code_verifier TEXT,
+        redirect_uri TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE oauth_states');
+  }
+};
@@ -0,0 +1,13 @@
+// Whether an account's tokens still work; 'needs_reauth' accounts are skipped when publishing
+
+module.exports = {
+  up(db) {
+    db.exec("ALTER TABLE social_accounts ADD COLUMN connection_status TEXT DEFAULT 'connected'");
+    db.exec('ALTER TABLE social_accounts ADD COLUMN status_message TEXT');
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE social_accounts DROP COLUMN status_message');
+    db.exec('ALTER TABLE social_accounts DROP COLUMN connection_status');
+  }
+};
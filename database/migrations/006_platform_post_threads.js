@@ -0,0 +1,11 @@
+// Ids of every tweet in a published thread, in order (platform_post_id holds the first)
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE platform_posts ADD COLUMN thread_ids TEXT');
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE platform_posts DROP COLUMN thread_ids');
+  }
+};
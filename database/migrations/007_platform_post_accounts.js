@@ -0,0 +1,14 @@
+// The social account a platform post targets. No FK: rows keep the account they targeted
+// after it is disconnected.
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE platform_posts ADD COLUMN social_account_id INTEGER');
+    db.exec('CREATE INDEX idx_platform_posts_account ON platform_posts(social_account_id)');
+  },
+
+  down(db) {
+    db.exec('DROP INDEX idx_platform_posts_account');
+    db.exec('ALTER TABLE platform_posts DROP COLUMN social_account_id');
+  }
+};
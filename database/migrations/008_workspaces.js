@@ -0,0 +1,99 @@
+// Workspaces with member roles and invitations. Posts, social accounts and brand settings
+// move from their user to a workspace: every existing user gets a personal workspace they
+// own (named as registration names them), holding everything they had.
+//
+// SQLite can't add a NOT NULL column that references another table, so there the new
+// workspace_id columns stay nullable and the app always sets them; PostgreSQL enforces it.
+//
+// No down(): SQLite can't drop a column that references another table.
+
+const WORKSPACE_TABLES = ['brand_settings', 'social_accounts', 'posts'];
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE workspaces (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        name TEXT NOT NULL,
+        owner_id INTEGER NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (owner_id) REFERENCES users(id)
+      )
+    `);
+
+    // Workspace members and their roles (owner, admin, editor, viewer)
+    db.exec(`
+      CREATE TABLE workspace_members (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        role TEXT NOT NULL DEFAULT 'viewer',
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (workspace_id, user_id),
+        FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    // Pending workspace invitations
+    db.exec(`
+      CREATE TABLE workspace_invitations (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL,
+        email TEXT NOT NULL,
+        role TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        invited_by INTEGER,
+        expires_at DATETIME NOT NULL,
+        accepted_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+        FOREIGN KEY (invited_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    // A personal workspace for every user
+    db.exec(`
+      INSERT INTO workspaces (name, owner_id)
+      SELECT COALESCE(company, name || '''s Workspace'), id FROM users ORDER BY id
+    `);
+    db.exec(`
+      INSERT INTO workspace_members (workspace_id, user_id, role)
+      SELECT id, owner_id, 'owner' FROM workspaces
+    `);
+
+    WORKSPACE_TABLES.forEach(table => {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN workspace_id INTEGER REFERENCES workspaces(id) ON DELETE CASCADE`);
+      db.exec(`UPDATE ${table} SET workspace_id = (SELECT id FROM workspaces WHERE owner_id = ${table}.user_id)`);
+      if (db.dialect === 'postgres') {
+        db.exec(`ALTER TABLE ${table} ALTER COLUMN workspace_id SET NOT NULL`);
+      }
+    });
+
+    // Each workspace has one set of brand settings
+    db.exec('CREATE UNIQUE INDEX idx_brand_settings_workspace ON brand_settings(workspace_id)');
+
+    // Flows are connected to a workspace now. Pending ones expire within minutes, so they are
+    // dropped rather than guessed at.
+    db.exec('DROP TABLE oauth_states');
+    db.exec(`
+      CREATE TABLE oauth_states (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        nonce TEXT UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL,
+        workspace_id INTEGER NOT NULL,
+        platform TEXT NOT NULL,
+        code_verifier TEXT,
+        redirect_uri TEXT NOT NULL,
+        expires_at DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_posts_workspace ON posts(workspace_id)');
+    db.exec('CREATE INDEX idx_social_accounts_workspace ON social_accounts(workspace_id)');
+    db.exec('CREATE INDEX idx_workspace_members_user ON workspace_members(user_id)');
+  }
+};
@@ -0,0 +1,30 @@
+// Post approval: a per-workspace switch, each post's approval state and a review thread.
+//
+// No down(): SQLite can't drop a column that references another table.
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE workspaces ADD COLUMN require_approval INTEGER DEFAULT 0');
+
+    db.exec('ALTER TABLE posts ADD COLUMN approval_status TEXT');
+    db.exec('ALTER TABLE posts ADD COLUMN reviewer_id INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    db.exec('ALTER TABLE posts ADD COLUMN approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL');
+    db.exec('ALTER TABLE posts ADD COLUMN approved_at DATETIME');
+
+    // Review comments and approval actions on posts
+    db.exec(`
+      CREATE TABLE post_comments (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER NOT NULL,
+        user_id INTEGER,
+        action TEXT NOT NULL DEFAULT 'comment',
+        body TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_post_comments_post ON post_comments(post_id)');
+  }
+};
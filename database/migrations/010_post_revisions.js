@@ -0,0 +1,26 @@
+// Post revision history (full snapshot per edit)
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE post_revisions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        post_id INTEGER NOT NULL,
+        revision_number INTEGER NOT NULL,
+        user_id INTEGER,
+        source TEXT DEFAULT 'edit',
+        note TEXT,
+        snapshot TEXT NOT NULL,
+        changed_fields TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (post_id, revision_number),
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+  },
+
+  down(db) {
+    db.exec('DROP TABLE post_revisions');
+  }
+};
@@ -0,0 +1,29 @@
+// Login sessions; refresh tokens are stored as SHA-256 hashes
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE sessions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        refresh_token_hash TEXT UNIQUE NOT NULL,
+        previous_token_hash TEXT,
+        user_agent TEXT,
+        ip_address TEXT,
+        expires_at DATETIME NOT NULL,
+        last_used_at DATETIME,
+        revoked_at DATETIME,
+        revoked_reason TEXT,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_sessions_user ON sessions(user_id)');
+    db.exec('CREATE INDEX idx_sessions_previous_token ON sessions(previous_token_hash)');
+  },
+
+  down(db) {
+    db.exec('DROP TABLE sessions');
+  }
+};
@@ -0,0 +1,28 @@
+// Email verification and password reset. Existing users start out unverified.
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE users ADD COLUMN email_verified_at DATETIME');
+
+    // Single-use email verification and password reset tokens, stored as SHA-256 hashes
+    db.exec(`
+      CREATE TABLE account_tokens (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        purpose TEXT NOT NULL,
+        token_hash TEXT UNIQUE NOT NULL,
+        expires_at DATETIME NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_account_tokens_user ON account_tokens(user_id, purpose)');
+  },
+
+  down(db) {
+    db.exec('DROP TABLE account_tokens');
+    db.exec('ALTER TABLE users DROP COLUMN email_verified_at');
+  }
+};
@@ -0,0 +1,32 @@
+// TOTP two-factor login, with single-use recovery codes and per-workspace enforcement
+
+module.exports = {
+  up(db) {
+    db.exec('ALTER TABLE users ADD COLUMN two_factor_secret TEXT');
+    db.exec('ALTER TABLE users ADD COLUMN two_factor_enabled_at DATETIME');
+    db.exec('ALTER TABLE users ADD COLUMN two_factor_last_step INTEGER');
+    db.exec('ALTER TABLE workspaces ADD COLUMN require_two_factor INTEGER DEFAULT 0');
+
+    // Single-use two-factor recovery codes, stored as SHA-256 hashes
+    db.exec(`
+      CREATE TABLE recovery_codes (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        user_id INTEGER NOT NULL,
+        code_hash TEXT NOT NULL,
+        used_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_recovery_codes_user ON recovery_codes(user_id)');
+  },
+
+  down(db) {
+    db.exec('DROP TABLE recovery_codes');
+    db.exec('ALTER TABLE workspaces DROP COLUMN require_two_factor');
+    db.exec('ALTER TABLE users DROP COLUMN two_factor_last_step');
+    db.exec('ALTER TABLE users DROP COLUMN two_factor_enabled_at');
+    db.exec('ALTER TABLE users DROP COLUMN two_factor_secret');
+  }
+};
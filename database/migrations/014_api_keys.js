@@ -0,0 +1,30 @@
+// Workspace API keys, stored as SHA-256 hashes
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE api_keys (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL,
+        user_id INTEGER NOT NULL,
+        name TEXT NOT NULL,
+        prefix TEXT NOT NULL,
+        key_hash TEXT UNIQUE NOT NULL,
+        scopes TEXT NOT NULL,
+        last_used_at DATETIME,
+        last_used_ip TEXT,
+        expires_at DATETIME,
+        revoked_at DATETIME,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      )
+    `);
+
+    db.exec('CREATE INDEX idx_api_keys_workspace ON api_keys(workspace_id)');
+  },
+
+  down(db) {
+    db.exec('DROP TABLE api_keys');
+  }
+};
@@ -0,0 +1,49 @@
+// Recurring schedules: a source post repeated on an RRULE, with skipped or overridden
+// occurrences. Posts generated from a schedule record which occurrence they are.
+//
+// No down(): SQLite can't drop a column that references another table.
+
+module.exports = {
+  up(db) {
+    db.exec(`
+      CREATE TABLE post_recurrences (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        workspace_id INTEGER NOT NULL,
+        post_id INTEGER NOT NULL UNIQUE,
+        created_by INTEGER,
+        rrule TEXT NOT NULL,
+        starts_at DATETIME NOT NULL,
+        is_active INTEGER DEFAULT 1,
+        generated_until DATETIME NOT NULL,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (workspace_id) REFERENCES workspaces(id) ON DELETE CASCADE,
+        FOREIGN KEY (post_id) REFERENCES posts(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    db.exec(`
+      CREATE TABLE recurrence_exceptions (
+        id INTEGER PRIMARY KEY AUTOINCREMENT,
+        recurrence_id INTEGER NOT NULL,
+        occurrence_at DATETIME NOT NULL,
+        action TEXT NOT NULL,
+        scheduled_at DATETIME,
+        title TEXT,
+        content TEXT,
+        created_by INTEGER,
+        created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (recurrence_id, occurrence_at),
+        FOREIGN KEY (recurrence_id) REFERENCES post_recurrences(id) ON DELETE CASCADE,
+        FOREIGN KEY (created_by) REFERENCES users(id) ON DELETE SET NULL
+      )
+    `);
+
+    db.exec('ALTER TABLE posts ADD COLUMN recurrence_id INTEGER REFERENCES post_recurrences(id) ON DELETE SET NULL');
+    db.exec('ALTER TABLE posts ADD COLUMN occurrence_at DATETIME');
+
+    db.exec('CREATE UNIQUE INDEX idx_posts_occurrence ON posts(recurrence_id, occurrence_at)');
+    db.exec('CREATE INDEX idx_post_recurrences_due ON post_recurrences(is_active, generated_until)');
+  }
+};
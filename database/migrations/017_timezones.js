@@ -0,0 +1,16 @@
+// Time zones: each user's own, an account audience's (NULL uses the requester's) and the
+// zone a recurring schedule repeats in. Existing users and schedules are in UTC.
+
+module.exports = {
+  up(db) {
+    db.exec("ALTER TABLE users ADD COLUMN timezone TEXT DEFAULT 'UTC'");
+    db.exec('ALTER TABLE social_accounts ADD COLUMN timezone TEXT');
+    db.exec("ALTER TABLE post_recurrences ADD COLUMN timezone TEXT DEFAULT 'UTC'");
+  },
+
+  down(db) {
+    db.exec('ALTER TABLE post_recurrences DROP COLUMN timezone');
+    db.exec('ALTER TABLE social_accounts DROP COLUMN timezone');
+    db.exec('ALTER TABLE users DROP COLUMN timezone');
+  }
+};
@@ -0,0 +1,139 @@
+const fs = require('fs');
+const path = require('path');
+const db = require('./db');
+
+// Versioned schema migrations. Each file in migrations/ is named <version>_<name>.js and
+// exports up(db) and down(db); applied versions are recorded in schema_migrations. Every
+// migration runs in its own transaction, so a failure leaves the schema as it was.
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const FILE_PATTERN = /^(\d+)_([\w-]+)\.js$/;
+
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => FILE_PATTERN.test(file))
+    .map(file => {
+      const [, version, name] = FILE_PATTERN.exec(file);
+      const { up, down } = require(path.join(MIGRATIONS_DIR, file));
+      return { version: parseInt(version), name, file, up, down };
+    })
+    .sort((a, b) => a.version - b.version);
+
+  migrations.forEach((migration, index) => {
+    if (typeof migration.up !== 'function') {
+      throw new Error(`Migration ${migration.file} does not export up()`);
+    }
+    if (index > 0 && migrations[index - 1].version === migration.version) {
+      throw new Error(`Duplicate migration version ${migration.version}`);
+    }
+  });
+
+  return migrations;
+}
+
+// Create the tracking table. A database built by the old init script already has the
+// initial schema, so it is recorded as migrated to version 1 rather than rebuilt; the
+// later migrations then upgrade it.
+function ensureMigrationsTable() {
+  if (db.tableExists('schema_migrations')) return;
+
+  db.transaction(() => {
+    db.exec(`
+      CREATE TABLE schema_migrations (
+        version INTEGER PRIMARY KEY,
+        name TEXT NOT NULL,
+        applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+
+    if (db.tableExists('users')) {
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (1, ?)').run('initial_schema');
+      console.log('Existing database recorded as migration 1 (initial_schema)');
+    }
+  })();
+}
+
+function appliedMigrations() {
+  ensureMigrationsTable();
+  return db.prepare('SELECT version, name, applied_at FROM schema_migrations ORDER BY version').all();
+}
+
+// Every known migration with when it was applied, plus applied versions with no file
+function status() {
+  const applied = new Map(appliedMigrations().map(row => [row.version, row]));
+  const migrations = loadMigrations();
+
+  const rows = migrations.map(migration => ({
+    version: migration.version,
+    name: migration.name,
+    applied_at: applied.get(migration.version)?.applied_at || null
+  }));
+
+  const known = new Set(migrations.map(migration => migration.version));
+  const missing = [...applied.values()].filter(row => !known.has(row.version));
+
+  return {
+    migrations: rows,
+    pending: rows.filter(row => !row.applied_at),
+    missing
+  };
+}
+
+function pendingMigrations() {
+  return status().pending;
+}
+
+// Apply pending migrations in order, up to `target` if given. Returns the applied versions.
+function migrate({ target = Infinity } = {}) {
+  const applied = new Set(appliedMigrations().map(row => row.version));
+  const done = [];
+
+  for (const migration of loadMigrations()) {
+    if (applied.has(migration.version) || migration.version > target) continue;
+
+    db.transaction(() => {
+      migration.up(db);
+      db.prepare('INSERT INTO schema_migrations (version, name) VALUES (?, ?)').run(migration.version, migration.name);
+    })();
+
+    console.log(`Applied ${migration.file}`);
+    done.push(migration.version);
+  }
+
+  return done;
+}
+
+// Revert the most recently applied migrations. Returns the reverted versions.
+function rollback({ steps = 1 } = {}) {
+  const migrations = new Map(loadMigrations().map(migration => [migration.version, migration]));
+  const toRevert = appliedMigrations().reverse().slice(0, steps);
+  const done = [];
+
+  for (const row of toRevert) {
+    const migration = migrations.get(row.version);
+
+    if (!migration) {
+      throw new Error(`Migration ${row.version}_${row.name} is applied but its file is missing`);
+    }
+    if (typeof migration.down !== 'function') {
+      throw new Error(`Migration ${migration.file} cannot be rolled back (no down())`);
+    }
+
+    db.transaction(() => {
+      migration.down(db);
+      db.prepare('DELETE FROM schema_migrations WHERE version = ?').run(migration.version);
+    })();
+
+    console.log(`Rolled back ${migration.file}`);
+    done.push(migration.version);
+  }
+
+  return done;
+}
+
+module.exports = {
+  status,
+  pendingMigrations,
+  migrate,
+  rollback
+};
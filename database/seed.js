@@ -0,0 +1,166 @@
+require('dotenv').config();
+const bcrypt = require('bcryptjs');
+const db = require('./db');
+const { pendingMigrations } = require('./migrator');
+
+// Demo data for development: a demo user, workspace, accounts, posts and analytics.
+// Run after migrations with `npm run seed`. Only an empty database is seeded, so this is
+// safe to run against one that holds real data.
+async function seed() {
+  await db.ensureReady();
+  
+  if (pendingMigrations().length > 0) {
+    throw new Error('Run `npm run migrate` before seeding');
+  }
+  
+  if (db.prepare('SELECT COUNT(*) as count FROM users').get().count > 0) {
+    console.log('Database already has users, skipping demo data');
+    return;
+  }
+  
+  // Create demo user
+  console.log('Creating demo user...');
+  const hashedPassword = await bcrypt.hash('demo123', 10);
+  
+  db.transaction(() => {
+    db.run(`
+      INSERT INTO users (email, password, name, company, email_verified_at)
+      VALUES ('demo@example.com', '${hashedPassword}', 'Demo User', 'Demo Company', CURRENT_TIMESTAMP)
+    `);
+    
+    // Create the demo user's workspace
+    db.run(`INSERT INTO workspaces (name, owner_id) VALUES ('Demo Company', 1)`);
+    db.run(`INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (1, 1, 'owner')`);
+    
+    // Create brand settings for demo workspace
+    db.run(`
+      INSERT INTO brand_settings (workspace_id, user_id, brand_name, brand_voice, target_audience, industry, tone)
+      VALUES (1, 1, 'Demo Brand', 'Friendly and professional', 'Small business owners', 'Technology', 'professional')
+    `);
+    
+    // Add some demo social accounts
+    db.run(`
+      INSERT INTO social_accounts (workspace_id, user_id, platform, account_name, account_id, access_token, is_active)
+      VALUES 
+        (1, 1, 'facebook', 'Demo Facebook Page', 'demo-fb-123', 'demo-token', 1),
+        (1, 1, 'twitter', '@DemoAccount', 'demo-tw-456', 'demo-token', 1),
+        (1, 1, 'linkedin', 'Demo LinkedIn', 'demo-li-789', 'demo-token', 1),
+        (1, 1, 'instagram', '@demo_insta', 'demo-ig-012', 'demo-token', 1)
+    `);
+    
+    // Add some demo posts
+    const demoPosts = [
+      {
+        title: 'Exciting Product Launch',
+        content: '🚀 We are thrilled to announce our latest product! After months of development, we are finally ready to share it with the world. Stay tuned for more updates! #innovation #newproduct #launch',
+        platforms: '["facebook","linkedin","twitter"]',
+        status: 'published',
+        ai_generated: 1
+      },
+      {
+        title: 'Industry Insights',
+        content: '📊 Did you know that 75% of businesses are now using AI-powered tools? Here are 5 ways AI can transform your workflow and boost productivity. Thread 🧵',
+        platforms: '["twitter","linkedin"]',
+        status: 'published',
+        ai_generated: 1
+      },
+      {
+        title: 'Behind the Scenes',
+        content: 'A peek behind the curtain! 👀 Here is what a typical day looks like at our office. We believe in work-life balance and creating a space where creativity thrives. #companyculture #teamwork',
+        platforms: '["instagram","facebook"]',
+        status: 'scheduled',
+        ai_generated: 0
+      },
+      {
+        title: 'Customer Success Story',
+        content: '⭐ Meet Sarah from TechStart Inc. - she increased her social media engagement by 300% using our platform. Read her full story on our blog!',
+        platforms: '["facebook","linkedin"]',
+        status: 'draft',
+        ai_generated: 1
+      }
+    ];
+    
+    const now = new Date();
+    const scheduled = new Date(now.getTime() + 24 * 60 * 60 * 1000); // Tomorrow
+    
+    demoPosts.forEach((post, index) => {
+      const publishedAt = post.status === 'published' ? new Date(now.getTime() - (index + 1) * 24 * 60 * 60 * 1000).toISOString() : null;
+      const scheduledAt = post.status === 'scheduled' ? scheduled.toISOString() : null;
+      
+      db.run(`
+        INSERT INTO posts (workspace_id, user_id, title, content, platforms, status, scheduled_at, published_at, ai_generated, hashtags)
+        VALUES (1, 1, '${post.title}', '${post.content}', '${post.platforms}', '${post.status}', ${scheduledAt ? `'${scheduledAt}'` : 'NULL'}, ${publishedAt ? `'${publishedAt}'` : 'NULL'}, ${post.ai_generated}, '[]')
+      `);
+    });
+    
+    // Create platform posts for each demo post
+    console.log('Creating platform posts...');
+    for (let postId = 1; postId <= 4; postId++) {
+      const post = demoPosts[postId - 1];
+      const platforms = JSON.parse(post.platforms);
+      
+      platforms.forEach(platform => {
+        const status = post.status === 'published' ? 'published' : 'pending';
+        db.run(`
+          INSERT INTO platform_posts (post_id, platform, content, status)
+          VALUES (${postId}, '${platform}', '${post.content}', '${status}')
+        `);
+      });
+    }
+    
+    // Generate demo analytics for published posts
+    console.log('Creating demo analytics...');
+    const platformPosts = db.prepare(`
+      SELECT pp.id, pp.platform FROM platform_posts pp
+      JOIN posts p ON pp.post_id = p.id
+      WHERE pp.status = 'published'
+    `).all();
+    
+    platformPosts.forEach(({ id: ppId, platform }) => {
+      // Generate random analytics
+      const likes = Math.floor(Math.random() * 500) + 50;
+      const comments = Math.floor(Math.random() * 50) + 5;
+      const shares = Math.floor(Math.random() * 100) + 10;
+      const impressions = Math.floor(Math.random() * 5000) + 500;
+      const reach = Math.floor(impressions * 0.8);
+      const clicks = Math.floor(Math.random() * 200) + 20;
+      const engagementRate = ((likes + comments + shares) / impressions) * 100;
+      
+      // Add multiple data points over the past 7 days
+      for (let i = 0; i < 7; i++) {
+        const date = new Date();
+        date.setDate(date.getDate() - i);
+        
+        db.run(`
+          INSERT INTO analytics (platform_post_id, platform, likes, comments, shares, impressions, reach, clicks, engagement_rate, recorded_at)
+          VALUES (${ppId}, '${platform}', ${Math.floor(likes / (i + 1))}, ${Math.floor(comments / (i + 1))}, ${Math.floor(shares / (i + 1))}, ${Math.floor(impressions / (i + 1))}, ${Math.floor(reach / (i + 1))}, ${Math.floor(clicks / (i + 1))}, ${engagementRate.toFixed(2)}, '${date.toISOString()}')
+        `);
+      }
+    });
+    
+    // Add some demo AI generation history
+    console.log('Creating AI generation history...');
+    const aiGenerations = [
+      { prompt: 'Write a product launch announcement', content: 'We are thrilled to announce...', platform: 'facebook' },
+      { prompt: 'Create an industry insights thread', content: 'Did you know that 75%...', platform: 'twitter' },
+      { prompt: 'Generate a behind-the-scenes post', content: 'A peek behind the curtain...', platform: 'instagram' }
+    ];
+    
+    aiGenerations.forEach(gen => {
+      db.run(`
+        INSERT INTO ai_generations (user_id, prompt, generated_content, platform, model, tokens_used)
+        VALUES (1, '${gen.prompt}', '${gen.content}', '${gen.platform}', 'gpt-4', ${Math.floor(Math.random() * 500) + 100})
+      `);
+    });
+  })();
+  
+  console.log('Demo data created');
+  console.log('Demo user: demo@example.com / demo123');
+}
+
+seed()
+  .then(() => db.close())
+  .catch(err => {
+    console.error('Seeding failed:', err);
+    process.exit(1);
+  });
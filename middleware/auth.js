@@ -1,32 +1,186 @@
 const jwt = require('jsonwebtoken');
 const db = require('../database/db');
+const { resolveWorkspace, hasRole } = require('../services/workspaces');
+const { JWT_SECRET, getActiveSession } = require('../services/sessions');
+const { isApiKey, authenticateApiKey } = require('../services/apiKeys');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Minimum workspace role needed for each permission
+const PERMISSIONS = {
+  'posts:read': 'viewer',
+  'posts:write': 'editor',
+  'posts:publish': 'editor',
+  'posts:comment': 'viewer',
+  'posts:approve': 'admin',
+  'accounts:read': 'viewer',
+  'accounts:manage': 'admin',
+  'brand:read': 'viewer',
+  'brand:manage': 'admin',
+  'analytics:read': 'viewer',
+  'analytics:write': 'editor',
+  'ai:generate': 'editor',
+  'members:read': 'viewer',
+  'members:manage': 'admin',
+  'workspace:manage': 'admin',
+  'workspace:delete': 'owner',
+  'webhooks:manage': 'admin',
+  // Members manage their own API keys
+  'api_keys:manage': 'viewer'
+};
+
+// Permissions an API key may not be scoped to, so a key cannot mint other keys
+const NON_KEY_SCOPES = ['api_keys:manage'];
+
+// Check whether a workspace role grants a permission
+function can(role, permission) {
+  const minimumRole = PERMISSIONS[permission];
+  if (!minimumRole) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+  return hasRole(role, minimumRole);
+}
+
+// True when one of the route's handlers is an authorize() check
+function routeIsScoped(req) {
+  return Boolean(req.route && req.route.stack.some(layer => layer.handle.permission));
+}
+
+// Authenticate a request made with an API key instead of a user's access token
+function apiKeyAuth(req, res, next, rawKey) {
+  // Keys only work on routes guarded by a permission they can be scoped to; account and
+  // session endpoints stay reserved for logged-in users
+  if (!routeIsScoped(req)) {
+    return res.status(403).json({ error: 'API keys cannot be used for this endpoint' });
+  }
+  
+  const { apiKey, user, workspace, error } = authenticateApiKey(rawKey, req.ip);
+  
+  if (error) {
+    return res.status(401).json({ error });
+  }
+  
+  const requestedWorkspace = req.headers['x-workspace-id'];
+  if (requestedWorkspace && Number(requestedWorkspace) !== workspace.id) {
+    return res.status(403).json({ error: 'API key belongs to a different workspace' });
+  }
+  
+  req.user = user;
+  req.apiKey = apiKey;
+  req.workspace = workspace;
+  next();
+}
 
 const authMiddleware = (req, res, next) => {
   try {
     const authHeader = req.headers.authorization;
     
+    if (req.headers['x-api-key']) {
+      return apiKeyAuth(req, res, next, req.headers['x-api-key']);
+    }
+    
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       return res.status(401).json({ error: 'No token provided' });
     }
     
     const token = authHeader.split(' ')[1];
-    const decoded = jwt.verify(token, JWT_SECRET);
+    
+    if (isApiKey(token)) {
+      return apiKeyAuth(req, res, next, token);
+    }
+    
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (error) {
+      if (error.name === 'TokenExpiredError') {
+        return res.status(401).json({ error: 'Token expired', code: 'token_expired' });
+      }
+      if (error instanceof jwt.JsonWebTokenError) {
+        return res.status(401).json({ error: 'Invalid token' });
+      }
+      throw error;
+    }
+    
+    // Access tokens belong to a session; logging out revokes it immediately
+    const session = decoded.sid ? getActiveSession(decoded.sid) : null;
+    
+    if (!session || session.user_id !== decoded.userId) {
+      return res.status(401).json({ error: 'Session has expired or was revoked' });
+    }
     
     // Get user from database
-    const user = db.prepare('SELECT id, email, name, company FROM users WHERE id = ?').get(decoded.userId);
+    const user = db.prepare('SELECT id, email, name, company, email_verified_at, two_factor_enabled_at, timezone FROM users WHERE id = ?').get(decoded.userId);
     
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
     
+    // Resolve the workspace this request acts on (X-Workspace-Id header, else the user's default)
+    const workspace = resolveWorkspace(user, req.headers['x-workspace-id']);
+    
+    if (!workspace) {
+      return res.status(403).json({ error: 'You are not a member of this workspace' });
+    }
+    
     req.user = user;
+    req.sessionId = session.id;
+    req.workspace = workspace;
     next();
   } catch (error) {
-    console.error('Auth error:', error);
-    return res.status(401).json({ error: 'Invalid token' });
+    // Not a token problem (e.g. the database failed), so not a 401
+    next(error);
+  }
+};
+
+// Require a permission in the current workspace; use after authMiddleware
+const authorize = permission => {
+  // Fail at startup on typos rather than on the first request
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission: ${permission}`);
+  }
+
+  const check = (req, res, next) => {
+    if (!req.workspace || !can(req.workspace.role, permission)) {
+      return res.status(403).json({
+        error: 'You do not have permission to do this',
+        requiredRole: PERMISSIONS[permission]
+      });
+    }
+
+    if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+      return res.status(403).json({
+        error: 'API key is missing the required scope',
+        requiredScope: permission
+      });
+    }
+
+    // Members can still reach their account settings to enroll, but not the workspace's content
+    if (req.workspace.require_two_factor && !req.user.two_factor_enabled_at) {
+      return res.status(403).json({
+        error: 'This workspace requires two-factor authentication',
+        code: 'two_factor_required'
+      });
+    }
+    next();
+  };
+
+  check.permission = permission;
+  return check;
+};
+
+// Operators listed in ADMIN_EMAILS may use the instance-wide admin endpoints (workspace roles
+// don't reach past their workspace); use after authMiddleware
+const requireAdmin = (req, res, next) => {
+  const admins = (process.env.ADMIN_EMAILS || '').split(',').map(email => email.trim().toLowerCase());
+  
+  if (req.apiKey || !admins.includes(req.user.email.toLowerCase())) {
+    return res.status(403).json({ error: 'Administrator access required' });
   }
+  next();
 };
 
 module.exports = authMiddleware;
+module.exports.authorize = authorize;
+module.exports.requireAdmin = requireAdmin;
+module.exports.can = can;
+module.exports.PERMISSIONS = PERMISSIONS;
+module.exports.NON_KEY_SCOPES = NON_KEY_SCOPES;
@@ -0,0 +1,106 @@
+const db = require('../database/db');
+const { NotFoundError } = require('../database/errors');
+
+// Data access for connected social accounts. Tokens are stored as given; encrypting them is
+// up to the caller (services/tokenCrypto.js).
+
+function find(id, workspaceId) {
+  return db.prepare('SELECT * FROM social_accounts WHERE id = ? AND workspace_id = ?').get(id, workspaceId);
+}
+
+function get(id, workspaceId) {
+  const account = find(id, workspaceId);
+  if (!account) {
+    throw new NotFoundError('Account not found');
+  }
+  return account;
+}
+
+// An account posts can be sent to
+function findActive(id, workspaceId) {
+  return db.prepare(`
+    SELECT id, platform FROM social_accounts WHERE id = ? AND workspace_id = ? AND is_active = 1
+  `).get(id, workspaceId);
+}
+
+// The account with a platform's own account ID
+function findByPlatformId(workspaceId, platform, accountId) {
+  return db.prepare(`
+    SELECT id FROM social_accounts
+    WHERE workspace_id = ? AND platform = ? AND account_id = ?
+  `).get(workspaceId, platform, accountId);
+}
+
+// Accounts of a workspace, without their tokens
+function list(workspaceId) {
+  return db.prepare(`
+    SELECT id, platform, account_name, account_id, is_active, connection_status, status_message,
+           timezone, token_expires_at, created_at
+    FROM social_accounts
+    WHERE workspace_id = ?
+    ORDER BY platform
+  `).all(workspaceId);
+}
+
+function insert(workspaceId, userId, { platform, accountName, accountId, accessToken, timezone }) {
+  return db.prepare(`
+    INSERT INTO social_accounts (workspace_id, user_id, platform, account_name, account_id, access_token, timezone, is_active)
+    VALUES (?, ?, ?, ?, ?, ?, ?, 1)
+  `).run(workspaceId, userId, platform, accountName, accountId, accessToken, timezone).lastInsertRowid;
+}
+
+// Connect an existing account again with a new token (a null timezone keeps the old one)
+function reconnect(id, { accountName, accessToken, timezone }) {
+  db.prepare(`
+    UPDATE social_accounts SET
+      access_token = ?,
+      account_name = ?,
+      is_active = 1,
+      connection_status = 'connected',
+      status_message = NULL,
+      timezone = COALESCE(?, timezone),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(accessToken, accountName, timezone, id);
+}
+
+function setActive(id, isActive) {
+  db.prepare('UPDATE social_accounts SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(isActive ? 1 : 0, id);
+}
+
+function setTimezone(id, workspaceId, timezone) {
+  const result = db.prepare(`
+    UPDATE social_accounts SET timezone = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ? AND workspace_id = ?
+  `).run(timezone, id, workspaceId);
+
+  if (result.changes === 0) {
+    throw new NotFoundError('Account not found');
+  }
+}
+
+// Delete an account; posts still waiting on it can't go out through it any more
+function remove(id) {
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE platform_posts SET status = 'failed', error_message = 'Account disconnected'
+      WHERE social_account_id = ? AND status != 'published'
+    `).run(id);
+
+    db.prepare('DELETE FROM social_accounts WHERE id = ?').run(id);
+  })();
+}
+
+module.exports = {
+  find,
+  get,
+  findActive,
+  findByPlatformId,
+  list,
+  insert,
+  reconnect,
+  setActive,
+  setTimezone,
+  remove
+};
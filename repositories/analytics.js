@@ -0,0 +1,202 @@
+const db = require('../database/db');
+
+// Data access for engagement metrics and the reports built from them. `since` is an ISO
+// timestamp; rows recorded or created before it are left out.
+
+// Number of posts in each status
+function statusCounts(workspaceId, since) {
+  return db.prepare(`
+    SELECT status, COUNT(*) as count
+    FROM posts
+    WHERE workspace_id = ? AND created_at >= ?
+    GROUP BY status
+  `).all(workspaceId, since);
+}
+
+// Platform posts per platform, and how many of them went out
+function platformCounts(workspaceId, since) {
+  return db.prepare(`
+    SELECT pp.platform, COUNT(*) as count,
+           SUM(CASE WHEN pp.status = 'published' THEN 1 ELSE 0 END) as published
+    FROM platform_posts pp
+    JOIN posts p ON pp.post_id = p.id
+    WHERE p.workspace_id = ? AND p.created_at >= ?
+    GROUP BY pp.platform
+  `).all(workspaceId, since);
+}
+
+function engagementTotals(workspaceId, since) {
+  return db.prepare(`
+    SELECT
+      SUM(a.likes) as total_likes,
+      SUM(a.comments) as total_comments,
+      SUM(a.shares) as total_shares,
+      SUM(a.impressions) as total_impressions,
+      AVG(a.engagement_rate) as avg_engagement_rate
+    FROM analytics a
+    JOIN platform_posts pp ON a.platform_post_id = pp.id
+    JOIN posts p ON pp.post_id = p.id
+    WHERE p.workspace_id = ? AND a.recorded_at >= ?
+  `).get(workspaceId, since);
+}
+
+// Content generations by a user and the tokens they used
+function aiUsage(userId, since) {
+  return db.prepare(`
+    SELECT COUNT(*) as generations, SUM(tokens_used) as total_tokens
+    FROM ai_generations
+    WHERE user_id = ? AND created_at >= ?
+  `).get(userId, since);
+}
+
+// Published posts with their metrics, most engagement first
+function postPerformance(workspaceId, limit = 20) {
+  return db.prepare(`
+    SELECT
+      p.id, p.title, p.content, p.platforms, p.status, p.published_at,
+      pp.platform,
+      COALESCE(a.likes, 0) as likes,
+      COALESCE(a.comments, 0) as comments,
+      COALESCE(a.shares, 0) as shares,
+      COALESCE(a.impressions, 0) as impressions,
+      COALESCE(a.engagement_rate, 0) as engagement_rate
+    FROM posts p
+    LEFT JOIN platform_posts pp ON p.id = pp.post_id
+    LEFT JOIN analytics a ON pp.id = a.platform_post_id
+    WHERE p.workspace_id = ? AND p.status = 'published'
+    ORDER BY (COALESCE(a.likes, 0) + COALESCE(a.comments, 0) + COALESCE(a.shares, 0)) DESC
+    LIMIT ?
+  `).all(workspaceId, limit);
+}
+
+// Metrics of one platform per day
+function dailyPlatformMetrics(workspaceId, platform, since) {
+  return db.prepare(`
+    SELECT
+      DATE(a.recorded_at) as date,
+      SUM(a.likes) as likes,
+      SUM(a.comments) as comments,
+      SUM(a.shares) as shares,
+      SUM(a.impressions) as impressions,
+      AVG(a.engagement_rate) as engagement_rate
+    FROM analytics a
+    JOIN platform_posts pp ON a.platform_post_id = pp.id
+    JOIN posts p ON pp.post_id = p.id
+    WHERE p.workspace_id = ? AND pp.platform = ? AND a.recorded_at >= ?
+    GROUP BY DATE(a.recorded_at)
+    ORDER BY date
+  `).all(workspaceId, platform, since);
+}
+
+// Best performing posts on one platform
+function topPlatformPosts(workspaceId, platform, limit = 5) {
+  return db.prepare(`
+    SELECT
+      p.id, p.title, p.content, p.published_at,
+      a.likes, a.comments, a.shares, a.impressions, a.engagement_rate
+    FROM posts p
+    JOIN platform_posts pp ON p.id = pp.post_id
+    JOIN analytics a ON pp.id = a.platform_post_id
+    WHERE p.workspace_id = ? AND pp.platform = ?
+    ORDER BY (a.likes + a.comments + a.shares) DESC
+    LIMIT ?
+  `).all(workspaceId, platform, limit);
+}
+
+// Posts created per day
+function postingTrend(workspaceId, since) {
+  return db.prepare(`
+    SELECT DATE(created_at) as date, COUNT(*) as posts
+    FROM posts
+    WHERE workspace_id = ? AND created_at >= ?
+    GROUP BY DATE(created_at)
+    ORDER BY date
+  `).all(workspaceId, since);
+}
+
+// Posts with and without media
+function contentTypes(workspaceId, since) {
+  return db.prepare(`
+    SELECT
+      CASE
+        WHEN media_urls IS NOT NULL AND media_urls != '[]' THEN 'with_media'
+        ELSE 'text_only'
+      END as type,
+      COUNT(*) as count
+    FROM posts
+    WHERE workspace_id = ? AND created_at >= ?
+    GROUP BY type
+  `).all(workspaceId, since);
+}
+
+// AI-generated posts against posts written by hand
+function contentSources(workspaceId, since) {
+  return db.prepare(`
+    SELECT
+      CASE WHEN ai_generated = 1 THEN 'ai_generated' ELSE 'manual' END as source,
+      COUNT(*) as count
+    FROM posts
+    WHERE workspace_id = ? AND created_at >= ?
+    GROUP BY ai_generated
+  `).all(workspaceId, since);
+}
+
+// The platform post a platform's own post ID belongs to (any tweet of a thread counts)
+function findPlatformPost(workspaceId, platform, externalPostId) {
+  return db.prepare(`
+    SELECT pp.id FROM platform_posts pp
+    JOIN posts p ON pp.post_id = p.id
+    WHERE p.workspace_id = ? AND pp.platform = ?
+      AND (pp.platform_post_id = ? OR pp.thread_ids LIKE ?)
+  `).get(workspaceId, platform, String(externalPostId), `%"${externalPostId}"%`);
+}
+
+function listPublishedPlatformPosts(workspaceId) {
+  return db.prepare(`
+    SELECT pp.id, pp.platform
+    FROM platform_posts pp
+    JOIN posts p ON pp.post_id = p.id
+    WHERE p.workspace_id = ? AND pp.status = 'published'
+  `).all(workspaceId);
+}
+
+// Store metric snapshots; recordedAt defaults to now. All are written in one transaction.
+function record(entries) {
+  const insert = db.prepare(`
+    INSERT INTO analytics (platform_post_id, platform, likes, comments, shares, impressions, reach, clicks, engagement_rate, recorded_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `);
+
+  db.transaction(() => {
+    entries.forEach(entry => {
+      insert.run(
+        entry.platformPostId,
+        entry.platform,
+        entry.likes || 0,
+        entry.comments || 0,
+        entry.shares || 0,
+        entry.impressions || 0,
+        entry.reach || 0,
+        entry.clicks || 0,
+        entry.engagementRate,
+        entry.recordedAt || null
+      );
+    });
+  })();
+}
+
+module.exports = {
+  statusCounts,
+  platformCounts,
+  engagementTotals,
+  aiUsage,
+  postPerformance,
+  dailyPlatformMetrics,
+  topPlatformPosts,
+  postingTrend,
+  contentTypes,
+  contentSources,
+  findPlatformPost,
+  listPublishedPlatformPosts,
+  record
+};
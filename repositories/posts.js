@@ -0,0 +1,227 @@
+const db = require('../database/db');
+const { NotFoundError } = require('../database/errors');
+
+// Data access for posts and their per-platform rows. Rows are returned as stored (JSON
+// columns unparsed); finders return undefined for a missing post, getters throw NotFoundError.
+
+function find(id, workspaceId) {
+  return db.prepare('SELECT * FROM posts WHERE id = ? AND workspace_id = ?').get(id, workspaceId);
+}
+
+function get(id, workspaceId) {
+  const post = find(id, workspaceId);
+  if (!post) {
+    throw new NotFoundError('Post not found');
+  }
+  return post;
+}
+
+// Posts of a workspace, newest first
+function list(workspaceId, { status, platform, accountId, approvalStatus, reviewerId, limit = 50, offset = 0 } = {}) {
+  let query = 'SELECT * FROM posts WHERE workspace_id = ?';
+  const params = [workspaceId];
+
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+
+  if (platform) {
+    query += ' AND platforms LIKE ?';
+    params.push(`%${platform}%`);
+  }
+
+  if (accountId) {
+    query += ' AND id IN (SELECT post_id FROM platform_posts WHERE social_account_id = ?)';
+    params.push(accountId);
+  }
+
+  if (approvalStatus) {
+    query += ' AND approval_status = ?';
+    params.push(approvalStatus);
+  }
+
+  if (reviewerId) {
+    query += ' AND reviewer_id = ?';
+    params.push(reviewerId);
+  }
+
+  query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  return db.prepare(query).all(...params);
+}
+
+function count(workspaceId) {
+  return db.prepare('SELECT COUNT(*) as count FROM posts WHERE workspace_id = ?').get(workspaceId).count;
+}
+
+// Posts in one status, soonest first
+function listByStatus(workspaceId, status, { limit = 50, offset = 0 } = {}) {
+  return db.prepare(`
+    SELECT * FROM posts
+    WHERE workspace_id = ? AND status = ?
+    ORDER BY scheduled_at ASC
+    LIMIT ? OFFSET ?
+  `).all(workspaceId, status, limit, offset);
+}
+
+// Posts waiting to go out or going out now
+function listQueued(workspaceId, limit = 20) {
+  return db.prepare(`
+    SELECT * FROM posts
+    WHERE workspace_id = ? AND status IN ('scheduled', 'processing')
+    ORDER BY scheduled_at ASC
+    LIMIT ?
+  `).all(workspaceId, limit);
+}
+
+// Posts scheduled or published in [from, to) (compared as stored text)
+function listInRange(workspaceId, from, to) {
+  return db.prepare(`
+    SELECT id, title, content, platforms, status, scheduled_at, published_at, recurrence_id, occurrence_at
+    FROM posts
+    WHERE workspace_id = ?
+      AND (
+        (scheduled_at >= ? AND scheduled_at < ?)
+        OR (published_at >= ? AND published_at < ?)
+      )
+  `).all(workspaceId, from, to, from, to);
+}
+
+function insert(workspaceId, userId, { title, content, platforms, status, scheduledAt, hashtags, aiGenerated, aiPrompt }) {
+  return db.prepare(`
+    INSERT INTO posts (workspace_id, user_id, title, content, platforms, status, scheduled_at, hashtags, ai_generated, ai_prompt)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+  `).run(workspaceId, userId, title, content, platforms, status, scheduledAt, hashtags, aiGenerated, aiPrompt).lastInsertRowid;
+}
+
+// Edit a post; null fields keep their value, except scheduledAt which is always set
+function update(id, { title, content, platforms, status, scheduledAt, hashtags }) {
+  db.prepare(`
+    UPDATE posts SET
+      title = COALESCE(?, title),
+      content = COALESCE(?, content),
+      platforms = COALESCE(?, platforms),
+      status = COALESCE(?, status),
+      scheduled_at = ?,
+      hashtags = COALESCE(?, hashtags),
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(title, content, platforms, status, scheduledAt, hashtags, id);
+}
+
+// Set the media of a post and all of its platform rows
+function setMedia(id, mediaUrls) {
+  db.prepare('UPDATE posts SET media_urls = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(mediaUrls, id);
+  db.prepare('UPDATE platform_posts SET media_urls = ? WHERE post_id = ?').run(mediaUrls, id);
+}
+
+function schedule(id, scheduledAt) {
+  db.prepare(`
+    UPDATE posts SET scheduled_at = ?, status = 'scheduled', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(scheduledAt, id);
+}
+
+// Move a scheduled post back to draft
+function unschedule(id) {
+  db.prepare(`
+    UPDATE posts SET scheduled_at = NULL, status = 'draft', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(id);
+}
+
+function setStatus(id, status) {
+  db.prepare('UPDATE posts SET status = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(status, id);
+}
+
+// Record the outcome of publishing; published_at is set when anything went out
+function setPublishOutcome(id, status) {
+  db.prepare(`
+    UPDATE posts SET
+      status = ?,
+      published_at = CASE WHEN ? IN ('published', 'partial') THEN CURRENT_TIMESTAMP ELSE NULL END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, status, id);
+}
+
+function setReviewer(id, reviewerId) {
+  db.prepare('UPDATE posts SET reviewer_id = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?').run(reviewerId, id);
+}
+
+function remove(id) {
+  // Platform rows first (the foreign key cascades, but just in case)
+  db.prepare('DELETE FROM platform_posts WHERE post_id = ?').run(id);
+  db.prepare('DELETE FROM posts WHERE id = ?').run(id);
+}
+
+// Platform rows of a post with the name of the account each one goes to
+function listPlatformPosts(postId) {
+  return db.prepare(`
+    SELECT pp.*, sa.account_name FROM platform_posts pp
+    LEFT JOIN social_accounts sa ON pp.social_account_id = sa.id
+    WHERE pp.post_id = ?
+    ORDER BY pp.id
+  `).all(postId);
+}
+
+function listPlatformPostsFor(postId, platform) {
+  return db.prepare('SELECT * FROM platform_posts WHERE post_id = ? AND platform = ?').all(postId, platform);
+}
+
+function countFailedPlatformPosts(postId) {
+  return db.prepare(`SELECT COUNT(*) as count FROM platform_posts WHERE post_id = ? AND status = 'failed'`)
+    .get(postId).count;
+}
+
+// Where a post goes: platform, account and status of each platform row
+function listTargets(postId) {
+  return db.prepare('SELECT id, platform, social_account_id, status FROM platform_posts WHERE post_id = ?').all(postId);
+}
+
+function insertPlatformPost(postId, { platform, accountId, content, status = 'pending' }) {
+  return db.prepare(`
+    INSERT INTO platform_posts (post_id, platform, social_account_id, content, status)
+    VALUES (?, ?, ?, ?, ?)
+  `).run(postId, platform, accountId, content, status).lastInsertRowid;
+}
+
+function removePlatformPost(id) {
+  db.prepare('DELETE FROM platform_posts WHERE id = ?').run(id);
+}
+
+// Give unpublished platform rows new content, unless they were customized per platform
+function replacePlatformContent(postId, content, previousContent) {
+  db.prepare(`
+    UPDATE platform_posts SET content = ?
+    WHERE post_id = ? AND status != 'published' AND (content IS NULL OR content = ?)
+  `).run(content, postId, previousContent);
+}
+
+module.exports = {
+  find,
+  get,
+  list,
+  count,
+  listByStatus,
+  listQueued,
+  listInRange,
+  insert,
+  update,
+  setMedia,
+  schedule,
+  unschedule,
+  setStatus,
+  setPublishOutcome,
+  setReviewer,
+  remove,
+  listPlatformPosts,
+  listPlatformPostsFor,
+  countFailedPlatformPosts,
+  listTargets,
+  insertPlatformPost,
+  removePlatformPost,
+  replacePlatformContent
+};
@@ -0,0 +1,45 @@
+const db = require('../database/db');
+const { NotFoundError } = require('../database/errors');
+
+// Data access for publish jobs as a workspace sees them. Queueing, leasing and retrying jobs
+// is services/publishQueue.js's job.
+
+// Jobs for a workspace's posts with the post's title and status, most recently updated first
+function list(workspaceId, { status, limit = 50, offset = 0 } = {}) {
+  let query = `
+    SELECT j.*, p.title, p.status as post_status
+    FROM publish_jobs j
+    JOIN posts p ON j.post_id = p.id
+    WHERE p.workspace_id = ?
+  `;
+  const params = [workspaceId];
+
+  if (status) {
+    query += ' AND j.status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY j.updated_at DESC LIMIT ? OFFSET ?';
+  params.push(limit, offset);
+
+  return db.prepare(query).all(...params);
+}
+
+// A job with its post's workspace and approval status
+function get(id, workspaceId) {
+  const job = db.prepare(`
+    SELECT j.*, p.workspace_id, p.approval_status FROM publish_jobs j
+    JOIN posts p ON j.post_id = p.id
+    WHERE j.id = ? AND p.workspace_id = ?
+  `).get(id, workspaceId);
+
+  if (!job) {
+    throw new NotFoundError('Job not found');
+  }
+  return job;
+}
+
+module.exports = {
+  list,
+  get
+};
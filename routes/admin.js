@@ -0,0 +1,43 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { requireAdmin } = authMiddleware;
+const backups = require('../services/backups');
+
+// Instance-wide administration, for the operators listed in ADMIN_EMAILS
+
+// List database backups, newest first
+router.get('/backups', authMiddleware, requireAdmin, (req, res, next) => {
+  try {
+    res.json({ backups: backups.listBackups() });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Back up the database now; the copy is verified before responding
+router.post('/backups', authMiddleware, requireAdmin, async (req, res, next) => {
+  try {
+    const backup = await backups.createBackup('manual');
+
+    res.status(201).json({
+      message: backup.verification.ok ? 'Backup created' : 'Backup created but failed verification',
+      backup
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Check a backup's checksum and integrity
+router.post('/backups/:name/verify', authMiddleware, requireAdmin, async (req, res, next) => {
+  try {
+    const verification = await backups.verifyBackup(req.params.name);
+
+    res.json({ name: req.params.name, verification });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
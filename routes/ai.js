@@ -1,11 +1,12 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
+const { authorize } = authMiddleware;
 const db = require('../database/db');
 const { generateContent, generateImage, generateCompletePost, generateHashtags, improveContent } = require('../services/ai');
 
 // Generate content using AI
-router.post('/generate', authMiddleware, async (req, res) => {
+router.post('/generate', authMiddleware, authorize('ai:generate'), async (req, res, next) => {
   try {
     const { 
       topic, 
@@ -22,7 +23,7 @@ router.post('/generate', authMiddleware, async (req, res) => {
     }
     
     // Get brand settings for context
-    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE user_id = ?').get(req.user.id);
+    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE workspace_id = ?').get(req.workspace.id);
     
     // Generate content
     const result = await generateContent({
@@ -56,13 +57,12 @@ router.post('/generate', authMiddleware, async (req, res) => {
       characterCount: result.content.length
     });
   } catch (error) {
-    console.error('AI generation error:', error);
-    res.status(500).json({ error: 'Failed to generate content' });
+    next(error);
   }
 });
 
 // Generate content for multiple platforms at once
-router.post('/generate-multi', authMiddleware, async (req, res) => {
+router.post('/generate-multi', authMiddleware, authorize('ai:generate'), async (req, res, next) => {
   try {
     const { topic, platforms, tone, customInstructions } = req.body;
     
@@ -71,7 +71,7 @@ router.post('/generate-multi', authMiddleware, async (req, res) => {
     }
     
     // Get brand settings
-    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE user_id = ?').get(req.user.id);
+    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE workspace_id = ?').get(req.workspace.id);
     
     // Generate content for each platform
     const results = {};
@@ -100,13 +100,12 @@ router.post('/generate-multi', authMiddleware, async (req, res) => {
     
     res.json({ results });
   } catch (error) {
-    console.error('Multi-platform generation error:', error);
-    res.status(500).json({ error: 'Failed to generate content' });
+    next(error);
   }
 });
 
 // Generate hashtags for content
-router.post('/hashtags', authMiddleware, async (req, res) => {
+router.post('/hashtags', authMiddleware, authorize('ai:generate'), async (req, res, next) => {
   try {
     const { content, platform, count } = req.body;
     
@@ -118,13 +117,12 @@ router.post('/hashtags', authMiddleware, async (req, res) => {
     
     res.json({ hashtags });
   } catch (error) {
-    console.error('Hashtag generation error:', error);
-    res.status(500).json({ error: 'Failed to generate hashtags' });
+    next(error);
   }
 });
 
 // Improve existing content
-router.post('/improve', authMiddleware, async (req, res) => {
+router.post('/improve', authMiddleware, authorize('ai:generate'), async (req, res, next) => {
   try {
     const { content, improvements, platform } = req.body;
     
@@ -140,13 +138,12 @@ router.post('/improve', authMiddleware, async (req, res) => {
       changes: improved.changes
     });
   } catch (error) {
-    console.error('Content improvement error:', error);
-    res.status(500).json({ error: 'Failed to improve content' });
+    next(error);
   }
 });
 
 // Get AI generation history
-router.get('/history', authMiddleware, (req, res) => {
+router.get('/history', authMiddleware, (req, res, next) => {
   try {
     const { limit = 20, offset = 0 } = req.query;
     
@@ -166,15 +163,14 @@ router.get('/history', authMiddleware, (req, res) => {
       offset: parseInt(offset)
     });
   } catch (error) {
-    console.error('History fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch history' });
+    next(error);
   }
 });
 
 // Get content suggestions based on trending topics
-router.get('/suggestions', authMiddleware, async (req, res) => {
+router.get('/suggestions', authMiddleware, authorize('ai:generate'), async (req, res, next) => {
   try {
-    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE user_id = ?').get(req.user.id);
+    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE workspace_id = ?').get(req.workspace.id);
     
     // Generate topic suggestions based on brand/industry
     const suggestions = await generateContent({
@@ -186,13 +182,12 @@ router.get('/suggestions', authMiddleware, async (req, res) => {
     
     res.json({ suggestions: suggestions.content });
   } catch (error) {
-    console.error('Suggestions error:', error);
-    res.status(500).json({ error: 'Failed to get suggestions' });
+    next(error);
   }
 });
 
 // Generate AI Image
-router.post('/generate-image', authMiddleware, async (req, res) => {
+router.post('/generate-image', authMiddleware, authorize('ai:generate'), async (req, res, next) => {
   try {
     const { topic, style, platform } = req.body;
     
@@ -201,7 +196,7 @@ router.post('/generate-image', authMiddleware, async (req, res) => {
     }
     
     // Get brand settings for context
-    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE user_id = ?').get(req.user.id);
+    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE workspace_id = ?').get(req.workspace.id);
     
     const result = await generateImage({
       topic,
@@ -213,13 +208,12 @@ router.post('/generate-image', authMiddleware, async (req, res) => {
     
     res.json(result);
   } catch (error) {
-    console.error('Image generation error:', error);
-    res.status(500).json({ error: 'Failed to generate image' });
+    next(error);
   }
 });
 
 // Generate complete post (text + image)
-router.post('/generate-complete', authMiddleware, async (req, res) => {
+router.post('/generate-complete', authMiddleware, authorize('ai:generate'), async (req, res, next) => {
   try {
     const { topic, platform, tone, includeImage, imageStyle } = req.body;
     
@@ -228,7 +222,7 @@ router.post('/generate-complete', authMiddleware, async (req, res) => {
     }
     
     // Get brand settings
-    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE user_id = ?').get(req.user.id);
+    const brandSettings = db.prepare('SELECT * FROM brand_settings WHERE workspace_id = ?').get(req.workspace.id);
     
     const result = await generateCompletePost({
       topic,
@@ -260,8 +254,7 @@ router.post('/generate-complete', authMiddleware, async (req, res) => {
       characterCount: result.content.length
     });
   } catch (error) {
-    console.error('Complete post generation error:', error);
-    res.status(500).json({ error: 'Failed to generate complete post' });
+    next(error);
   }
 });
 
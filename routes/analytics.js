@@ -1,53 +1,27 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
-const db = require('../database/db');
+const { authorize } = authMiddleware;
+const analytics = require('../repositories/analytics');
 
 // Get analytics overview
-router.get('/overview', authMiddleware, (req, res) => {
+router.get('/overview', authMiddleware, authorize('analytics:read'), (req, res, next) => {
   try {
     const { days = 30 } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
     
-    // Get post counts by status
-    const statusCounts = db.prepare(`
-      SELECT status, COUNT(*) as count
-      FROM posts 
-      WHERE user_id = ? AND created_at >= ?
-      GROUP BY status
-    `).all(req.user.id, startDate.toISOString());
+    const since = startDate.toISOString();
     
-    // Get posts per platform
-    const platformCounts = db.prepare(`
-      SELECT pp.platform, COUNT(*) as count, 
-             SUM(CASE WHEN pp.status = 'published' THEN 1 ELSE 0 END) as published
-      FROM platform_posts pp
-      JOIN posts p ON pp.post_id = p.id
-      WHERE p.user_id = ? AND p.created_at >= ?
-      GROUP BY pp.platform
-    `).all(req.user.id, startDate.toISOString());
+    // Get post counts by status and per platform
+    const statusCounts = analytics.statusCounts(req.workspace.id, since);
+    const platformCounts = analytics.platformCounts(req.workspace.id, since);
     
     // Get total engagement (demo data if no real analytics)
-    const engagement = db.prepare(`
-      SELECT 
-        SUM(a.likes) as total_likes,
-        SUM(a.comments) as total_comments,
-        SUM(a.shares) as total_shares,
-        SUM(a.impressions) as total_impressions,
-        AVG(a.engagement_rate) as avg_engagement_rate
-      FROM analytics a
-      JOIN platform_posts pp ON a.platform_post_id = pp.id
-      JOIN posts p ON pp.post_id = p.id
-      WHERE p.user_id = ? AND a.recorded_at >= ?
-    `).get(req.user.id, startDate.toISOString());
+    const engagement = analytics.engagementTotals(req.workspace.id, since);
     
     // Get AI usage stats
-    const aiUsage = db.prepare(`
-      SELECT COUNT(*) as generations, SUM(tokens_used) as total_tokens
-      FROM ai_generations
-      WHERE user_id = ? AND created_at >= ?
-    `).get(req.user.id, startDate.toISOString());
+    const aiUsage = analytics.aiUsage(req.user.id, since);
     
     res.json({
       period: `${days} days`,
@@ -69,43 +43,26 @@ router.get('/overview', authMiddleware, (req, res) => {
       }
     });
   } catch (error) {
-    console.error('Analytics overview error:', error);
-    res.status(500).json({ error: 'Failed to fetch analytics' });
+    next(error);
   }
 });
 
 // Get post performance
-router.get('/posts', authMiddleware, (req, res) => {
+router.get('/posts', authMiddleware, authorize('analytics:read'), (req, res, next) => {
   try {
     const { limit = 20, sort = 'engagement' } = req.query;
     
     // Get posts with their analytics
-    const posts = db.prepare(`
-      SELECT 
-        p.id, p.title, p.content, p.platforms, p.status, p.published_at,
-        pp.platform,
-        COALESCE(a.likes, 0) as likes,
-        COALESCE(a.comments, 0) as comments,
-        COALESCE(a.shares, 0) as shares,
-        COALESCE(a.impressions, 0) as impressions,
-        COALESCE(a.engagement_rate, 0) as engagement_rate
-      FROM posts p
-      LEFT JOIN platform_posts pp ON p.id = pp.post_id
-      LEFT JOIN analytics a ON pp.id = a.platform_post_id
-      WHERE p.user_id = ? AND p.status = 'published'
-      ORDER BY (COALESCE(a.likes, 0) + COALESCE(a.comments, 0) + COALESCE(a.shares, 0)) DESC
-      LIMIT ?
-    `).all(req.user.id, parseInt(limit));
+    const posts = analytics.postPerformance(req.workspace.id, parseInt(limit));
     
     res.json({ posts });
   } catch (error) {
-    console.error('Post analytics error:', error);
-    res.status(500).json({ error: 'Failed to fetch post analytics' });
+    next(error);
   }
 });
 
 // Get platform-specific analytics
-router.get('/platform/:platform', authMiddleware, (req, res) => {
+router.get('/platform/:platform', authMiddleware, authorize('analytics:read'), (req, res, next) => {
   try {
     const { platform } = req.params;
     const { days = 30 } = req.query;
@@ -113,34 +70,10 @@ router.get('/platform/:platform', authMiddleware, (req, res) => {
     startDate.setDate(startDate.getDate() - parseInt(days));
     
     // Get platform metrics over time
-    const metrics = db.prepare(`
-      SELECT 
-        DATE(a.recorded_at) as date,
-        SUM(a.likes) as likes,
-        SUM(a.comments) as comments,
-        SUM(a.shares) as shares,
-        SUM(a.impressions) as impressions,
-        AVG(a.engagement_rate) as engagement_rate
-      FROM analytics a
-      JOIN platform_posts pp ON a.platform_post_id = pp.id
-      JOIN posts p ON pp.post_id = p.id
-      WHERE p.user_id = ? AND pp.platform = ? AND a.recorded_at >= ?
-      GROUP BY DATE(a.recorded_at)
-      ORDER BY date
-    `).all(req.user.id, platform, startDate.toISOString());
+    const metrics = analytics.dailyPlatformMetrics(req.workspace.id, platform, startDate.toISOString());
     
     // Get best performing posts for this platform
-    const topPosts = db.prepare(`
-      SELECT 
-        p.id, p.title, p.content, p.published_at,
-        a.likes, a.comments, a.shares, a.impressions, a.engagement_rate
-      FROM posts p
-      JOIN platform_posts pp ON p.id = pp.post_id
-      JOIN analytics a ON pp.id = a.platform_post_id
-      WHERE p.user_id = ? AND pp.platform = ?
-      ORDER BY (a.likes + a.comments + a.shares) DESC
-      LIMIT 5
-    `).all(req.user.id, platform);
+    const topPosts = analytics.topPlatformPosts(req.workspace.id, platform);
     
     res.json({
       platform,
@@ -149,70 +82,66 @@ router.get('/platform/:platform', authMiddleware, (req, res) => {
       topPosts
     });
   } catch (error) {
-    console.error('Platform analytics error:', error);
-    res.status(500).json({ error: 'Failed to fetch platform analytics' });
+    next(error);
   }
 });
 
 // Record analytics (for webhook callbacks from platforms)
-router.post('/record', authMiddleware, (req, res) => {
+router.post('/record', authMiddleware, authorize('analytics:write'), (req, res, next) => {
   try {
-    const { platform_post_id, platform, likes, comments, shares, impressions, reach, clicks } = req.body;
+    const { external_post_id, platform, likes, comments, shares, impressions, reach, clicks } = req.body;
+    let { platform_post_id } = req.body;
+    
+    // Metrics reported per platform post ID (e.g. any tweet of a thread) roll up to one platform post
+    if (!platform_post_id && external_post_id) {
+      const platformPost = analytics.findPlatformPost(req.workspace.id, platform, external_post_id);
+      
+      if (!platformPost) {
+        return res.status(404).json({ error: 'Platform post not found' });
+      }
+      
+      platform_post_id = platformPost.id;
+    }
     
     // Calculate engagement rate
     const totalEngagement = (likes || 0) + (comments || 0) + (shares || 0);
     const engagementRate = impressions > 0 ? (totalEngagement / impressions) * 100 : 0;
     
-    db.prepare(`
-      INSERT INTO analytics (platform_post_id, platform, likes, comments, shares, impressions, reach, clicks, engagement_rate)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(platform_post_id, platform, likes || 0, comments || 0, shares || 0, impressions || 0, reach || 0, clicks || 0, engagementRate);
+    analytics.record([{
+      platformPostId: platform_post_id,
+      platform,
+      likes,
+      comments,
+      shares,
+      impressions,
+      reach,
+      clicks,
+      engagementRate
+    }]);
     
     res.json({ message: 'Analytics recorded successfully' });
   } catch (error) {
-    console.error('Record analytics error:', error);
-    res.status(500).json({ error: 'Failed to record analytics' });
+    next(error);
   }
 });
 
 // Get engagement trends
-router.get('/trends', authMiddleware, (req, res) => {
+router.get('/trends', authMiddleware, authorize('analytics:read'), (req, res, next) => {
   try {
     const { days = 30 } = req.query;
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - parseInt(days));
     
+    const since = startDate.toISOString();
+    
     // Get daily posting activity
-    const postingTrend = db.prepare(`
-      SELECT DATE(created_at) as date, COUNT(*) as posts
-      FROM posts
-      WHERE user_id = ? AND created_at >= ?
-      GROUP BY DATE(created_at)
-      ORDER BY date
-    `).all(req.user.id, startDate.toISOString());
+    const postingTrend = analytics.postingTrend(req.workspace.id, since);
     
     // Get content type breakdown
-    const contentTypes = db.prepare(`
-      SELECT 
-        CASE 
-          WHEN media_urls IS NOT NULL AND media_urls != '[]' THEN 'with_media'
-          ELSE 'text_only'
-        END as type,
-        COUNT(*) as count
-      FROM posts
-      WHERE user_id = ? AND created_at >= ?
-      GROUP BY type
-    `).all(req.user.id, startDate.toISOString());
+    const contentTypes = analytics.contentTypes(req.workspace.id, since);
     
     // Get AI vs manual content
-    const aiVsManual = db.prepare(`
-      SELECT 
-        CASE WHEN ai_generated = 1 THEN 'ai_generated' ELSE 'manual' END as source,
-        COUNT(*) as count
-      FROM posts
-      WHERE user_id = ? AND created_at >= ?
-      GROUP BY ai_generated
-    `).all(req.user.id, startDate.toISOString());
+    const aiVsManual = analytics.contentSources(req.workspace.id, since);
     
     res.json({
       period: `${days} days`,
@@ -221,31 +150,22 @@ router.get('/trends', authMiddleware, (req, res) => {
       aiVsManual
     });
   } catch (error) {
-    console.error('Trends error:', error);
-    res.status(500).json({ error: 'Failed to fetch trends' });
+    next(error);
   }
 });
 
 // Generate demo analytics data
-router.post('/generate-demo', authMiddleware, (req, res) => {
+router.post('/generate-demo', authMiddleware, authorize('analytics:write'), (req, res, next) => {
   try {
     // Get published platform posts
-    const platformPosts = db.prepare(`
-      SELECT pp.id, pp.platform
-      FROM platform_posts pp
-      JOIN posts p ON pp.post_id = p.id
-      WHERE p.user_id = ? AND pp.status = 'published'
-    `).all(req.user.id);
+    const platformPosts = analytics.listPublishedPlatformPosts(req.workspace.id);
     
     if (platformPosts.length === 0) {
       return res.status(400).json({ error: 'No published posts found' });
     }
     
     // Generate random analytics for each
-    const insertAnalytics = db.prepare(`
-      INSERT INTO analytics (platform_post_id, platform, likes, comments, shares, impressions, reach, clicks, engagement_rate, recorded_at)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `);
+    const entries = [];
     
     platformPosts.forEach(pp => {
       const likes = Math.floor(Math.random() * 500);
@@ -260,28 +180,30 @@ router.post('/generate-demo', authMiddleware, (req, res) => {
       for (let i = 0; i < 7; i++) {
         const date = new Date();
         date.setDate(date.getDate() - i);
-        insertAnalytics.run(
-          pp.id, 
-          pp.platform,
-          Math.floor(likes / (i + 1)),
-          Math.floor(comments / (i + 1)),
-          Math.floor(shares / (i + 1)),
-          Math.floor(impressions / (i + 1)),
-          Math.floor(reach / (i + 1)),
-          Math.floor(clicks / (i + 1)),
+        entries.push({
+          platformPostId: pp.id,
+          platform: pp.platform,
+          likes: Math.floor(likes / (i + 1)),
+          comments: Math.floor(comments / (i + 1)),
+          shares: Math.floor(shares / (i + 1)),
+          impressions: Math.floor(impressions / (i + 1)),
+          reach: Math.floor(reach / (i + 1)),
+          clicks: Math.floor(clicks / (i + 1)),
           engagementRate,
-          date.toISOString()
-        );
+          recordedAt: date.toISOString()
+        });
       }
     });
     
+    // One transaction, so the whole batch is journaled with a single write
+    analytics.record(entries);
+    
     res.json({ 
       message: 'Demo analytics generated',
       postsUpdated: platformPosts.length
     });
   } catch (error) {
-    console.error('Generate demo error:', error);
-    res.status(500).json({ error: 'Failed to generate demo analytics' });
+    next(error);
   }
 });
 
@@ -0,0 +1,97 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { authorize, can, PERMISSIONS, NON_KEY_SCOPES } = authMiddleware;
+const { createApiKey, listApiKeys, getApiKey, revokeApiKey } = require('../services/apiKeys');
+
+// API keys for the current workspace. Send a key as `Authorization: Bearer sai_...` or
+// `X-API-Key: sai_...`; it acts as its creator within the scopes it was given.
+
+// Scopes the member may put on a key: whatever their role allows
+function grantableScopes(role) {
+  return Object.keys(PERMISSIONS).filter(scope => !NON_KEY_SCOPES.includes(scope) && can(role, scope));
+}
+
+// List keys (admins see every member's keys, everyone else their own)
+router.get('/', authMiddleware, authorize('api_keys:manage'), (req, res, next) => {
+  try {
+    const seesAll = can(req.workspace.role, 'members:manage');
+
+    res.json({
+      apiKeys: listApiKeys(req.workspace.id, seesAll ? null : req.user.id),
+      availableScopes: grantableScopes(req.workspace.role)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a key
+router.post('/', authMiddleware, authorize('api_keys:manage'), (req, res, next) => {
+  try {
+    const { name, scopes, expires_at } = req.body;
+
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      return res.status(400).json({ error: 'At least one scope is required' });
+    }
+
+    const allowed = grantableScopes(req.workspace.role);
+    const invalid = scopes.filter(scope => !allowed.includes(scope));
+
+    if (invalid.length > 0) {
+      return res.status(400).json({
+        error: `You cannot grant these scopes: ${invalid.join(', ')}`,
+        availableScopes: allowed
+      });
+    }
+
+    if (expires_at && (isNaN(new Date(expires_at)) || new Date(expires_at) <= new Date())) {
+      return res.status(400).json({ error: 'expires_at must be a future date' });
+    }
+
+    const uniqueScopes = [...new Set(scopes)];
+    const apiKey = createApiKey(req.workspace.id, req.user.id, {
+      name: String(name).trim(),
+      scopes: uniqueScopes,
+      expiresAt: expires_at ? new Date(expires_at).toISOString() : null
+    });
+
+    // The key is only shown once; it is stored hashed
+    res.status(201).json({
+      message: 'API key created successfully',
+      apiKey: {
+        id: apiKey.id,
+        name: String(name).trim(),
+        prefix: apiKey.prefix,
+        scopes: uniqueScopes,
+        expires_at: expires_at ? new Date(expires_at).toISOString() : null,
+        key: apiKey.key
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke a key
+router.delete('/:id', authMiddleware, authorize('api_keys:manage'), (req, res, next) => {
+  try {
+    const apiKey = getApiKey(req.workspace.id, req.params.id);
+
+    if (!apiKey || (apiKey.user_id !== req.user.id && !can(req.workspace.role, 'members:manage'))) {
+      return res.status(404).json({ error: 'API key not found' });
+    }
+
+    revokeApiKey(apiKey.id);
+
+    res.json({ message: 'API key revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
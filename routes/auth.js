@@ -1,22 +1,49 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
 const db = require('../database/db');
 const authMiddleware = require('../middleware/auth');
+const { authorize } = authMiddleware;
+const { createWorkspace, listWorkspaces } = require('../services/workspaces');
+const {
+  createSession,
+  rotateSession,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  listSessions
+} = require('../services/sessions');
+const { consumeAccountToken } = require('../services/accountTokens');
+const { sendVerificationEmail, sendPasswordResetEmail } = require('../services/emails');
+const twoFactor = require('../services/twoFactor');
+const { DEFAULT_TIME_ZONE, isValidTimeZone } = require('../services/timezones');
 
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+// Device details recorded with a session so users can recognise it in the session list
+const clientInfo = req => ({ userAgent: req.get('user-agent'), ipAddress: req.ip });
+
+const publicUser = user => ({
+  id: user.id,
+  email: user.email,
+  name: user.name,
+  company: user.company,
+  timezone: user.timezone,
+  email_verified_at: user.email_verified_at
+});
 
 // Register new user
-router.post('/register', async (req, res) => {
+router.post('/register', async (req, res, next) => {
   try {
-    const { email, password, name, company } = req.body;
+    const { email, password, name, company, timezone = DEFAULT_TIME_ZONE } = req.body;
     
     // Validate input
     if (!email || !password || !name) {
       return res.status(400).json({ error: 'Email, password, and name are required' });
     }
     
+    if (!isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
     // Check if user exists
     const existingUser = db.prepare('SELECT id FROM users WHERE email = ?').get(email);
     if (existingUser) {
@@ -28,37 +55,45 @@ router.post('/register', async (req, res) => {
     
     // Insert user
     const result = db.prepare(`
-      INSERT INTO users (email, password, name, company)
-      VALUES (?, ?, ?, ?)
-    `).run(email, hashedPassword, name, company || null);
+      INSERT INTO users (email, password, name, company, timezone)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(email, hashedPassword, name, company || null, timezone);
+    
+    // Every user starts with a personal workspace they own
+    const workspaceId = createWorkspace(company || `${name}'s Workspace`, result.lastInsertRowid);
     
     // Create default brand settings
     db.prepare(`
-      INSERT INTO brand_settings (user_id, brand_name, tone)
-      VALUES (?, ?, ?)
-    `).run(result.lastInsertRowid, company || name, 'professional');
+      INSERT INTO brand_settings (workspace_id, user_id, brand_name, tone)
+      VALUES (?, ?, ?, ?)
+    `).run(workspaceId, result.lastInsertRowid, company || name, 'professional');
+    
+    // Ask the user to confirm their address; registration does not wait for the mail server
+    sendVerificationEmail({ id: result.lastInsertRowid, email, name })
+      .catch(error => console.error('Verification email error:', error));
     
-    // Generate token
-    const token = jwt.sign({ userId: result.lastInsertRowid }, JWT_SECRET, { expiresIn: '7d' });
+    // Start a session
+    const tokens = createSession(result.lastInsertRowid, clientInfo(req));
     
     res.status(201).json({
       message: 'User created successfully',
-      token,
+      ...tokens,
       user: {
         id: result.lastInsertRowid,
         email,
         name,
-        company
+        company,
+        timezone,
+        email_verified_at: null
       }
     });
   } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Failed to register user' });
+    next(error);
   }
 });
 
 // Login
-router.post('/login', async (req, res) => {
+router.post('/login', async (req, res, next) => {
   try {
     const { email, password } = req.body;
     
@@ -79,60 +114,390 @@ router.post('/login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
     
-    // Generate token
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    // With 2FA on, the password only earns a challenge to exchange at /login/2fa
+    if (user.two_factor_enabled_at) {
+      return res.json({
+        message: 'Two-factor authentication required',
+        twoFactorRequired: true,
+        challengeToken: twoFactor.createChallenge(user.id)
+      });
+    }
+    
+    // Start a session
+    const tokens = createSession(user.id, clientInfo(req));
     
     res.json({
       message: 'Login successful',
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        company: user.company
-      }
+      ...tokens,
+      user: publicUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Second login step: a code from the authenticator app, or a recovery code
+router.post('/login/2fa', (req, res, next) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({ error: 'Challenge token and a code or recovery code are required' });
+    }
+    
+    const { userId, error } = twoFactor.completeChallenge(challengeToken, { code, recoveryCode });
+    
+    if (error) {
+      return res.status(401).json({ error });
+    }
+    
+    const user = db.prepare('SELECT * FROM users WHERE id = ?').get(userId);
+    const tokens = createSession(user.id, clientInfo(req));
+    
+    res.json({
+      message: 'Login successful',
+      ...tokens,
+      user: publicUser(user),
+      recoveryCodesRemaining: recoveryCode ? twoFactor.countRecoveryCodes(user.id) : undefined
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Two-factor status for the current user
+router.get('/2fa', authMiddleware, (req, res, next) => {
+  try {
+    const enabled = Boolean(req.user.two_factor_enabled_at);
+    
+    res.json({
+      enabled,
+      enabledAt: req.user.two_factor_enabled_at,
+      recoveryCodesRemaining: enabled ? twoFactor.countRecoveryCodes(req.user.id) : 0,
+      requiredBy: twoFactor.workspacesRequiringTwoFactor(req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Start enrolling an authenticator app. Show otpauthUrl as a QR code, then confirm with /2fa/enable.
+router.post('/2fa/setup', authMiddleware, (req, res, next) => {
+  try {
+    if (req.user.two_factor_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    
+    const { secret, otpauthUrl } = twoFactor.beginEnrollment(req.user);
+    
+    res.json({ secret, otpauthUrl });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm enrollment with a code from the app; returns the recovery codes once
+router.post('/2fa/enable', authMiddleware, (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    if (!code) {
+      return res.status(400).json({ error: 'Code is required' });
+    }
+    
+    const recoveryCodes = twoFactor.confirmEnrollment(req.user.id, code);
+    
+    if (!recoveryCodes) {
+      return res.status(400).json({ error: 'Invalid authentication code' });
+    }
+    
+    // Sessions opened with just a password no longer meet the bar
+    revokeAllSessions(req.user.id, { exceptSessionId: req.sessionId, reason: 'two_factor_enabled' });
+    
+    res.json({
+      message: 'Two-factor authentication enabled',
+      recoveryCodes
     });
   } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Failed to login' });
+    next(error);
+  }
+});
+
+// Turn 2FA off; needs the password and a current code or recovery code
+router.post('/2fa/disable', authMiddleware, async (req, res, next) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    
+    if (!req.user.two_factor_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    const requiredBy = twoFactor.workspacesRequiringTwoFactor(req.user.id);
+    if (requiredBy.length > 0) {
+      return res.status(400).json({
+        error: 'Two-factor authentication is required by your workspaces',
+        requiredBy
+      });
+    }
+    
+    const user = db.prepare('SELECT password FROM users WHERE id = ?').get(req.user.id);
+    const validPassword = password && await bcrypt.compare(password, user.password);
+    
+    if (!validPassword || !twoFactor.verifySecondFactor(req.user.id, { code, recoveryCode })) {
+      return res.status(401).json({ error: 'Invalid password or authentication code' });
+    }
+    
+    twoFactor.disable(req.user.id);
+    
+    res.json({ message: 'Two-factor authentication disabled' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the recovery codes; the old ones stop working
+router.post('/2fa/recovery-codes', authMiddleware, (req, res, next) => {
+  try {
+    const { code } = req.body;
+    
+    if (!req.user.two_factor_enabled_at) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    
+    if (!code || !twoFactor.verifySecondFactor(req.user.id, { code })) {
+      return res.status(401).json({ error: 'Invalid authentication code' });
+    }
+    
+    res.json({ recoveryCodes: twoFactor.generateRecoveryCodes(req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Confirm an email address with the token from the verification email
+router.post('/verify-email', (req, res, next) => {
+  try {
+    const { token } = req.body;
+    
+    if (!token) {
+      return res.status(400).json({ error: 'Verification token is required' });
+    }
+    
+    const userId = consumeAccountToken(token, 'verify_email');
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'Verification link is invalid or has expired' });
+    }
+    
+    db.prepare(`
+      UPDATE users SET email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+      WHERE id = ?
+    `).run(userId);
+    
+    res.json({ message: 'Email verified successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authMiddleware, async (req, res, next) => {
+  try {
+    if (req.user.email_verified_at) {
+      return res.status(400).json({ error: 'Email is already verified' });
+    }
+    
+    await sendVerificationEmail(req.user);
+    
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Email a password reset link. The response is the same whether or not the account
+// exists so this cannot be used to find out who has an account.
+router.post('/forgot-password', (req, res, next) => {
+  try {
+    const { email } = req.body;
+    
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+    
+    const user = db.prepare('SELECT id, email, name FROM users WHERE email = ?').get(email);
+    
+    // Sent without waiting, so the response time doesn't reveal whether the account exists
+    // either; a mail failure is only logged
+    if (user) {
+      sendPasswordResetEmail(user)
+        .catch(mailError => console.error('Password reset email error:', mailError));
+    }
+    
+    res.json({ message: 'If an account exists for that email, a password reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Choose a new password with the token from the reset email
+router.post('/reset-password', async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    
+    if (!token || !password) {
+      return res.status(400).json({ error: 'Token and password are required' });
+    }
+    
+    const userId = consumeAccountToken(token, 'reset_password');
+    
+    if (!userId) {
+      return res.status(400).json({ error: 'Reset link is invalid or has expired' });
+    }
+    
+    const hashedPassword = await bcrypt.hash(password, 10);
+    
+    // Receiving the reset email also proves the address belongs to the user
+    db.prepare(`
+      UPDATE users SET
+        password = ?,
+        email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(hashedPassword, userId);
+    
+    // Sign out everywhere in case the old password was compromised
+    revokeAllSessions(userId, { reason: 'password_reset' });
+    
+    res.json({ message: 'Password reset successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    
+    const { tokens, error } = rotateSession(refreshToken, clientInfo(req));
+    
+    if (error) {
+      return res.status(401).json({ error });
+    }
+    
+    res.json(tokens);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out the session a refresh token belongs to
+router.post('/logout', (req, res, next) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken) {
+      return res.status(400).json({ error: 'Refresh token is required' });
+    }
+    
+    revokeByRefreshToken(refreshToken);
+    
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out every session, or every other session with { keepCurrent: true }
+router.post('/logout-all', authMiddleware, (req, res, next) => {
+  try {
+    const revoked = revokeAllSessions(req.user.id, {
+      exceptSessionId: req.body.keepCurrent ? req.sessionId : null
+    });
+    
+    res.json({ message: 'Sessions logged out successfully', revoked });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authMiddleware, (req, res, next) => {
+  try {
+    const sessions = listSessions(req.user.id).map(session => ({
+      ...session,
+      current: session.id === req.sessionId
+    }));
+    
+    res.json({ sessions });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Log out a single session
+router.delete('/sessions/:id', authMiddleware, (req, res, next) => {
+  try {
+    const session = listSessions(req.user.id).find(s => s.id === Number(req.params.id));
+    
+    if (!session) {
+      return res.status(404).json({ error: 'Session not found' });
+    }
+    
+    revokeSession(session.id);
+    
+    res.json({ message: 'Session logged out successfully' });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Get current user
 router.get('/me', authMiddleware, (req, res) => {
-  res.json({ user: req.user });
+  res.json({
+    user: req.user,
+    workspace: req.workspace,
+    workspaces: listWorkspaces(req.user.id)
+  });
 });
 
 // Update user profile
-router.put('/profile', authMiddleware, async (req, res) => {
+router.put('/profile', authMiddleware, async (req, res, next) => {
   try {
-    const { name, company } = req.body;
+    const { name, company, timezone } = req.body;
+    
+    if (timezone !== undefined && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
     
     db.prepare(`
-      UPDATE users SET name = ?, company = ?, updated_at = CURRENT_TIMESTAMP
+      UPDATE users SET name = ?, company = ?, timezone = COALESCE(?, timezone), updated_at = CURRENT_TIMESTAMP
       WHERE id = ?
-    `).run(name, company, req.user.id);
+    `).run(name, company, timezone || null, req.user.id);
     
     res.json({ message: 'Profile updated successfully' });
   } catch (error) {
-    console.error('Profile update error:', error);
-    res.status(500).json({ error: 'Failed to update profile' });
+    next(error);
   }
 });
 
 // Get brand settings
-router.get('/brand-settings', authMiddleware, (req, res) => {
+router.get('/brand-settings', authMiddleware, authorize('brand:read'), (req, res, next) => {
   try {
-    const settings = db.prepare('SELECT * FROM brand_settings WHERE user_id = ?').get(req.user.id);
+    const settings = db.prepare('SELECT * FROM brand_settings WHERE workspace_id = ?').get(req.workspace.id);
     res.json({ settings: settings || {} });
   } catch (error) {
-    console.error('Brand settings error:', error);
-    res.status(500).json({ error: 'Failed to get brand settings' });
+    next(error);
   }
 });
 
 // Update brand settings
-router.put('/brand-settings', authMiddleware, (req, res) => {
+router.put('/brand-settings', authMiddleware, authorize('brand:manage'), (req, res, next) => {
   try {
     const {
       brand_name,
@@ -145,7 +510,7 @@ router.put('/brand-settings', authMiddleware, (req, res) => {
     } = req.body;
     
     // Check if settings exist
-    const existing = db.prepare('SELECT id FROM brand_settings WHERE user_id = ?').get(req.user.id);
+    const existing = db.prepare('SELECT id FROM brand_settings WHERE workspace_id = ?').get(req.workspace.id);
     
     if (existing) {
       db.prepare(`
@@ -158,19 +523,18 @@ router.put('/brand-settings', authMiddleware, (req, res) => {
           hashtag_strategy = ?,
           tone = ?,
           updated_at = CURRENT_TIMESTAMP
-        WHERE user_id = ?
-      `).run(brand_name, brand_voice, target_audience, industry, keywords, hashtag_strategy, tone, req.user.id);
+        WHERE workspace_id = ?
+      `).run(brand_name, brand_voice, target_audience, industry, keywords, hashtag_strategy, tone, req.workspace.id);
     } else {
       db.prepare(`
-        INSERT INTO brand_settings (user_id, brand_name, brand_voice, target_audience, industry, keywords, hashtag_strategy, tone)
-        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
-      `).run(req.user.id, brand_name, brand_voice, target_audience, industry, keywords, hashtag_strategy, tone);
+        INSERT INTO brand_settings (workspace_id, user_id, brand_name, brand_voice, target_audience, industry, keywords, hashtag_strategy, tone)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(req.workspace.id, req.user.id, brand_name, brand_voice, target_audience, industry, keywords, hashtag_strategy, tone);
     }
     
     res.json({ message: 'Brand settings updated successfully' });
   } catch (error) {
-    console.error('Brand settings update error:', error);
-    res.status(500).json({ error: 'Failed to update brand settings' });
+    next(error);
   }
 });
 
@@ -4,7 +4,16 @@ const multer = require('multer');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
 const authMiddleware = require('../middleware/auth');
-const db = require('../database/db');
+const { authorize } = authMiddleware;
+const posts = require('../repositories/posts');
+const { createPost, resolveTargets, targetPlatforms, syncPlatformPosts } = require('../services/posts');
+const approvals = require('../services/approvals');
+const revisions = require('../services/revisions');
+const { getMembership } = require('../services/workspaces');
+const { emitPostEvent, emitPublishOutcome } = require('../services/webhooks');
+const { claimPostForPublishing, completeJob, holdLease } = require('../services/publishQueue');
+const { expandForCalendar, rangeError } = require('../services/recurrence');
+const { parseDateTime, parseStoredTime, formatInTimeZone, wallClockToUtc, requestTimeZone } = require('../services/timezones');
 
 // Configure multer for file uploads
 const storage = multer.diskStorage({
@@ -33,61 +42,49 @@ const upload = multer({
 });
 
 // Get all posts for user
-router.get('/', authMiddleware, (req, res) => {
+router.get('/', authMiddleware, authorize('posts:read'), (req, res, next) => {
   try {
-    const { status, platform, limit = 50, offset = 0 } = req.query;
+    const { status, platform, account_id, approval_status, reviewer, limit = 50, offset = 0 } = req.query;
     
-    let query = 'SELECT * FROM posts WHERE user_id = ?';
-    const params = [req.user.id];
-    
-    if (status) {
-      query += ' AND status = ?';
-      params.push(status);
-    }
-    
-    if (platform) {
-      query += ' AND platforms LIKE ?';
-      params.push(`%${platform}%`);
-    }
-    
-    query += ' ORDER BY created_at DESC LIMIT ? OFFSET ?';
-    params.push(parseInt(limit), parseInt(offset));
-    
-    const posts = db.prepare(query).all(...params);
+    const rows = posts.list(req.workspace.id, {
+      status,
+      platform,
+      accountId: account_id ? parseInt(account_id) : null,
+      approvalStatus: approval_status,
+      // reviewer=me lists the posts waiting on the current user
+      reviewerId: reviewer ? (reviewer === 'me' ? req.user.id : parseInt(reviewer)) : null,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
     
     // Parse JSON fields
-    const parsedPosts = posts.map(post => ({
+    const parsedPosts = rows.map(post => ({
       ...post,
       media_urls: post.media_urls ? JSON.parse(post.media_urls) : [],
       platforms: post.platforms ? JSON.parse(post.platforms) : [],
       hashtags: post.hashtags ? JSON.parse(post.hashtags) : []
     }));
     
-    const total = db.prepare('SELECT COUNT(*) as count FROM posts WHERE user_id = ?').get(req.user.id);
-    
     res.json({ 
       posts: parsedPosts, 
-      total: total.count 
+      total: posts.count(req.workspace.id)
     });
   } catch (error) {
-    console.error('Fetch posts error:', error);
-    res.status(500).json({ error: 'Failed to fetch posts' });
+    next(error);
   }
 });
 
 // Get single post
-router.get('/:id', authMiddleware, (req, res) => {
+router.get('/:id', authMiddleware, authorize('posts:read'), (req, res, next) => {
   try {
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(req.params.id, req.user.id);
-    
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = posts.get(req.params.id, req.workspace.id);
     
     // Get platform-specific posts
-    const platformPosts = db.prepare('SELECT * FROM platform_posts WHERE post_id = ?')
-      .all(post.id);
+    const platformPosts = posts.listPlatformPosts(post.id)
+      .map(pp => ({
+        ...pp,
+        thread_ids: pp.thread_ids ? JSON.parse(pp.thread_ids) : null
+      }));
     
     res.json({
       post: {
@@ -99,73 +96,76 @@ router.get('/:id', authMiddleware, (req, res) => {
       platformPosts
     });
   } catch (error) {
-    console.error('Fetch post error:', error);
-    res.status(500).json({ error: 'Failed to fetch post' });
+    next(error);
   }
 });
 
 // Create new post
-router.post('/', authMiddleware, (req, res) => {
+router.post('/', authMiddleware, authorize('posts:write'), (req, res, next) => {
   try {
     const {
       title,
       content,
       platforms,
+      account_ids,
       status = 'draft',
       scheduled_at,
+      timezone,
       hashtags,
       ai_generated,
       ai_prompt
     } = req.body;
     
-    if (!content || !platforms || platforms.length === 0) {
-      return res.status(400).json({ error: 'Content and platforms are required' });
+    // Local times without an offset are read in the requester's zone
+    const timeZone = requestTimeZone(req, timezone);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
     }
     
-    const result = db.prepare(`
-      INSERT INTO posts (user_id, title, content, platforms, status, scheduled_at, hashtags, ai_generated, ai_prompt)
-      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
-    `).run(
-      req.user.id,
-      title || null,
+    const scheduledAt = parseDateTime(scheduled_at, timeZone);
+    if (scheduled_at && !scheduledAt) {
+      return res.status(400).json({ error: 'Invalid scheduled time' });
+    }
+    
+    const { targets, invalid } = resolveTargets(req.workspace.id, { platforms, account_ids });
+    
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Unknown or inactive social accounts', accountIds: invalid });
+    }
+    
+    if (!content || targets.length === 0) {
+      return res.status(400).json({ error: 'Content and accounts or platforms are required' });
+    }
+    
+    // New posts have not been reviewed yet
+    if (status !== 'draft' && approvals.requiresApproval(req.workspace.id)) {
+      return res.status(400).json({ error: 'Posts in this workspace must be approved before they can be scheduled or published' });
+    }
+    
+    const postId = createPost(req.workspace.id, req.user.id, {
+      title,
       content,
-      JSON.stringify(platforms),
+      targets,
       status,
-      scheduled_at || null,
-      JSON.stringify(hashtags || []),
-      ai_generated ? 1 : 0,
-      ai_prompt || null
-    );
-    
-    // Create platform-specific posts
-    const insertPlatformPost = db.prepare(`
-      INSERT INTO platform_posts (post_id, platform, content, status)
-      VALUES (?, ?, ?, ?)
-    `);
-    
-    platforms.forEach(platform => {
-      insertPlatformPost.run(result.lastInsertRowid, platform, content, 'pending');
+      scheduled_at: scheduledAt ? scheduledAt.toISOString() : null,
+      hashtags,
+      ai_generated,
+      ai_prompt
     });
     
     res.status(201).json({
       message: 'Post created successfully',
-      postId: result.lastInsertRowid
+      postId
     });
   } catch (error) {
-    console.error('Create post error:', error);
-    res.status(500).json({ error: 'Failed to create post' });
+    next(error);
   }
 });
 
 // Update post
-router.put('/:id', authMiddleware, (req, res) => {
+router.put('/:id', authMiddleware, authorize('posts:write'), (req, res, next) => {
   try {
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(req.params.id, req.user.id);
-    
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = posts.get(req.params.id, req.workspace.id);
     
     if (post.status === 'published') {
       return res.status(400).json({ error: 'Cannot edit published posts' });
@@ -175,158 +175,559 @@ router.put('/:id', authMiddleware, (req, res) => {
       title,
       content,
       platforms,
+      account_ids,
       status,
       scheduled_at,
+      timezone,
       hashtags
     } = req.body;
     
-    db.prepare(`
-      UPDATE posts SET
-        title = COALESCE(?, title),
-        content = COALESCE(?, content),
-        platforms = COALESCE(?, platforms),
-        status = COALESCE(?, status),
-        scheduled_at = ?,
-        hashtags = COALESCE(?, hashtags),
-        updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(
+    const timeZone = requestTimeZone(req, timezone);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
+    const scheduledAt = parseDateTime(scheduled_at, timeZone);
+    if (scheduled_at && !scheduledAt) {
+      return res.status(400).json({ error: 'Invalid scheduled time' });
+    }
+    
+    // Re-target the post when the selected accounts or platforms change
+    let targets = null;
+    if (account_ids || platforms) {
+      const resolved = resolveTargets(req.workspace.id, { platforms, account_ids });
+      
+      if (resolved.invalid.length > 0) {
+        return res.status(400).json({ error: 'Unknown or inactive social accounts', accountIds: resolved.invalid });
+      }
+      
+      if (resolved.targets.length === 0) {
+        return res.status(400).json({ error: 'At least one account or platform is required' });
+      }
+      
+      targets = resolved.targets;
+    }
+    
+    // Changing what gets published invalidates an earlier review
+    const edited = Boolean(title || content || targets || hashtags);
+    const approvedAfterEdit = post.approval_status === 'approved' && !edited;
+    
+    if (status && status !== 'draft' && !approvedAfterEdit && approvals.requiresApproval(req.workspace.id)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be scheduled or published' });
+    }
+    
+    revisions.ensureBaseline(post);
+    
+    posts.update(post.id, {
       title,
       content,
-      platforms ? JSON.stringify(platforms) : null,
+      platforms: targets ? JSON.stringify(targetPlatforms(targets)) : null,
       status,
-      scheduled_at,
-      hashtags ? JSON.stringify(hashtags) : null,
-      req.params.id
-    );
+      scheduledAt: scheduledAt ? scheduledAt.toISOString() : null,
+      hashtags: hashtags ? JSON.stringify(hashtags) : null
+    });
+    
+    if (targets) {
+      syncPlatformPosts(post.id, targets, content || post.content);
+    }
     
-    // Update platform posts if content changed
+    if (edited) {
+      approvals.resetApproval(post, req.user.id);
+    }
+    
+    // Carry the new content over to platform posts that weren't customized per platform
     if (content) {
-      db.prepare('UPDATE platform_posts SET content = ? WHERE post_id = ?')
-        .run(content, req.params.id);
+      posts.replacePlatformContent(post.id, content, post.content);
     }
     
-    res.json({ message: 'Post updated successfully' });
+    const revision = revisions.recordRevision(post.id, req.user.id, { note: req.body.revision_note });
+    
+    if (status === 'scheduled' && (post.status !== 'scheduled' || scheduledAt?.toISOString() !== post.scheduled_at)) {
+      emitPostEvent(post.id, 'post.scheduled');
+    }
+    
+    res.json({ message: 'Post updated successfully', revision });
   } catch (error) {
-    console.error('Update post error:', error);
-    res.status(500).json({ error: 'Failed to update post' });
+    next(error);
   }
 });
 
 // Delete post
-router.delete('/:id', authMiddleware, (req, res) => {
+router.delete('/:id', authMiddleware, authorize('posts:write'), (req, res, next) => {
   try {
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(req.params.id, req.user.id);
-    
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = posts.get(req.params.id, req.workspace.id);
     
-    // Delete platform posts first (cascade should handle this, but just in case)
-    db.prepare('DELETE FROM platform_posts WHERE post_id = ?').run(req.params.id);
-    db.prepare('DELETE FROM posts WHERE id = ?').run(req.params.id);
+    posts.remove(post.id);
     
     res.json({ message: 'Post deleted successfully' });
   } catch (error) {
-    console.error('Delete post error:', error);
-    res.status(500).json({ error: 'Failed to delete post' });
+    next(error);
   }
 });
 
 // Upload media for post
-router.post('/:id/media', authMiddleware, upload.array('media', 10), (req, res) => {
+router.post('/:id/media', authMiddleware, authorize('posts:write'), upload.array('media', 10), (req, res, next) => {
   try {
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(req.params.id, req.user.id);
+    const post = posts.get(req.params.id, req.workspace.id);
     
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    revisions.ensureBaseline(post);
     
     const mediaUrls = req.files.map(file => `/uploads/${file.filename}`);
     const existingMedia = post.media_urls ? JSON.parse(post.media_urls) : [];
     const allMedia = [...existingMedia, ...mediaUrls];
     
-    db.prepare('UPDATE posts SET media_urls = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-      .run(JSON.stringify(allMedia), req.params.id);
+    // Platform posts get the same media
+    posts.setMedia(post.id, JSON.stringify(allMedia));
     
-    // Update platform posts
-    db.prepare('UPDATE platform_posts SET media_urls = ? WHERE post_id = ?')
-      .run(JSON.stringify(allMedia), req.params.id);
+    approvals.resetApproval(post, req.user.id);
+    revisions.recordRevision(post.id, req.user.id, { note: 'Media uploaded' });
     
     res.json({ 
       message: 'Media uploaded successfully',
       mediaUrls: allMedia
     });
   } catch (error) {
-    console.error('Media upload error:', error);
-    res.status(500).json({ error: 'Failed to upload media' });
+    next(error);
   }
 });
 
+// Publish a post under a claim on the publish queue, so the scheduler and other requests
+// can't publish it at the same time. Returns null when it is already being published.
+async function publishClaimed(post, publish) {
+  const job = claimPostForPublishing(post.id);
+  if (!job) {
+    return null;
+  }
+  
+  const releaseLease = holdLease(job.id);
+  try {
+    return await publish();
+  } catch (error) {
+    posts.setStatus(post.id, post.status);
+    throw error;
+  } finally {
+    releaseLease();
+    completeJob(job.id);
+  }
+}
+
 // Publish post immediately
-router.post('/:id/publish', authMiddleware, async (req, res) => {
+router.post('/:id/publish', authMiddleware, authorize('posts:publish'), async (req, res, next) => {
   try {
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(req.params.id, req.user.id);
-    
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = posts.get(req.params.id, req.workspace.id);
     
     if (post.status === 'published') {
       return res.status(400).json({ error: 'Post already published' });
     }
     
-    // In a real app, this would call the social media APIs
-    // For now, we'll just update the status
-    const { publishPost } = require('../services/publisher');
-    const results = await publishPost(post, req.user.id);
+    if (!approvals.isApprovedForPublishing(post)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be published' });
+    }
+    
+    const { publishPost, retryFailedPlatforms } = require('../services/publisher');
+    const outcome = await publishClaimed(post, async () => {
+      if (post.status === 'partial') {
+        // Only the platforms that failed; the published ones keep their published_at
+        return retryFailedPlatforms(post);
+      }
+      
+      const results = await publishPost(post);
+      
+      // Same outcome rules as the scheduler
+      const outcomes = Object.values(results);
+      const status = outcomes.length > 0 && outcomes.every(r => r.success)
+        ? 'published'
+        : (outcomes.some(r => r.success) ? 'partial' : 'failed');
+      
+      // Update post status
+      posts.setPublishOutcome(post.id, status);
+      return { results, status };
+    });
+    
+    if (!outcome) {
+      return res.status(409).json({ error: 'Post is already being published' });
+    }
     
-    // Update post status
-    db.prepare(`
-      UPDATE posts SET status = 'published', published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(req.params.id);
+    const { results, status } = outcome;
+    
+    emitPublishOutcome(post.id, status, results);
+    
+    const messages = {
+      published: 'Post published successfully',
+      partial: 'Post published to some platforms',
+      failed: 'Post failed to publish'
+    };
     
     res.json({ 
-      message: 'Post published successfully',
+      message: messages[status],
+      status,
       results
     });
   } catch (error) {
-    console.error('Publish error:', error);
-    res.status(500).json({ error: 'Failed to publish post' });
+    next(error);
   }
 });
 
-// Get posts calendar view
-router.get('/calendar/:year/:month', authMiddleware, (req, res) => {
+// Retry a failed platform without touching the others; pass account_id to retry a single account
+router.post('/:id/platforms/:platform/retry', authMiddleware, authorize('posts:publish'), async (req, res, next) => {
   try {
-    const { year, month } = req.params;
-    const startDate = `${year}-${month.padStart(2, '0')}-01`;
-    const endDate = `${year}-${month.padStart(2, '0')}-31`;
-    
-    const posts = db.prepare(`
-      SELECT id, title, content, platforms, status, scheduled_at, published_at
-      FROM posts 
-      WHERE user_id = ? 
-        AND (
-          (scheduled_at >= ? AND scheduled_at <= ?)
-          OR (published_at >= ? AND published_at <= ?)
-        )
-      ORDER BY COALESCE(scheduled_at, published_at)
-    `).all(req.user.id, startDate, endDate, startDate, endDate);
-    
-    const parsedPosts = posts.map(post => ({
-      ...post,
-      platforms: JSON.parse(post.platforms || '[]')
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    if (!approvals.isApprovedForPublishing(post)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be published' });
+    }
+    
+    const accountId = req.body.account_id ? Number(req.body.account_id) : null;
+    const platformPosts = posts.listPlatformPostsFor(post.id, req.params.platform)
+      .filter(pp => !accountId || pp.social_account_id === accountId);
+    
+    if (platformPosts.length === 0) {
+      return res.status(404).json({ error: 'Platform post not found' });
+    }
+    
+    if (!platformPosts.some(pp => pp.status === 'failed')) {
+      return res.status(400).json({ error: `Cannot retry a ${platformPosts[0].status} platform post` });
+    }
+    
+    const { retryFailedPlatforms } = require('../services/publisher');
+    const outcome = await publishClaimed(post, () => retryFailedPlatforms(post, {
+      platforms: [req.params.platform],
+      accountIds: accountId ? [accountId] : null
     }));
     
-    res.json({ posts: parsedPosts });
+    if (!outcome) {
+      return res.status(409).json({ error: 'Post is already being published' });
+    }
+    
+    const { results, status } = outcome;
+    const allSucceeded = Object.values(results).every(result => result.success);
+    
+    emitPublishOutcome(post.id, status, results);
+    
+    res.json({ 
+      message: allSucceeded ? 'Platform post published successfully' : 'Retry failed',
+      status,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Retry every failed platform for a post
+router.post('/:id/retry-failed', authMiddleware, authorize('posts:publish'), async (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    if (!approvals.isApprovedForPublishing(post)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be published' });
+    }
+    
+    if (posts.countFailedPlatformPosts(post.id) === 0) {
+      return res.status(400).json({ error: 'No failed platform posts to retry' });
+    }
+    
+    const { retryFailedPlatforms } = require('../services/publisher');
+    const outcome = await publishClaimed(post, () => retryFailedPlatforms(post));
+    
+    if (!outcome) {
+      return res.status(409).json({ error: 'Post is already being published' });
+    }
+    
+    const { results, status } = outcome;
+    
+    emitPublishOutcome(post.id, status, results);
+    
+    res.json({ 
+      message: 'Failed platforms retried',
+      status,
+      results
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Reviewers must belong to the workspace and be allowed to approve posts
+function canReview(workspaceId, userId) {
+  const member = getMembership(workspaceId, userId);
+  return Boolean(member) && authMiddleware.can(member.role, 'posts:approve');
+}
+
+// Submit a post for approval, optionally assigning a reviewer
+router.post('/:id/submit', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    if (['pending_approval', 'approved'].includes(post.approval_status)) {
+      return res.status(400).json({ error: `Post is already ${post.approval_status.replace('_', ' ')}` });
+    }
+    
+    const { reviewer_id, comment } = req.body;
+    
+    if (reviewer_id) {
+      if (!canReview(req.workspace.id, reviewer_id)) {
+        return res.status(400).json({ error: 'Reviewer must be a workspace member who can approve posts' });
+      }
+    }
+    
+    approvals.submitForApproval(post, req.user.id, { reviewerId: reviewer_id, comment });
+    
+    res.json({ message: 'Post submitted for approval', approval_status: 'pending_approval' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Assign or clear the reviewer of a post
+router.put('/:id/reviewer', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    const { reviewer_id } = req.body;
+    
+    if (reviewer_id) {
+      if (!canReview(req.workspace.id, reviewer_id)) {
+        return res.status(400).json({ error: 'Reviewer must be a workspace member who can approve posts' });
+      }
+    }
+    
+    posts.setReviewer(post.id, reviewer_id || null);
+    
+    res.json({ message: reviewer_id ? 'Reviewer assigned' : 'Reviewer cleared', reviewer_id: reviewer_id || null });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Approve or reject a pending post
+function reviewHandler(decision) {
+  return (req, res, next) => {
+    try {
+      const post = posts.get(req.params.id, req.workspace.id);
+      
+      if (post.approval_status !== 'pending_approval') {
+        return res.status(400).json({ error: 'Post is not awaiting approval' });
+      }
+      
+      if (post.reviewer_id && post.reviewer_id !== req.user.id && req.workspace.role !== 'owner') {
+        return res.status(403).json({ error: 'This post is assigned to another reviewer' });
+      }
+      
+      // Authors can't sign off on their own content
+      if (decision === 'approved' && post.user_id === req.user.id) {
+        return res.status(403).json({ error: 'You cannot approve your own post' });
+      }
+      
+      const { comment } = req.body;
+      
+      if (decision === 'rejected' && !comment) {
+        return res.status(400).json({ error: 'A comment explaining the rejection is required' });
+      }
+      
+      approvals.decide(post, req.user.id, decision, comment);
+      
+      res.json({ message: `Post ${decision}`, approval_status: decision });
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+router.post('/:id/approve', authMiddleware, authorize('posts:approve'), reviewHandler('approved'));
+router.post('/:id/reject', authMiddleware, authorize('posts:approve'), reviewHandler('rejected'));
+
+// Get review comments and approval history
+router.get('/:id/comments', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    res.json({ comments: approvals.listComments(post.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Comment on a post
+router.post('/:id/comments', authMiddleware, authorize('posts:comment'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    const { body } = req.body;
+    
+    if (!body || !body.trim()) {
+      return res.status(400).json({ error: 'Comment body is required' });
+    }
+    
+    const commentId = approvals.addComment(post.id, req.user.id, body.trim());
+    
+    res.status(201).json({ message: 'Comment added', commentId });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List a post's revisions, newest first
+router.get('/:id/revisions', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    revisions.ensureBaseline(post);
+    
+    res.json({ revisions: revisions.listRevisions(post.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the full snapshot stored in a revision
+router.get('/:id/revisions/:revision', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    const revision = revisions.getRevision(post.id, parseInt(req.params.revision));
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json({ revision });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Diff a revision against another one (?against=<number>|current, default: the previous revision)
+router.get('/:id/revisions/:revision/diff', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    const revision = revisions.getRevision(post.id, parseInt(req.params.revision));
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const { against } = req.query;
+    
+    // against=current shows what restoring this revision would change
+    if (against === 'current') {
+      return res.json({
+        revision: revision.revision_number,
+        against: 'current',
+        changes: revisions.diffSnapshots(revisions.snapshotPost(post.id), revision.snapshot)
+      });
+    }
+    
+    const baseNumber = against ? parseInt(against) : revision.revision_number - 1;
+    const base = baseNumber > 0 ? revisions.getRevision(post.id, baseNumber) : null;
+    
+    if (against && !base) {
+      return res.status(404).json({ error: 'Revision to compare against not found' });
+    }
+    
+    res.json({
+      revision: revision.revision_number,
+      against: base ? base.revision_number : null,
+      changes: revisions.diffSnapshots(base ? base.snapshot : null, revision.snapshot)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Restore a post to an earlier revision (recorded as a new revision)
+router.post('/:id/revisions/:revision/restore', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const post = posts.get(req.params.id, req.workspace.id);
+    
+    if (post.status === 'published') {
+      return res.status(400).json({ error: 'Cannot edit published posts' });
+    }
+    
+    const revision = revisions.getRevision(post.id, parseInt(req.params.revision));
+    
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    const newRevision = revisions.restoreRevision(post, revision, req.user.id);
+    
+    if (newRevision) {
+      approvals.resetApproval(post, req.user.id);
+    }
+    
+    res.json({
+      message: newRevision ? `Post restored to revision ${revision.revision_number}` : 'Post already matches this revision',
+      revision: newRevision
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get posts calendar view, including upcoming occurrences of recurring posts. The month and
+// the times in the response are in the requester's zone (?tz=, X-Timezone or their profile).
+router.get('/calendar/:year/:month', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const year = parseInt(req.params.year);
+    const month = parseInt(req.params.month);
+    
+    if (!year || !month || month < 1 || month > 12) {
+      return res.status(400).json({ error: 'Invalid year or month' });
+    }
+    
+    const timeZone = requestTimeZone(req);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
+    // [first of the month, first of the next month) in the requester's zone
+    const monthStart = wallClockToUtc(new Date(Date.UTC(year, month - 1, 1)), timeZone);
+    const nextMonthStart = wallClockToUtc(new Date(Date.UTC(year, month, 1)), timeZone);
+    
+    const error = rangeError(monthStart, nextMonthStart);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    // Stored times come in more than one format, so select a day either side and filter exactly below
+    const startDate = new Date(monthStart.getTime() - 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    const endDate = new Date(nextMonthStart.getTime() + 24 * 60 * 60 * 1000).toISOString().substring(0, 10);
+    
+    const rows = posts.listInRange(req.workspace.id, startDate, endDate);
+    
+    const inMonth = date => date && date >= monthStart && date < nextMonthStart;
+    
+    const parsedPosts = rows
+      .filter(post => inMonth(parseStoredTime(post.scheduled_at)) || inMonth(parseStoredTime(post.published_at)))
+      .map(post => ({
+        ...post,
+        platforms: JSON.parse(post.platforms || '[]')
+      }));
+    
+    const occurrences = expandForCalendar(req.workspace.id, monthStart, new Date(nextMonthStart.getTime() - 1));
+    
+    const calendar = [...parsedPosts, ...occurrences]
+      .map(entry => {
+        const when = parseStoredTime(entry.published_at) || parseStoredTime(entry.scheduled_at);
+        const scheduledAt = parseStoredTime(entry.scheduled_at);
+        const publishedAt = parseStoredTime(entry.published_at);
+        
+        return {
+          ...entry,
+          scheduled_at_local: scheduledAt ? formatInTimeZone(scheduledAt, timeZone) : null,
+          published_at_local: publishedAt ? formatInTimeZone(publishedAt, timeZone) : null,
+          date: formatInTimeZone(when, timeZone).substring(0, 10),
+          sortKey: when.getTime()
+        };
+      })
+      .sort((a, b) => a.sortKey - b.sortKey)
+      .map(({ sortKey, ...entry }) => entry);
+    
+    res.json({ timezone: timeZone, posts: calendar });
   } catch (error) {
-    console.error('Calendar fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch calendar' });
+    next(error);
   }
 });
 
@@ -1,22 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
-const db = require('../database/db');
+const { authorize } = authMiddleware;
+const posts = require('../repositories/posts');
+const publishJobs = require('../repositories/publishJobs');
 const { getOptimalPostingTimes, getNextOptimalSlot, scheduleForOptimalTime } = require('../services/scheduler');
+const { requeueJob } = require('../services/publishQueue');
+const { isApprovedForPublishing } = require('../services/approvals');
+const { emitPostEvent } = require('../services/webhooks');
+const recurrence = require('../services/recurrence');
+const { parseDateTime, formatInTimeZone, requestTimeZone } = require('../services/timezones');
 
 // Get scheduled posts
-router.get('/', authMiddleware, (req, res) => {
+router.get('/', authMiddleware, authorize('posts:read'), (req, res, next) => {
   try {
     const { status = 'scheduled', limit = 50, offset = 0 } = req.query;
     
-    const posts = db.prepare(`
-      SELECT * FROM posts 
-      WHERE user_id = ? AND status = ?
-      ORDER BY scheduled_at ASC
-      LIMIT ? OFFSET ?
-    `).all(req.user.id, status, parseInt(limit), parseInt(offset));
+    const rows = posts.listByStatus(req.workspace.id, status, { limit: parseInt(limit), offset: parseInt(offset) });
     
-    const parsedPosts = posts.map(post => ({
+    const parsedPosts = rows.map(post => ({
       ...post,
       platforms: JSON.parse(post.platforms || '[]'),
       media_urls: JSON.parse(post.media_urls || '[]')
@@ -24,31 +26,36 @@ router.get('/', authMiddleware, (req, res) => {
     
     res.json({ posts: parsedPosts });
   } catch (error) {
-    console.error('Fetch schedule error:', error);
-    res.status(500).json({ error: 'Failed to fetch schedule' });
+    next(error);
   }
 });
 
 // Schedule a post
-router.post('/:postId', authMiddleware, (req, res) => {
+router.post('/:postId', authMiddleware, authorize('posts:write'), (req, res, next) => {
   try {
     const { postId } = req.params;
-    const { scheduled_at, use_optimal_time } = req.body;
+    const { scheduled_at, use_optimal_time, timezone } = req.body;
     
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(postId, req.user.id);
+    const post = posts.get(postId, req.workspace.id);
     
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    // Local times without an offset are read in this zone
+    const timeZone = requestTimeZone(req, timezone);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
     }
     
     if (post.status === 'published') {
       return res.status(400).json({ error: 'Cannot schedule published posts' });
     }
     
+    if (!isApprovedForPublishing(post)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be scheduled' });
+    }
+    
     if (use_optimal_time) {
       const platforms = JSON.parse(post.platforms || '[]');
-      const result = scheduleForOptimalTime(postId, platforms);
+      const result = scheduleForOptimalTime(postId, platforms, timeZone);
+      emitPostEvent(post.id, 'post.scheduled');
       return res.json({
         message: 'Post scheduled for optimal time',
         ...result
@@ -59,66 +66,68 @@ router.post('/:postId', authMiddleware, (req, res) => {
       return res.status(400).json({ error: 'Scheduled time is required' });
     }
     
+    const scheduledAt = parseDateTime(scheduled_at, timeZone);
+    if (!scheduledAt) {
+      return res.status(400).json({ error: 'Invalid scheduled time' });
+    }
+    
     // Validate scheduled time is in the future
-    if (new Date(scheduled_at) <= new Date()) {
+    if (scheduledAt <= new Date()) {
       return res.status(400).json({ error: 'Scheduled time must be in the future' });
     }
     
-    db.prepare(`
-      UPDATE posts SET scheduled_at = ?, status = 'scheduled', updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(scheduled_at, postId);
+    posts.schedule(post.id, scheduledAt.toISOString());
+    
+    emitPostEvent(post.id, 'post.scheduled');
     
     res.json({ 
       message: 'Post scheduled successfully',
-      scheduledAt: scheduled_at
+      scheduledAt: scheduledAt.toISOString(),
+      localTime: formatInTimeZone(scheduledAt, timeZone),
+      timezone: timeZone
     });
   } catch (error) {
-    console.error('Schedule post error:', error);
-    res.status(500).json({ error: 'Failed to schedule post' });
+    next(error);
   }
 });
 
 // Unschedule a post (move back to draft)
-router.delete('/:postId', authMiddleware, (req, res) => {
+router.delete('/:postId', authMiddleware, authorize('posts:write'), (req, res, next) => {
   try {
     const { postId } = req.params;
     
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(postId, req.user.id);
-    
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
-    }
+    const post = posts.get(postId, req.workspace.id);
     
     if (post.status !== 'scheduled') {
       return res.status(400).json({ error: 'Post is not scheduled' });
     }
     
-    db.prepare(`
-      UPDATE posts SET scheduled_at = NULL, status = 'draft', updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(postId);
+    posts.unschedule(post.id);
     
     res.json({ message: 'Post unscheduled successfully' });
   } catch (error) {
-    console.error('Unschedule post error:', error);
-    res.status(500).json({ error: 'Failed to unschedule post' });
+    next(error);
   }
 });
 
 // Get optimal posting times
-router.get('/optimal-times', authMiddleware, (req, res) => {
+router.get('/optimal-times', authMiddleware, authorize('posts:read'), (req, res, next) => {
   try {
     const { platform } = req.query;
     
+    const timeZone = requestTimeZone(req);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
     if (platform) {
-      const times = getOptimalPostingTimes(req.user.id, platform);
-      const nextSlot = getNextOptimalSlot(platform);
+      const times = getOptimalPostingTimes(req.workspace.id, platform, timeZone);
+      const nextSlot = getNextOptimalSlot(platform, timeZone);
       return res.json({ 
         platform,
         optimalTimes: times,
-        nextOptimalSlot: nextSlot
+        nextOptimalSlot: nextSlot,
+        nextOptimalSlotLocal: formatInTimeZone(new Date(nextSlot), timeZone)
       });
     }
     
@@ -127,30 +136,24 @@ router.get('/optimal-times', authMiddleware, (req, res) => {
     const allTimes = {};
     
     platforms.forEach(p => {
+      const nextSlot = getNextOptimalSlot(p, timeZone);
       allTimes[p] = {
-        optimalTimes: getOptimalPostingTimes(req.user.id, p),
-        nextOptimalSlot: getNextOptimalSlot(p)
+        optimalTimes: getOptimalPostingTimes(req.workspace.id, p, timeZone),
+        nextOptimalSlot: nextSlot,
+        nextOptimalSlotLocal: formatInTimeZone(new Date(nextSlot), timeZone)
       };
     });
     
-    res.json({ platforms: allTimes });
+    res.json({ timezone: timeZone, platforms: allTimes });
   } catch (error) {
-    console.error('Optimal times error:', error);
-    res.status(500).json({ error: 'Failed to get optimal times' });
+    next(error);
   }
 });
 
 // Get posting queue
-router.get('/queue', authMiddleware, (req, res) => {
+router.get('/queue', authMiddleware, authorize('posts:read'), (req, res, next) => {
   try {
-    const posts = db.prepare(`
-      SELECT * FROM posts 
-      WHERE user_id = ? AND status IN ('scheduled', 'processing')
-      ORDER BY scheduled_at ASC
-      LIMIT 20
-    `).all(req.user.id);
-    
-    const queue = posts.map(post => ({
+    const queue = posts.listQueued(req.workspace.id, 20).map(post => ({
       ...post,
       platforms: JSON.parse(post.platforms || '[]'),
       timeUntilPost: post.scheduled_at ? 
@@ -159,44 +162,299 @@ router.get('/queue', authMiddleware, (req, res) => {
     
     res.json({ queue });
   } catch (error) {
-    console.error('Queue fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch queue' });
+    next(error);
+  }
+});
+
+// Get publish jobs (including dead-lettered ones)
+router.get('/jobs', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const { status, limit = 50, offset = 0 } = req.query;
+    
+    const jobs = publishJobs.list(req.workspace.id, { status, limit: parseInt(limit), offset: parseInt(offset) });
+    
+    res.json({ jobs });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Retry a dead-lettered publish job
+router.post('/jobs/:jobId/retry', authMiddleware, authorize('posts:publish'), (req, res, next) => {
+  try {
+    const job = publishJobs.get(req.params.jobId, req.workspace.id);
+    
+    if (job.status !== 'dead') {
+      return res.status(400).json({ error: 'Only dead jobs can be retried' });
+    }
+    
+    if (!isApprovedForPublishing(job)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be published' });
+    }
+    
+    requeueJob(job.id);
+    
+    posts.setStatus(job.post_id, 'processing');
+    
+    res.json({ message: 'Job requeued successfully' });
+  } catch (error) {
+    next(error);
   }
 });
 
 // Reschedule post
-router.put('/:postId', authMiddleware, (req, res) => {
+router.put('/:postId', authMiddleware, authorize('posts:write'), (req, res, next) => {
   try {
     const { postId } = req.params;
-    const { scheduled_at } = req.body;
+    const { scheduled_at, timezone } = req.body;
+    
+    const post = posts.get(postId, req.workspace.id);
     
-    const post = db.prepare('SELECT * FROM posts WHERE id = ? AND user_id = ?')
-      .get(postId, req.user.id);
+    const timeZone = requestTimeZone(req, timezone);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
     
-    if (!post) {
-      return res.status(404).json({ error: 'Post not found' });
+    const scheduledAt = parseDateTime(scheduled_at, timeZone);
+    if (!scheduledAt) {
+      return res.status(400).json({ error: 'Invalid scheduled time' });
     }
     
     if (!['draft', 'scheduled'].includes(post.status)) {
       return res.status(400).json({ error: 'Cannot reschedule this post' });
     }
     
-    if (new Date(scheduled_at) <= new Date()) {
+    if (!isApprovedForPublishing(post)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be scheduled' });
+    }
+    
+    if (scheduledAt <= new Date()) {
       return res.status(400).json({ error: 'Scheduled time must be in the future' });
     }
     
-    db.prepare(`
-      UPDATE posts SET scheduled_at = ?, status = 'scheduled', updated_at = CURRENT_TIMESTAMP
-      WHERE id = ?
-    `).run(scheduled_at, postId);
+    posts.schedule(post.id, scheduledAt.toISOString());
+    
+    emitPostEvent(post.id, 'post.scheduled');
     
     res.json({ 
       message: 'Post rescheduled successfully',
-      scheduledAt: scheduled_at
+      scheduledAt: scheduledAt.toISOString(),
+      localTime: formatInTimeZone(scheduledAt, timeZone),
+      timezone: timeZone
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Load a post in the current workspace together with its recurring schedule
+function findRecurringPost(req, res) {
+  const post = posts.get(req.params.postId, req.workspace.id);
+  
+  const schedule = recurrence.getRecurrenceForPost(post.id);
+  
+  if (!schedule) {
+    res.status(404).json({ error: 'Post has no recurring schedule' });
+    return null;
+  }
+  
+  return { post, schedule };
+}
+
+// Get a post's recurring schedule with its next occurrences
+router.get('/:postId/recurrence', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const found = findRecurringPost(req, res);
+    if (!found) return;
+    
+    const upcoming = recurrence.listOccurrences(found.schedule, new Date(), null, 10);
+    
+    res.json({
+      recurrence: recurrence.formatRecurrence(found.schedule),
+      upcoming
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Make a post recurring, or replace its rule. The post is the template each occurrence is
+// copied from: { rrule: 'FREQ=WEEKLY;BYDAY=MO,TH' | { freq, interval, by_day, ... }, starts_at, timezone }.
+// Occurrences keep starts_at's local time of day in the schedule's zone.
+router.put('/:postId/recurrence', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const { rrule, starts_at, timezone } = req.body;
+    
+    const post = posts.get(req.params.postId, req.workspace.id);
+    
+    if (post.recurrence_id) {
+      return res.status(400).json({ error: 'Occurrences of a recurring post cannot recur themselves' });
+    }
+    
+    // The recurrence schedules every occurrence, including the first
+    if (['scheduled', 'processing'].includes(post.status)) {
+      return res.status(400).json({ error: 'Unschedule the post before making it recurring' });
+    }
+    
+    if (!isApprovedForPublishing(post)) {
+      return res.status(400).json({ error: 'Post must be approved before it can be scheduled' });
+    }
+    
+    const { rule, error } = recurrence.parseRule(rrule);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const timeZone = requestTimeZone(req, timezone);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
+    const startsAt = parseDateTime(starts_at, timeZone);
+    if (!startsAt) {
+      return res.status(400).json({ error: 'A valid starts_at time is required' });
+    }
+    
+    const created = !recurrence.getRecurrenceForPost(post.id);
+    recurrence.saveRecurrence(post, req.user.id, { rule, startsAt, timeZone });
+    const schedule = recurrence.getRecurrenceForPost(post.id);
+    
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Recurring schedule created' : 'Recurring schedule updated',
+      recurrence: recurrence.formatRecurrence(schedule),
+      upcoming: recurrence.listOccurrences(schedule, new Date(), null, 10)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Stop a post recurring. Occurrences that have not been published yet are removed.
+router.delete('/:postId/recurrence', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const found = findRecurringPost(req, res);
+    if (!found) return;
+    
+    const removed = recurrence.deleteRecurrence(found.schedule);
+    
+    res.json({ message: 'Recurring schedule removed', removedOccurrences: removed });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List occurrences in a date range (defaults to the next 30 days)
+router.get('/:postId/recurrence/occurrences', authMiddleware, authorize('posts:read'), (req, res, next) => {
+  try {
+    const found = findRecurringPost(req, res);
+    if (!found) return;
+    
+    const timeZone = requestTimeZone(req);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
+    const from = req.query.from ? parseDateTime(req.query.from, timeZone) : new Date();
+    const to = req.query.to || !from ? parseDateTime(req.query.to, timeZone) : new Date(from.getTime() + 30 * 24 * 60 * 60 * 1000);
+    
+    if (!from || !to || to < from) {
+      return res.status(400).json({ error: 'Invalid date range' });
+    }
+    
+    const rangeError = recurrence.rangeError(from, to);
+    if (rangeError) {
+      return res.status(400).json({ error: rangeError });
+    }
+    
+    res.json({ occurrences: recurrence.listOccurrences(found.schedule, from, to) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Skip one occurrence
+router.post('/:postId/recurrence/occurrences/:occurrenceAt/skip', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const found = findRecurringPost(req, res);
+    if (!found) return;
+    
+    const occurrenceAt = recurrence.resolveOccurrence(found.schedule, req.params.occurrenceAt);
+    if (!occurrenceAt) {
+      return res.status(404).json({ error: 'Occurrence not found' });
+    }
+    
+    const result = recurrence.setException(found.schedule, occurrenceAt, req.user.id, { action: 'skip' });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ message: 'Occurrence skipped', exception: result.exception });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Override one occurrence's time, title or content
+router.put('/:postId/recurrence/occurrences/:occurrenceAt', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const { scheduled_at, title, content, timezone } = req.body;
+    
+    const found = findRecurringPost(req, res);
+    if (!found) return;
+    
+    const timeZone = requestTimeZone(req, timezone);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
+    const occurrenceAt = recurrence.resolveOccurrence(found.schedule, req.params.occurrenceAt);
+    if (!occurrenceAt) {
+      return res.status(404).json({ error: 'Occurrence not found' });
+    }
+    
+    if (!scheduled_at && !title && !content) {
+      return res.status(400).json({ error: 'Provide scheduled_at, title or content to override' });
+    }
+    
+    let scheduledAt = null;
+    if (scheduled_at) {
+      const date = parseDateTime(scheduled_at, timeZone);
+      if (!date || date <= new Date()) {
+        return res.status(400).json({ error: 'Scheduled time must be in the future' });
+      }
+      scheduledAt = date.toISOString();
+    }
+    
+    const result = recurrence.setException(found.schedule, occurrenceAt, req.user.id, {
+      action: 'override',
+      scheduledAt,
+      title: title || null,
+      content: content || null
     });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    
+    res.json({ message: 'Occurrence updated', exception: result.exception });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Undo a skip or override so the occurrence follows the rule again
+router.delete('/:postId/recurrence/occurrences/:occurrenceAt', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const found = findRecurringPost(req, res);
+    if (!found) return;
+    
+    const occurrenceAt = recurrence.resolveOccurrence(found.schedule, req.params.occurrenceAt);
+    if (!occurrenceAt || !recurrence.clearException(found.schedule, occurrenceAt)) {
+      return res.status(404).json({ error: 'No exception for this occurrence' });
+    }
+    
+    res.json({ message: 'Occurrence restored' });
   } catch (error) {
-    console.error('Reschedule error:', error);
-    res.status(500).json({ error: 'Failed to reschedule post' });
+    next(error);
   }
 });
 
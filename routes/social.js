@@ -1,200 +1,166 @@
 const express = require('express');
 const router = express.Router();
 const authMiddleware = require('../middleware/auth');
-const db = require('../database/db');
+const { authorize } = authMiddleware;
+const accounts = require('../repositories/accounts');
+const { getProvider, createAuthorizationUrl, completeAuthorization } = require('../services/oauth');
+const { encryptToken } = require('../services/tokenCrypto');
+const { platformInfo } = require('../services/platforms');
+const { isValidTimeZone } = require('../services/timezones');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || '';
 
 // Get all connected social accounts
-router.get('/accounts', authMiddleware, (req, res) => {
+router.get('/accounts', authMiddleware, authorize('accounts:read'), (req, res, next) => {
   try {
-    const accounts = db.prepare(`
-      SELECT id, platform, account_name, account_id, is_active, created_at
-      FROM social_accounts 
-      WHERE user_id = ?
-      ORDER BY platform
-    `).all(req.user.id);
+    const rows = accounts.list(req.workspace.id).map(account => ({
+      ...account,
+      needs_reauth: account.connection_status === 'needs_reauth'
+    }));
     
-    res.json({ accounts });
+    res.json({ accounts: rows });
   } catch (error) {
-    console.error('Fetch accounts error:', error);
-    res.status(500).json({ error: 'Failed to fetch accounts' });
+    next(error);
   }
 });
 
 // Connect new social account (simulated - in production, use OAuth)
-router.post('/accounts/connect', authMiddleware, (req, res) => {
+router.post('/accounts/connect', authMiddleware, authorize('accounts:manage'), (req, res, next) => {
   try {
-    const { platform, account_name, access_token, account_id } = req.body;
+    const { platform, account_name, access_token, account_id, timezone } = req.body;
     
     if (!platform || !account_name) {
       return res.status(400).json({ error: 'Platform and account name are required' });
     }
     
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
     // Check if account already exists
-    const existing = db.prepare(`
-      SELECT id FROM social_accounts 
-      WHERE user_id = ? AND platform = ? AND account_id = ?
-    `).get(req.user.id, platform, account_id || account_name);
+    const existing = accounts.findByPlatformId(req.workspace.id, platform, account_id || account_name);
     
     if (existing) {
       // Update existing account
-      db.prepare(`
-        UPDATE social_accounts SET 
-          access_token = ?,
-          account_name = ?,
-          is_active = 1,
-          updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `).run(access_token || 'demo-token', account_name, existing.id);
+      accounts.reconnect(existing.id, {
+        accountName: account_name,
+        accessToken: encryptToken(access_token || 'demo-token'),
+        timezone: timezone || null
+      });
       
       return res.json({ message: 'Account reconnected successfully' });
     }
     
     // Insert new account
-    const result = db.prepare(`
-      INSERT INTO social_accounts (user_id, platform, account_name, account_id, access_token, is_active)
-      VALUES (?, ?, ?, ?, ?, 1)
-    `).run(
-      req.user.id,
+    const accountId = accounts.insert(req.workspace.id, req.user.id, {
       platform,
-      account_name,
-      account_id || account_name,
-      access_token || 'demo-token'
-    );
+      accountName: account_name,
+      accountId: account_id || account_name,
+      accessToken: encryptToken(access_token || 'demo-token'),
+      timezone: timezone || null
+    });
     
     res.status(201).json({
       message: 'Account connected successfully',
-      accountId: result.lastInsertRowid
+      accountId
     });
   } catch (error) {
-    console.error('Connect account error:', error);
-    res.status(500).json({ error: 'Failed to connect account' });
+    next(error);
   }
 });
 
 // Disconnect social account
-router.delete('/accounts/:id', authMiddleware, (req, res) => {
+router.delete('/accounts/:id', authMiddleware, authorize('accounts:manage'), (req, res, next) => {
   try {
-    const account = db.prepare(`
-      SELECT id FROM social_accounts WHERE id = ? AND user_id = ?
-    `).get(req.params.id, req.user.id);
+    const account = accounts.get(req.params.id, req.workspace.id);
     
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
-    }
-    
-    db.prepare('DELETE FROM social_accounts WHERE id = ?').run(req.params.id);
+    accounts.remove(account.id);
     
     res.json({ message: 'Account disconnected successfully' });
   } catch (error) {
-    console.error('Disconnect account error:', error);
-    res.status(500).json({ error: 'Failed to disconnect account' });
+    next(error);
   }
 });
 
 // Toggle account active status
-router.patch('/accounts/:id/toggle', authMiddleware, (req, res) => {
+router.patch('/accounts/:id/toggle', authMiddleware, authorize('accounts:manage'), (req, res, next) => {
   try {
-    const account = db.prepare(`
-      SELECT id, is_active FROM social_accounts WHERE id = ? AND user_id = ?
-    `).get(req.params.id, req.user.id);
-    
-    if (!account) {
-      return res.status(404).json({ error: 'Account not found' });
-    }
+    const account = accounts.get(req.params.id, req.workspace.id);
     
     const newStatus = account.is_active ? 0 : 1;
-    db.prepare('UPDATE social_accounts SET is_active = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
-      .run(newStatus, req.params.id);
+    accounts.setActive(account.id, newStatus);
     
     res.json({ 
       message: `Account ${newStatus ? 'activated' : 'deactivated'} successfully`,
       is_active: newStatus
     });
   } catch (error) {
-    console.error('Toggle account error:', error);
-    res.status(500).json({ error: 'Failed to toggle account' });
+    next(error);
+  }
+});
+
+// Set the time zone of an account's audience, used for its optimal posting times (null to clear)
+router.put('/accounts/:id/timezone', authMiddleware, authorize('accounts:manage'), (req, res, next) => {
+  try {
+    const { timezone } = req.body;
+    
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+    
+    accounts.setTimezone(req.params.id, req.workspace.id, timezone || null);
+    
+    res.json({ message: 'Account timezone updated successfully', timezone: timezone || null });
+  } catch (error) {
+    next(error);
   }
 });
 
-// Get OAuth URL for platform (in production, implement actual OAuth)
-router.get('/oauth/:platform', authMiddleware, (req, res) => {
+// Get OAuth authorization URL for platform
+router.get('/oauth/:platform', authMiddleware, authorize('accounts:manage'), (req, res) => {
   const { platform } = req.params;
-  const redirectUri = `${req.protocol}://${req.get('host')}/api/social/oauth/${platform}/callback`;
-  
-  // In production, these would be actual OAuth URLs
-  const oauthUrls = {
-    facebook: `https://www.facebook.com/v18.0/dialog/oauth?client_id=${process.env.FACEBOOK_APP_ID}&redirect_uri=${redirectUri}&scope=pages_manage_posts,pages_read_engagement`,
-    linkedin: `https://www.linkedin.com/oauth/v2/authorization?client_id=${process.env.LINKEDIN_CLIENT_ID}&redirect_uri=${redirectUri}&scope=w_member_social`,
-    twitter: `https://twitter.com/i/oauth2/authorize?client_id=${process.env.TWITTER_API_KEY}&redirect_uri=${redirectUri}&scope=tweet.write`,
-    instagram: `https://api.instagram.com/oauth/authorize?client_id=${process.env.INSTAGRAM_APP_ID}&redirect_uri=${redirectUri}&scope=user_profile,user_media`
-  };
   
-  if (!oauthUrls[platform]) {
+  if (!getProvider(platform)) {
     return res.status(400).json({ error: 'Unsupported platform' });
   }
   
-  res.json({ 
-    url: oauthUrls[platform],
-    note: 'Demo mode - OAuth not fully implemented. Use /accounts/connect for testing.'
-  });
+  try {
+    const baseUrl = process.env.OAUTH_REDIRECT_BASE_URL || `${req.protocol}://${req.get('host')}`;
+    const redirectUri = `${baseUrl}/api/social/oauth/${platform}/callback`;
+    const url = createAuthorizationUrl(platform, req.user.id, req.workspace.id, redirectUri);
+    
+    res.json({ url });
+  } catch (error) {
+    console.error('OAuth URL error:', error);
+    res.status(400).json({ error: error.message });
+  }
 });
 
-// OAuth callback handler (placeholder)
-router.get('/oauth/:platform/callback', authMiddleware, (req, res) => {
+// OAuth callback handler - reached by browser redirect, so the signed state identifies the user
+router.get('/oauth/:platform/callback', async (req, res) => {
   const { platform } = req.params;
-  const { code, error } = req.query;
+  const { code, state, error } = req.query;
   
   if (error) {
-    return res.redirect(`/settings?error=${error}`);
+    return res.redirect(`${FRONTEND_URL}/settings?error=${encodeURIComponent(error)}`);
+  }
+  
+  if (!code || !state) {
+    return res.redirect(`${FRONTEND_URL}/settings?error=${encodeURIComponent('missing_code_or_state')}`);
   }
   
-  // In production, exchange code for access token
-  // For now, redirect with success
-  res.redirect(`/settings?connected=${platform}`);
+  try {
+    await completeAuthorization(platform, code, state);
+    res.redirect(`${FRONTEND_URL}/settings?connected=${encodeURIComponent(platform)}`);
+  } catch (err) {
+    console.error('OAuth callback error:', err.response?.data || err.message);
+    res.redirect(`${FRONTEND_URL}/settings?error=${encodeURIComponent(err.message)}`);
+  }
 });
 
 // Get platform limits and info
 router.get('/platforms', (req, res) => {
-  const platforms = {
-    facebook: {
-      name: 'Facebook',
-      icon: 'facebook',
-      color: '#1877f2',
-      maxTextLength: 63206,
-      maxImages: 10,
-      maxVideoLength: 240, // minutes
-      features: ['text', 'images', 'videos', 'links', 'polls']
-    },
-    linkedin: {
-      name: 'LinkedIn',
-      icon: 'linkedin',
-      color: '#0077b5',
-      maxTextLength: 3000,
-      maxImages: 9,
-      maxVideoLength: 10,
-      features: ['text', 'images', 'videos', 'articles', 'documents']
-    },
-    twitter: {
-      name: 'Twitter/X',
-      icon: 'twitter',
-      color: '#1da1f2',
-      maxTextLength: 280,
-      maxImages: 4,
-      maxVideoLength: 2.33,
-      features: ['text', 'images', 'videos', 'polls', 'threads']
-    },
-    instagram: {
-      name: 'Instagram',
-      icon: 'instagram',
-      color: '#e4405f',
-      maxTextLength: 2200,
-      maxImages: 10,
-      maxVideoLength: 60,
-      features: ['images', 'videos', 'stories', 'reels', 'carousels']
-    }
-  };
-  
-  res.json({ platforms });
+  res.json({ platforms: platformInfo });
 });
 
 module.exports = router;
@@ -0,0 +1,330 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { authorize } = authMiddleware;
+const db = require('../database/db');
+const { extractVariables, isVariables, renderTemplate } = require('../services/templates');
+const { createPost, resolveTargets } = require('../services/posts');
+const { requiresApproval } = require('../services/approvals');
+const { parseDateTime, requestTimeZone } = require('../services/timezones');
+
+// Add derived fields to a template row
+const formatTemplate = (template, userId) => ({
+  ...template,
+  is_public: !!template.is_public,
+  is_owner: template.user_id === userId,
+  variables: extractVariables(template.template)
+});
+
+// Get a template the user owns or that has been shared publicly
+const findVisibleTemplate = (id, userId) => db.prepare(`
+  SELECT * FROM content_templates
+  WHERE id = ? AND (user_id = ? OR is_public = 1)
+`).get(id, userId);
+
+// Get templates (own and shared)
+router.get('/', authMiddleware, (req, res, next) => {
+  try {
+    const { scope = 'all', category, platform, search } = req.query;
+
+    let query = `
+      SELECT t.*, u.name as author_name
+      FROM content_templates t
+      JOIN users u ON t.user_id = u.id
+      WHERE 1 = 1
+    `;
+    const params = [];
+
+    if (scope === 'mine') {
+      query += ' AND t.user_id = ?';
+      params.push(req.user.id);
+    } else if (scope === 'public') {
+      query += ' AND t.is_public = 1';
+    } else {
+      query += ' AND (t.user_id = ? OR t.is_public = 1)';
+      params.push(req.user.id);
+    }
+
+    if (category) {
+      query += ' AND t.category = ?';
+      params.push(category);
+    }
+
+    if (platform) {
+      query += ' AND (t.platform = ? OR t.platform IS NULL)';
+      params.push(platform);
+    }
+
+    if (search) {
+      query += ' AND (t.name LIKE ? OR t.description LIKE ?)';
+      params.push(`%${search}%`, `%${search}%`);
+    }
+
+    query += ' ORDER BY t.updated_at DESC';
+
+    const templates = db.prepare(query).all(...params);
+
+    res.json({ templates: templates.map(t => formatTemplate(t, req.user.id)) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get single template
+router.get('/:id', authMiddleware, (req, res, next) => {
+  try {
+    const template = findVisibleTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    res.json({ template: formatTemplate(template, req.user.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create template
+router.post('/', authMiddleware, (req, res, next) => {
+  try {
+    const { name, description, template, platform, category, is_public } = req.body;
+
+    if (!name || !template) {
+      return res.status(400).json({ error: 'Name and template are required' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO content_templates (user_id, name, description, template, platform, category, is_public)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(
+      req.user.id,
+      name,
+      description || null,
+      template,
+      platform || null,
+      category || null,
+      is_public ? 1 : 0
+    );
+
+    res.status(201).json({
+      message: 'Template created successfully',
+      templateId: result.lastInsertRowid,
+      variables: extractVariables(template)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update template
+router.put('/:id', authMiddleware, (req, res, next) => {
+  try {
+    const existing = db.prepare('SELECT * FROM content_templates WHERE id = ? AND user_id = ?')
+      .get(req.params.id, req.user.id);
+
+    if (!existing) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { name, description, template, platform, category, is_public } = req.body;
+
+    db.prepare(`
+      UPDATE content_templates SET
+        name = COALESCE(?, name),
+        description = COALESCE(?, description),
+        template = COALESCE(?, template),
+        platform = COALESCE(?, platform),
+        category = COALESCE(?, category),
+        is_public = COALESCE(?, is_public),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      name,
+      description,
+      template,
+      platform,
+      category,
+      is_public === undefined ? null : (is_public ? 1 : 0),
+      req.params.id
+    );
+
+    res.json({ message: 'Template updated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete template
+router.delete('/:id', authMiddleware, (req, res, next) => {
+  try {
+    const template = db.prepare('SELECT id FROM content_templates WHERE id = ? AND user_id = ?')
+      .get(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    db.prepare('DELETE FROM content_templates WHERE id = ?').run(req.params.id);
+
+    res.json({ message: 'Template deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Share or unshare a template with other users
+router.patch('/:id/share', authMiddleware, (req, res, next) => {
+  try {
+    const template = db.prepare('SELECT id, is_public FROM content_templates WHERE id = ? AND user_id = ?')
+      .get(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const isPublic = req.body.is_public === undefined ? !template.is_public : !!req.body.is_public;
+
+    db.prepare('UPDATE content_templates SET is_public = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(isPublic ? 1 : 0, req.params.id);
+
+    res.json({
+      message: `Template ${isPublic ? 'shared' : 'unshared'} successfully`,
+      is_public: isPublic
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Copy a shared template into the user's own library
+router.post('/:id/copy', authMiddleware, (req, res, next) => {
+  try {
+    const template = findVisibleTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const result = db.prepare(`
+      INSERT INTO content_templates (user_id, name, description, template, platform, category, is_public)
+      VALUES (?, ?, ?, ?, ?, ?, 0)
+    `).run(
+      req.user.id,
+      req.body.name || template.name,
+      template.description,
+      template.template,
+      template.platform,
+      template.category
+    );
+
+    res.status(201).json({
+      message: 'Template copied successfully',
+      templateId: result.lastInsertRowid
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Render template with variables
+router.post('/:id/render', authMiddleware, (req, res, next) => {
+  try {
+    const template = findVisibleTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    if (!isVariables(req.body.variables)) {
+      return res.status(400).json({ error: 'Variables must be an object' });
+    }
+
+    const { content, missing } = renderTemplate(template.template, req.body.variables);
+
+    res.json({
+      content,
+      missing,
+      characterCount: content.length
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a post from a template
+router.post('/:id/posts', authMiddleware, authorize('posts:write'), (req, res, next) => {
+  try {
+    const template = findVisibleTemplate(req.params.id, req.user.id);
+
+    if (!template) {
+      return res.status(404).json({ error: 'Template not found' });
+    }
+
+    const { variables, title, platforms, account_ids, status, scheduled_at, timezone, hashtags } = req.body;
+
+    if (!isVariables(variables)) {
+      return res.status(400).json({ error: 'Variables must be an object' });
+    }
+
+    // Without platforms the template's own platform is used
+    if (platforms !== undefined && (!Array.isArray(platforms) || platforms.length === 0)) {
+      return res.status(400).json({ error: 'Platforms must be a non-empty array' });
+    }
+
+    const timeZone = requestTimeZone(req, timezone);
+    if (!timeZone) {
+      return res.status(400).json({ error: 'Invalid timezone' });
+    }
+
+    const scheduledAt = parseDateTime(scheduled_at, timeZone);
+    if (scheduled_at && !scheduledAt) {
+      return res.status(400).json({ error: 'Invalid scheduled time' });
+    }
+
+    const { targets, invalid } = resolveTargets(req.workspace.id, {
+      platforms: platforms || (template.platform ? [template.platform] : []),
+      account_ids
+    });
+
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: 'Unknown or inactive social accounts', accountIds: invalid });
+    }
+
+    if (targets.length === 0) {
+      return res.status(400).json({ error: 'Accounts or platforms are required' });
+    }
+
+    if (status && status !== 'draft' && requiresApproval(req.workspace.id)) {
+      return res.status(400).json({ error: 'Posts in this workspace must be approved before they can be scheduled or published' });
+    }
+
+    const { content, missing } = renderTemplate(template.template, variables);
+
+    if (missing.length > 0) {
+      return res.status(400).json({
+        error: 'Missing template variables',
+        missing
+      });
+    }
+
+    const postId = createPost(req.workspace.id, req.user.id, {
+      title: title || template.name,
+      content,
+      targets,
+      status,
+      scheduled_at: scheduledAt ? scheduledAt.toISOString() : null,
+      hashtags
+    });
+
+    res.status(201).json({
+      message: 'Post created from template',
+      postId,
+      content
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
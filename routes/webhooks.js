@@ -0,0 +1,233 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { authorize } = authMiddleware;
+const db = require('../database/db');
+const {
+  EVENTS,
+  listWebhooks,
+  getWebhook,
+  checkUrlAddress,
+  createWebhook,
+  rotateSecret,
+  formatWebhook,
+  pingWebhook,
+  redeliver,
+  listDeliveries,
+  getDelivery
+} = require('../services/webhooks');
+
+// Webhook subscriptions for the current workspace
+
+function validateUrl(url) {
+  try {
+    const parsed = new URL(url);
+    return ['http:', 'https:'].includes(parsed.protocol);
+  } catch (error) {
+    return false;
+  }
+}
+
+function validateEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'At least one event is required';
+  }
+
+  const unknown = events.filter(event => !EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown events: ${unknown.join(', ')}`;
+  }
+
+  return null;
+}
+
+// List webhooks
+router.get('/', authMiddleware, authorize('webhooks:manage'), (req, res, next) => {
+  try {
+    res.json({ webhooks: listWebhooks(req.workspace.id), events: EVENTS });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Subscribe a URL to events
+router.post('/', authMiddleware, authorize('webhooks:manage'), async (req, res, next) => {
+  try {
+    const { url, events, description } = req.body;
+
+    if (!validateUrl(url)) {
+      return res.status(400).json({ error: 'A valid http(s) URL is required' });
+    }
+
+    const addressError = await checkUrlAddress(url);
+    if (addressError) {
+      return res.status(400).json({ error: `Webhook URLs must be public: ${addressError}` });
+    }
+
+    const eventsError = validateEvents(events);
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError, events: EVENTS });
+    }
+
+    const { id, secret } = createWebhook(req.workspace.id, req.user.id, {
+      url,
+      events: [...new Set(events)],
+      description
+    });
+
+    // The secret is only shown once; use it to verify X-Webhook-Signature
+    res.status(201).json({
+      message: 'Webhook created successfully',
+      webhook: { ...formatWebhook(getWebhook(req.workspace.id, id)), secret }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Update a webhook's URL, events, description or active flag
+router.put('/:id', authMiddleware, authorize('webhooks:manage'), async (req, res, next) => {
+  try {
+    const webhook = getWebhook(req.workspace.id, req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { url, events, description, is_active } = req.body;
+
+    if (url !== undefined && !validateUrl(url)) {
+      return res.status(400).json({ error: 'A valid http(s) URL is required' });
+    }
+
+    const addressError = url !== undefined ? await checkUrlAddress(url) : null;
+    if (addressError) {
+      return res.status(400).json({ error: `Webhook URLs must be public: ${addressError}` });
+    }
+
+    const eventsError = events !== undefined ? validateEvents(events) : null;
+    if (eventsError) {
+      return res.status(400).json({ error: eventsError, events: EVENTS });
+    }
+
+    db.prepare(`
+      UPDATE webhooks SET
+        url = COALESCE(?, url),
+        events = COALESCE(?, events),
+        description = COALESCE(?, description),
+        is_active = COALESCE(?, is_active),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      url,
+      events ? JSON.stringify([...new Set(events)]) : null,
+      description,
+      is_active !== undefined ? (is_active ? 1 : 0) : null,
+      webhook.id
+    );
+
+    res.json({
+      message: 'Webhook updated successfully',
+      webhook: formatWebhook(getWebhook(req.workspace.id, webhook.id))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete a webhook and its delivery log
+router.delete('/:id', authMiddleware, authorize('webhooks:manage'), (req, res, next) => {
+  try {
+    const result = db.prepare('DELETE FROM webhooks WHERE id = ? AND workspace_id = ?')
+      .run(req.params.id, req.workspace.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replace the signing secret
+router.post('/:id/rotate-secret', authMiddleware, authorize('webhooks:manage'), (req, res, next) => {
+  try {
+    const webhook = getWebhook(req.workspace.id, req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook secret rotated', secret: rotateSecret(webhook.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send a test 'ping' event
+router.post('/:id/ping', authMiddleware, authorize('webhooks:manage'), (req, res, next) => {
+  try {
+    const webhook = getWebhook(req.workspace.id, req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.status(202).json({ message: 'Ping queued', deliveryId: pingWebhook(webhook) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delivery log, newest first (?status=pending|sending|delivered|failed)
+router.get('/:id/deliveries', authMiddleware, authorize('webhooks:manage'), (req, res, next) => {
+  try {
+    const webhook = getWebhook(req.workspace.id, req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { status, limit = 50, offset = 0 } = req.query;
+
+    res.json({ deliveries: listDeliveries(webhook.id, { status, limit, offset }) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// A single delivery with its payload and the endpoint's response
+router.get('/:id/deliveries/:deliveryId', authMiddleware, authorize('webhooks:manage'), (req, res, next) => {
+  try {
+    const webhook = getWebhook(req.workspace.id, req.params.id);
+    const delivery = webhook && getDelivery(webhook.id, req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.json({ delivery });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Send an earlier delivery again
+router.post('/:id/deliveries/:deliveryId/redeliver', authMiddleware, authorize('webhooks:manage'), (req, res, next) => {
+  try {
+    const webhook = getWebhook(req.workspace.id, req.params.id);
+    const delivery = webhook && getDelivery(webhook.id, req.params.deliveryId);
+
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+
+    res.status(202).json({ message: 'Redelivery queued', deliveryId: redeliver(delivery.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
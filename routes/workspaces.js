@@ -0,0 +1,304 @@
+const express = require('express');
+const router = express.Router();
+const authMiddleware = require('../middleware/auth');
+const { authorize } = authMiddleware;
+const db = require('../database/db');
+const {
+  ROLES,
+  createWorkspace,
+  getMembership,
+  listWorkspaces,
+  listMembers,
+  countOwners,
+  createInvitation,
+  acceptInvitation
+} = require('../services/workspaces');
+const { sendInvitationEmail } = require('../services/emails');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || '';
+
+// Workspace routes act on the current workspace, chosen with the X-Workspace-Id header
+
+// Only owners may hand out, take away or change the owner role
+function canManageRole(actorRole, fromRole, toRole) {
+  if (actorRole === 'owner') return true;
+  return fromRole !== 'owner' && toRole !== 'owner';
+}
+
+// List the workspaces the user belongs to
+router.get('/', authMiddleware, (req, res, next) => {
+  try {
+    res.json({
+      workspaces: listWorkspaces(req.user.id),
+      current: req.workspace.id
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Create a workspace owned by the current user
+router.post('/', authMiddleware, (req, res, next) => {
+  try {
+    const { name } = req.body;
+
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const workspaceId = createWorkspace(name.trim(), req.user.id);
+
+    db.prepare(`
+      INSERT INTO brand_settings (workspace_id, user_id, brand_name, tone)
+      VALUES (?, ?, ?, ?)
+    `).run(workspaceId, req.user.id, name.trim(), 'professional');
+
+    res.status(201).json({
+      message: 'Workspace created successfully',
+      workspace: getMembership(workspaceId, req.user.id)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Get the current workspace
+router.get('/current', authMiddleware, (req, res) => {
+  res.json({ workspace: req.workspace });
+});
+
+// Update the current workspace's name or settings
+router.put('/current', authMiddleware, authorize('workspace:manage'), (req, res, next) => {
+  try {
+    const { name, require_approval, require_two_factor } = req.body;
+
+    if (name !== undefined && !String(name).trim()) {
+      return res.status(400).json({ error: 'Name cannot be empty' });
+    }
+
+    // Turning enforcement on without 2FA would lock the admin out of their own workspace
+    if (require_two_factor && !req.user.two_factor_enabled_at) {
+      return res.status(400).json({ error: 'Enable two-factor authentication on your account first' });
+    }
+
+    db.prepare(`
+      UPDATE workspaces SET
+        name = COALESCE(?, name),
+        require_approval = COALESCE(?, require_approval),
+        require_two_factor = COALESCE(?, require_two_factor),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      name !== undefined ? String(name).trim() : null,
+      require_approval !== undefined ? (require_approval ? 1 : 0) : null,
+      require_two_factor !== undefined ? (require_two_factor ? 1 : 0) : null,
+      req.workspace.id
+    );
+
+    res.json({ message: 'Workspace updated successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Delete the current workspace and everything in it
+router.delete('/current', authMiddleware, authorize('workspace:delete'), (req, res, next) => {
+  try {
+    if (listWorkspaces(req.user.id).length === 1) {
+      return res.status(400).json({ error: 'Cannot delete your only workspace' });
+    }
+
+    db.prepare('DELETE FROM workspaces WHERE id = ?').run(req.workspace.id);
+
+    res.json({ message: 'Workspace deleted successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List members of the current workspace
+router.get('/current/members', authMiddleware, authorize('members:read'), (req, res, next) => {
+  try {
+    res.json({ members: listMembers(req.workspace.id) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Change a member's role
+router.patch('/current/members/:userId', authMiddleware, authorize('members:manage'), (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    const member = getMembership(req.workspace.id, req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!canManageRole(req.workspace.role, member.role, role)) {
+      return res.status(403).json({ error: 'Only owners can change owner roles' });
+    }
+
+    if (member.role === 'owner' && role !== 'owner' && countOwners(req.workspace.id) === 1) {
+      return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+    }
+
+    db.prepare('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?')
+      .run(role, req.workspace.id, req.params.userId);
+
+    res.json({ message: 'Member role updated successfully', role });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Remove a member (members may also remove themselves to leave the workspace)
+router.delete('/current/members/:userId', authMiddleware, (req, res, next) => {
+  try {
+    const leaving = Number(req.params.userId) === req.user.id;
+    const member = getMembership(req.workspace.id, req.params.userId);
+
+    if (!member) {
+      return res.status(404).json({ error: 'Member not found' });
+    }
+
+    if (!leaving) {
+      if (!authMiddleware.can(req.workspace.role, 'members:manage')) {
+        return res.status(403).json({ error: 'You do not have permission to do this', requiredRole: 'admin' });
+      }
+
+      if (!canManageRole(req.workspace.role, member.role, member.role)) {
+        return res.status(403).json({ error: 'Only owners can remove owners' });
+      }
+    }
+
+    if (member.role === 'owner' && countOwners(req.workspace.id) === 1) {
+      return res.status(400).json({ error: 'A workspace must keep at least one owner' });
+    }
+
+    db.prepare('DELETE FROM workspace_members WHERE workspace_id = ? AND user_id = ?')
+      .run(req.workspace.id, req.params.userId);
+
+    res.json({ message: leaving ? 'Left workspace successfully' : 'Member removed successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// List outstanding invitations
+router.get('/current/invitations', authMiddleware, authorize('members:manage'), (req, res, next) => {
+  try {
+    const invitations = db.prepare(`
+      SELECT i.id, i.email, i.role, i.expires_at, i.created_at, u.name as invited_by_name
+      FROM workspace_invitations i
+      LEFT JOIN users u ON i.invited_by = u.id
+      WHERE i.workspace_id = ? AND i.accepted_at IS NULL AND i.expires_at > ?
+      ORDER BY i.created_at DESC
+    `).all(req.workspace.id, new Date().toISOString());
+
+    res.json({ invitations });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Invite someone to the current workspace by email
+router.post('/current/invitations', authMiddleware, authorize('members:manage'), async (req, res, next) => {
+  try {
+    const { email, role = 'editor' } = req.body;
+
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (!canManageRole(req.workspace.role, role, role)) {
+      return res.status(403).json({ error: 'Only owners can invite owners' });
+    }
+
+    const invitation = createInvitation(req.workspace.id, email, role, req.user.id);
+    const acceptUrl = `${FRONTEND_URL}/invitations/accept?token=${invitation.token}`;
+
+    // The invitation stays valid if the email cannot be sent; the link is also returned below
+    let emailSent = true;
+    try {
+      await sendInvitationEmail({
+        email,
+        workspaceName: req.workspace.name,
+        inviterName: req.user.name,
+        role,
+        acceptUrl
+      });
+    } catch (mailError) {
+      console.error('Invitation email error:', mailError);
+      emailSent = false;
+    }
+
+    // The token is only shown once; it is stored hashed
+    res.status(201).json({
+      message: 'Invitation created successfully',
+      emailSent,
+      invitation: {
+        id: invitation.id,
+        email,
+        role,
+        expiresAt: invitation.expiresAt,
+        token: invitation.token,
+        acceptUrl
+      }
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Revoke an invitation
+router.delete('/current/invitations/:id', authMiddleware, authorize('members:manage'), (req, res, next) => {
+  try {
+    const result = db.prepare(`
+      DELETE FROM workspace_invitations WHERE id = ? AND workspace_id = ? AND accepted_at IS NULL
+    `).run(req.params.id, req.workspace.id);
+
+    if (result.changes === 0) {
+      return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Accept an invitation sent to the current user's email
+router.post('/invitations/accept', authMiddleware, (req, res, next) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({ error: 'Invitation token is required' });
+    }
+
+    const { membership, error } = acceptInvitation(token, req.user);
+
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    res.json({
+      message: 'Invitation accepted successfully',
+      workspace: membership
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = router;
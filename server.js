@@ -7,6 +7,20 @@ const path = require('path');
 // Load environment variables
 dotenv.config();
 
+// Tokens signed with the development fallback secret could be forged by anyone
+if (process.env.NODE_ENV === 'production' && !process.env.JWT_SECRET) {
+  console.error('JWT_SECRET must be set in production');
+  process.exit(1);
+}
+
+// Reset and verification links must be mailed, not logged
+try {
+  require('./services/mailer').checkTransport();
+} catch (error) {
+  console.error(error.message);
+  process.exit(1);
+}
+
 // Import routes
 const authRoutes = require('./routes/auth');
 const postRoutes = require('./routes/posts');
@@ -14,9 +28,22 @@ const aiRoutes = require('./routes/ai');
 const socialRoutes = require('./routes/social');
 const analyticsRoutes = require('./routes/analytics');
 const scheduleRoutes = require('./routes/schedule');
+const templateRoutes = require('./routes/templates');
+const workspaceRoutes = require('./routes/workspaces');
+const apiKeyRoutes = require('./routes/apiKeys');
+const webhookRoutes = require('./routes/webhooks');
+const adminRoutes = require('./routes/admin');
 
 // Import scheduler
+const db = require('./database/db');
+const { DatabaseError } = require('./database/errors');
+const { pendingMigrations, migrate } = require('./database/migrator');
 const { processScheduledPosts } = require('./services/scheduler');
+const { recoverStaleJobs } = require('./services/publishQueue');
+const { refreshExpiringTokens } = require('./services/tokenManager');
+const { purgeSessions } = require('./services/sessions');
+const { processDueDeliveries } = require('./services/webhooks');
+const { createBackup } = require('./services/backups');
 
 // Initialize express app
 const app = express();
@@ -37,17 +64,28 @@ app.use('/api/ai', aiRoutes);
 app.use('/api/social', socialRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/schedule', scheduleRoutes);
+app.use('/api/templates', templateRoutes);
+app.use('/api/workspaces', workspaceRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/admin', adminRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
   res.json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
-// Error handling middleware
+// Error handling middleware. Typed database errors carry their status (404 for a missing
+// record, 409/400 for a broken constraint); database failures don't reveal their SQL.
 app.use((err, req, res, next) => {
-  console.error('Error:', err);
-  res.status(err.status || 500).json({
-    error: err.message || 'Internal server error',
+  const status = err.status || 500;
+  if (status >= 500) {
+    console.error('Error:', err);
+  }
+
+  const hideMessage = err instanceof DatabaseError && status >= 500;
+  res.status(status).json({
+    error: (!hideMessage && err.message) || 'Internal server error',
     stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
   });
 });
@@ -62,10 +100,110 @@ cron.schedule('* * * * *', async () => {
   }
 });
 
-// Start server
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on http://localhost:${PORT}`);
-  console.log(`📅 Scheduler active - checking posts every minute`);
+// Refresh social account tokens that are about to expire every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  try {
+    const { checked, refreshed, failed, retrying } = await refreshExpiringTokens();
+    if (checked > 0) {
+      console.log(`Token sweep: ${refreshed} refreshed, ${failed} need re-authorization, ${retrying} to retry`);
+    }
+  } catch (error) {
+    console.error('Error refreshing tokens:', error);
+  }
+});
+
+// Retry webhook deliveries that are due every minute
+cron.schedule('* * * * *', async () => {
+  try {
+    const { delivered, retrying, failed } = await processDueDeliveries();
+    if (delivered || retrying || failed) {
+      console.log(`Webhooks: ${delivered} delivered, ${retrying} retrying, ${failed} failed`);
+    }
+  } catch (error) {
+    console.error('Error delivering webhooks:', error);
+  }
+});
+
+// Remove expired and long-revoked login sessions once a day
+cron.schedule('0 3 * * *', () => {
+  try {
+    const purged = purgeSessions();
+    if (purged > 0) {
+      console.log(`Purged ${purged} expired sessions`);
+    }
+  } catch (error) {
+    console.error('Error purging sessions:', error);
+  }
+});
+
+// Back up the SQLite database on BACKUP_SCHEDULE (a cron expression; empty turns it off)
+const BACKUP_SCHEDULE = process.env.BACKUP_SCHEDULE ?? '0 2 * * *';
+if (BACKUP_SCHEDULE && db.dialect === 'sqlite') {
+  cron.schedule(BACKUP_SCHEDULE, async () => {
+    try {
+      const backup = await createBackup('scheduled');
+      if (backup.verification.ok) {
+        console.log(`Database backed up to ${backup.file}`);
+      } else {
+        console.error(`Backup ${backup.name} failed verification:`, backup.verification.problems.join('; '));
+      }
+    } catch (error) {
+      console.error('Error backing up database:', error);
+    }
+  });
+}
+
+// Refuse to run against an out-of-date schema, unless asked to migrate it on start
+function checkMigrations() {
+  const pending = pendingMigrations();
+  if (pending.length === 0) return;
+
+  if (process.env.MIGRATE_ON_START === 'true') {
+    migrate();
+    return;
+  }
+
+  console.error(`Database has ${pending.length} pending migration(s):`);
+  pending.forEach(migration => console.error(`  ${String(migration.version).padStart(3, '0')}_${migration.name}`));
+  console.error('Run "npm run migrate" (or set MIGRATE_ON_START=true) and restart');
+  process.exit(1);
+}
+
+let server;
+
+db.ensureReady().then(() => {
+  checkMigrations();
+
+  // Release publish jobs left behind by a crash before the scheduler starts
+  try {
+    const { recoveredJobs, requeuedPosts } = recoverStaleJobs();
+    if (recoveredJobs || requeuedPosts) {
+      console.log(`♻️  Recovered ${recoveredJobs} stale publish jobs, requeued ${requeuedPosts} posts`);
+    }
+  } catch (error) {
+    console.error('Error recovering publish jobs:', error);
+  }
+
+  // Start server
+  server = app.listen(PORT, () => {
+    console.log(`🚀 Server running on http://localhost:${PORT}`);
+    console.log(`📅 Scheduler active - checking posts every minute`);
+  });
+}).catch(error => {
+  console.error('Error starting server:', error);
+  process.exit(1);
+});
+
+// Write pending database changes to disk before exiting
+['SIGINT', 'SIGTERM'].forEach(signal => {
+  process.once(signal, () => {
+    console.log(`${signal} received, shutting down`);
+    if (server) {
+      server.close();
+    }
+    db.close();
+    process.exit(0);
+  });
 });
 
 module.exports = app;
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+
+// Single-use tokens mailed to users to prove they control their email address
+const TOKEN_TTL_MS = {
+  verify_email: 48 * 60 * 60 * 1000, // 48 hours
+  reset_password: 60 * 60 * 1000 // 1 hour
+};
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+// Issue a token for a purpose; the raw token is only returned here
+function createAccountToken(userId, purpose) {
+  if (!TOKEN_TTL_MS[purpose]) {
+    throw new Error(`Unknown token purpose: ${purpose}`);
+  }
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + TOKEN_TTL_MS[purpose]).toISOString();
+
+  // Only the most recently mailed token is valid
+  db.prepare(`
+    DELETE FROM account_tokens WHERE user_id = ? AND purpose = ? AND used_at IS NULL
+  `).run(userId, purpose);
+
+  db.prepare(`
+    INSERT INTO account_tokens (user_id, purpose, token_hash, expires_at)
+    VALUES (?, ?, ?, ?)
+  `).run(userId, purpose, hashToken(token), expiresAt);
+
+  return { token, expiresAt };
+}
+
+// Use up a token. Returns the user id it was issued to, or null if it is invalid,
+// expired or was already used.
+function consumeAccountToken(token, purpose) {
+  return db.transaction(() => {
+    const row = db.prepare(`
+      SELECT * FROM account_tokens WHERE token_hash = ? AND purpose = ? AND used_at IS NULL
+    `).get(hashToken(String(token)), purpose);
+
+    if (!row || new Date(row.expires_at) < new Date()) {
+      return null;
+    }
+
+    db.prepare('UPDATE account_tokens SET used_at = CURRENT_TIMESTAMP WHERE id = ?').run(row.id);
+    return row.user_id;
+  })();
+}
+
+module.exports = {
+  createAccountToken,
+  consumeAccountToken
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const { getMembership } = require('./workspaces');
+
+// API keys let scripts and integrations act in one workspace on behalf of the member who
+// created them. A key can only do what its scopes list AND its creator's role still allows.
+// Keys are stored as SHA-256 hashes; the short prefix is kept so users can tell keys apart.
+
+const KEY_PREFIX = 'sai_';
+// Don't rewrite the database on every request just to bump last_used_at
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+
+function isApiKey(token) {
+  return typeof token === 'string' && token.startsWith(KEY_PREFIX);
+}
+
+function formatKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    prefix: row.prefix,
+    scopes: JSON.parse(row.scopes),
+    user_id: row.user_id,
+    user_name: row.user_name,
+    last_used_at: row.last_used_at,
+    last_used_ip: row.last_used_ip,
+    expires_at: row.expires_at,
+    created_at: row.created_at
+  };
+}
+
+// Create a key; the raw key is only returned here
+function createApiKey(workspaceId, userId, { name, scopes, expiresAt = null }) {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const prefix = key.substring(0, KEY_PREFIX.length + 8);
+
+  const result = db.prepare(`
+    INSERT INTO api_keys (workspace_id, user_id, name, prefix, key_hash, scopes, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(workspaceId, userId, name, prefix, hashKey(key), JSON.stringify(scopes), expiresAt);
+
+  return { id: result.lastInsertRowid, key, prefix };
+}
+
+// Active keys in a workspace, optionally only one member's
+function listApiKeys(workspaceId, userId = null) {
+  return db.prepare(`
+    SELECT k.*, u.name as user_name
+    FROM api_keys k
+    LEFT JOIN users u ON k.user_id = u.id
+    WHERE k.workspace_id = ? AND k.revoked_at IS NULL AND (? IS NULL OR k.user_id = ?)
+    ORDER BY k.created_at DESC, k.id DESC
+  `).all(workspaceId, userId, userId).map(formatKey);
+}
+
+function getApiKey(workspaceId, keyId) {
+  return db.prepare(`
+    SELECT * FROM api_keys WHERE id = ? AND workspace_id = ? AND revoked_at IS NULL
+  `).get(keyId, workspaceId) || null;
+}
+
+function revokeApiKey(keyId) {
+  db.prepare('UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ?').run(keyId);
+}
+
+// Look up the key behind a request. Returns { apiKey, user, workspace } or { error }.
+function authenticateApiKey(rawKey, ipAddress) {
+  const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ? AND revoked_at IS NULL')
+    .get(hashKey(rawKey));
+
+  if (!row) {
+    return { error: 'Invalid API key' };
+  }
+
+  if (row.expires_at && new Date(row.expires_at) < new Date()) {
+    return { error: 'API key has expired' };
+  }
+
+  const user = db.prepare(`
+    SELECT id, email, name, company, email_verified_at, two_factor_enabled_at, timezone FROM users WHERE id = ?
+  `).get(row.user_id);
+  // Keys stop working when their creator leaves the workspace
+  const workspace = user ? getMembership(row.workspace_id, user.id) : null;
+
+  if (!workspace) {
+    return { error: 'Invalid API key' };
+  }
+
+  const now = Date.now();
+  if (!row.last_used_at || now - new Date(row.last_used_at).getTime() > LAST_USED_RESOLUTION_MS) {
+    db.prepare('UPDATE api_keys SET last_used_at = ?, last_used_ip = ? WHERE id = ?')
+      .run(new Date(now).toISOString(), ipAddress || null, row.id);
+  }
+
+  return {
+    apiKey: { id: row.id, name: row.name, scopes: JSON.parse(row.scopes) },
+    user,
+    workspace
+  };
+}
+
+module.exports = {
+  isApiKey,
+  createApiKey,
+  listApiKeys,
+  getApiKey,
+  revokeApiKey,
+  authenticateApiKey
+};
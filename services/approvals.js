@@ -0,0 +1,94 @@
+const db = require('../database/db');
+
+// Approval states a post moves through. A post that was never submitted (or was edited
+// after review) has a NULL approval_status.
+//
+//   NULL / rejected --submit--> pending_approval --approve--> approved
+//                                                --reject---> rejected
+//   any state --edit--> NULL
+const APPROVAL_STATES = ['pending_approval', 'approved', 'rejected'];
+
+function requiresApproval(workspaceId) {
+  const workspace = db.prepare('SELECT require_approval FROM workspaces WHERE id = ?').get(workspaceId);
+  return Boolean(workspace?.require_approval);
+}
+
+// True when a post may be scheduled or published in its workspace
+function isApprovedForPublishing(post) {
+  return post.approval_status === 'approved' || !requiresApproval(post.workspace_id);
+}
+
+// Record a comment or an approval action in the post's review history
+function addComment(postId, userId, body, action = 'comment') {
+  const result = db.prepare(`
+    INSERT INTO post_comments (post_id, user_id, action, body)
+    VALUES (?, ?, ?, ?)
+  `).run(postId, userId, action, body || null);
+
+  return result.lastInsertRowid;
+}
+
+function listComments(postId) {
+  return db.prepare(`
+    SELECT c.id, c.action, c.body, c.created_at, u.id as user_id, u.name as user_name
+    FROM post_comments c
+    LEFT JOIN users u ON c.user_id = u.id
+    WHERE c.post_id = ?
+    ORDER BY c.created_at, c.id
+  `).all(postId);
+}
+
+// Send a post for review, optionally assigning a reviewer
+function submitForApproval(post, userId, { reviewerId, comment } = {}) {
+  db.prepare(`
+    UPDATE posts SET
+      approval_status = 'pending_approval',
+      reviewer_id = COALESCE(?, reviewer_id),
+      approved_by = NULL,
+      approved_at = NULL,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(reviewerId || null, post.id);
+
+  addComment(post.id, userId, comment, 'submitted');
+}
+
+// Approve or reject a pending post
+function decide(post, userId, decision, comment) {
+  const approved = decision === 'approved';
+
+  db.prepare(`
+    UPDATE posts SET
+      approval_status = ?,
+      approved_by = ?,
+      approved_at = CASE WHEN ? THEN CURRENT_TIMESTAMP ELSE NULL END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(decision, approved ? userId : null, approved ? 1 : 0, post.id);
+
+  addComment(post.id, userId, comment, decision);
+}
+
+// Any edit invalidates an earlier review
+function resetApproval(post, userId) {
+  if (!post.approval_status) return false;
+
+  db.prepare(`
+    UPDATE posts SET approval_status = NULL, approved_by = NULL, approved_at = NULL
+    WHERE id = ?
+  `).run(post.id);
+
+  addComment(post.id, userId, 'Post was edited after review', 'reset');
+  return true;
+}
+
+module.exports = {
+  APPROVAL_STATES,
+  requiresApproval,
+  isApprovedForPublishing,
+  addComment,
+  listComments,
+  submitForApproval,
+  decide,
+  resetApproval
+};
@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const db = require('../database/db');
+
+// Backups of the SQLite database: full copies written to BACKUP_DIR, each with a JSON manifest
+// (<name>.json) holding its checksum and the result of verifying it. PostgreSQL has its own
+// online backups (pg_dump, base backups, provider snapshots), so it isn't handled here.
+
+const BACKUP_DIR = path.resolve(process.env.BACKUP_DIR || path.join(__dirname, '..', 'backups'));
+// Newest backups to keep; older ones are deleted after each new backup
+const BACKUP_RETENTION = parseInt(process.env.BACKUP_RETENTION) || 7;
+
+const NAME_PATTERN = /^backup-[\w-]+$/;
+
+class BackupError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function assertSupported() {
+  if (db.dialect !== 'sqlite') {
+    throw new BackupError("Backups are only managed for SQLite; back up PostgreSQL with pg_dump or your provider's snapshots");
+  }
+}
+
+function checksum(file) {
+  return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+}
+
+function manifestPath(name) {
+  return path.join(BACKUP_DIR, `${name}.json`);
+}
+
+function writeManifest(manifest) {
+  fs.writeFileSync(manifestPath(manifest.name), `${JSON.stringify(manifest, null, 2)}\n`);
+}
+
+// Every backup with a manifest, newest first
+function listBackups() {
+  assertSupported();
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(file => file.endsWith('.json') && NAME_PATTERN.test(path.basename(file, '.json')))
+    .map(file => {
+      try {
+        return JSON.parse(fs.readFileSync(path.join(BACKUP_DIR, file), 'utf8'));
+      } catch (error) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.created_at.localeCompare(a.created_at));
+}
+
+function getBackup(name) {
+  const backup = NAME_PATTERN.test(name) && fs.existsSync(manifestPath(name))
+    ? JSON.parse(fs.readFileSync(manifestPath(name), 'utf8'))
+    : null;
+
+  if (!backup) {
+    throw new BackupError(`Backup ${name} not found`, 404);
+  }
+  return backup;
+}
+
+// Check a backup against its checksum, then open it and run the integrity check
+async function verifyBackup(name) {
+  assertSupported();
+  const backup = getBackup(name);
+  const file = path.join(BACKUP_DIR, backup.file);
+
+  let result;
+  if (!fs.existsSync(file)) {
+    result = { problems: [`${backup.file} is missing`], schemaVersion: null };
+  } else if (checksum(file) !== backup.sha256) {
+    result = { problems: [`${backup.file} has changed since it was written (checksum mismatch)`], schemaVersion: null };
+  } else {
+    result = await db.verifyBackup(file);
+  }
+
+  const verification = {
+    ok: result.problems.length === 0,
+    problems: result.problems,
+    schema_version: result.schemaVersion,
+    verified_at: new Date().toISOString()
+  };
+
+  writeManifest({ ...backup, verification });
+  return verification;
+}
+
+// Delete all but the newest BACKUP_RETENTION backups
+function pruneBackups() {
+  const expired = listBackups().slice(BACKUP_RETENTION);
+
+  expired.forEach(backup => {
+    fs.rmSync(path.join(BACKUP_DIR, backup.file), { force: true });
+    fs.rmSync(manifestPath(backup.name), { force: true });
+  });
+
+  return expired.length;
+}
+
+// Copy the database into BACKUP_DIR and verify the copy. `reason` (manual, scheduled,
+// pre-restore) ends up in the name.
+async function createBackup(reason = 'manual', { prune = true } = {}) {
+  assertSupported();
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+
+  const createdAt = new Date();
+  const name = `backup-${createdAt.toISOString().replace(/[-:.]/g, '')}-${reason}`;
+  const file = `${name}.db`;
+  const target = path.join(BACKUP_DIR, file);
+
+  await db.backup(target);
+
+  writeManifest({
+    name,
+    file,
+    reason,
+    created_at: createdAt.toISOString(),
+    size: fs.statSync(target).size,
+    sha256: checksum(target)
+  });
+
+  const verification = await verifyBackup(name);
+  const pruned = prune ? pruneBackups() : 0;
+
+  return { ...getBackup(name), verification, pruned };
+}
+
+// Replace the database with a backup, after checking it and backing up the current data.
+// The database must be open in this process; holding it means no server can be using it.
+async function restoreBackup(name) {
+  assertSupported();
+  const backup = getBackup(name);
+
+  const verification = await verifyBackup(name);
+  if (!verification.ok) {
+    throw new BackupError(`Backup ${name} failed verification: ${verification.problems.join('; ')}`);
+  }
+
+  // Not pruned yet, which could delete the backup being restored
+  const safetyBackup = await createBackup('pre-restore', { prune: false });
+  db.restore(path.join(BACKUP_DIR, backup.file));
+  pruneBackups();
+
+  return { restored: { ...backup, verification }, safetyBackup };
+}
+
+module.exports = {
+  BACKUP_DIR,
+  BackupError,
+  listBackups,
+  getBackup,
+  verifyBackup,
+  createBackup,
+  pruneBackups,
+  restoreBackup
+};
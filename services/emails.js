@@ -0,0 +1,42 @@
+const { sendMail } = require('./mailer');
+const { createAccountToken } = require('./accountTokens');
+
+const FRONTEND_URL = process.env.FRONTEND_URL || '';
+
+// Transactional emails sent to users
+
+async function sendVerificationEmail(user) {
+  const { token } = createAccountToken(user.id, 'verify_email');
+  const link = `${FRONTEND_URL}/verify-email?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Verify your email address',
+    text: `Hi ${user.name},\n\nPlease confirm your email address by opening this link:\n\n${link}\n\nThe link expires in 48 hours.`
+  });
+}
+
+async function sendPasswordResetEmail(user) {
+  const { token } = createAccountToken(user.id, 'reset_password');
+  const link = `${FRONTEND_URL}/reset-password?token=${token}`;
+
+  return sendMail({
+    to: user.email,
+    subject: 'Reset your password',
+    text: `Hi ${user.name},\n\nSomeone asked to reset the password for your account. To choose a new password, open this link:\n\n${link}\n\nThe link expires in 1 hour. If you did not ask for this, you can ignore this email.`
+  });
+}
+
+async function sendInvitationEmail({ email, workspaceName, inviterName, role, acceptUrl }) {
+  return sendMail({
+    to: email,
+    subject: `You're invited to join ${workspaceName}`,
+    text: `${inviterName} invited you to join ${workspaceName} as ${/^[aeiou]/.test(role) ? 'an' : 'a'} ${role}.\n\nAccept the invitation here:\n\n${acceptUrl}\n\nThe invitation expires in 7 days.`
+  });
+}
+
+module.exports = {
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendInvitationEmail
+};
@@ -0,0 +1,27 @@
+const axios = require('axios');
+
+// Thin HTTP layer used by the platform clients. Everything goes through a single
+// transport function so tests and offline runs can swap it for a fake with setTransport().
+const defaultTransport = config => axios.request(config);
+
+let transport = defaultTransport;
+
+function request(config) {
+  return transport(config);
+}
+
+module.exports = {
+  request,
+  get: (url, config = {}) => request({ ...config, method: 'get', url }),
+  post: (url, data, config = {}) => request({ ...config, method: 'post', url, data }),
+  put: (url, data, config = {}) => request({ ...config, method: 'put', url, data }),
+
+  // Replace the transport; it receives an axios request config and resolves to { status, headers, data }
+  setTransport(fn) {
+    transport = fn;
+  },
+
+  resetTransport() {
+    transport = defaultTransport;
+  }
+};
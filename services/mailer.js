@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Outgoing email. MAIL_TRANSPORT picks where messages go:
+//   smtp    - deliver through SMTP_HOST / SMTP_PORT / SMTP_USER / SMTP_PASS
+//   file    - write each message as an .eml file to MAIL_FILE_DIR (useful for tests)
+//   console - log messages instead of sending them
+// Without MAIL_TRANSPORT it is smtp when SMTP_HOST is set, otherwise console - except in
+// production, where logging reset and verification links instead of sending them is refused.
+// Other transports can be added with registerTransport(name, factory).
+
+const MAIL_FROM = process.env.MAIL_FROM || 'SocialAI <no-reply@localhost>';
+
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  }),
+
+  file: () => {
+    const dir = path.resolve(process.env.MAIL_FILE_DIR || './mail');
+    const transport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+
+    return {
+      async sendMail(message) {
+        const info = await transport.sendMail(message);
+        fs.mkdirSync(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[<>@]/g, '')}.eml`);
+        fs.writeFileSync(file, info.message);
+        return { ...info, file };
+      }
+    };
+  },
+
+  console: () => {
+    const transport = nodemailer.createTransport({ jsonTransport: true });
+
+    return {
+      async sendMail(message) {
+        const info = await transport.sendMail(message);
+        console.log(`✉️  Mail to ${message.to}: ${message.subject}\n${message.text}`);
+        return info;
+      }
+    };
+  }
+};
+
+let activeTransport = null;
+
+function defaultTransportName() {
+  if (process.env.MAIL_TRANSPORT) return process.env.MAIL_TRANSPORT;
+  if (process.env.SMTP_HOST) return 'smtp';
+
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('SMTP_HOST (or MAIL_TRANSPORT) must be set in production');
+  }
+  return 'console';
+}
+
+function getTransport() {
+  if (activeTransport) return activeTransport;
+
+  const name = defaultTransportName();
+  const factory = transports[name];
+  if (!factory) {
+    throw new Error(`Unknown MAIL_TRANSPORT: ${name}`);
+  }
+
+  activeTransport = factory();
+  return activeTransport;
+}
+
+// Make another transport available by name; it only needs a sendMail(message) method
+function registerTransport(name, factory) {
+  transports[name] = factory;
+  activeTransport = null;
+}
+
+// Check that mail can be sent with the current configuration; throws if not
+function checkTransport() {
+  getTransport();
+}
+
+// Send an email. `message` takes nodemailer fields: to, subject, text and optionally html.
+async function sendMail(message) {
+  return getTransport().sendMail({ from: MAIL_FROM, ...message });
+}
+
+module.exports = {
+  sendMail,
+  checkTransport,
+  registerTransport
+};
@@ -0,0 +1,89 @@
+const fs = require('fs');
+const path = require('path');
+const http = require('./httpClient');
+
+const UPLOADS_DIR = path.join(__dirname, '../uploads');
+
+const MIME_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.mp4': 'video/mp4',
+  '.mov': 'video/quicktime',
+  '.avi': 'video/x-msvideo'
+};
+
+// Guess the MIME type of a media URL from its extension
+function getMimeType(mediaUrl) {
+  const ext = path.extname(mediaUrl.split('?')[0]).toLowerCase();
+  return MIME_TYPES[ext] || 'application/octet-stream';
+}
+
+function isVideoUrl(mediaUrl) {
+  return getMimeType(mediaUrl).startsWith('video/');
+}
+
+// Turn a stored media URL into one the platforms can fetch
+function toPublicUrl(mediaUrl) {
+  if (/^https?:\/\//.test(mediaUrl)) {
+    return mediaUrl;
+  }
+  return `${process.env.PUBLIC_BASE_URL || ''}${mediaUrl}`;
+}
+
+// Read a media file (local upload or remote URL) into memory
+async function loadMedia(mediaUrl) {
+  let buffer;
+  let mimeType = getMimeType(mediaUrl);
+
+  if (mediaUrl.startsWith('/uploads/')) {
+    buffer = await fs.promises.readFile(path.join(UPLOADS_DIR, path.basename(mediaUrl)));
+  } else {
+    const response = await http.get(mediaUrl, { responseType: 'arraybuffer' });
+    buffer = Buffer.from(response.data);
+    const contentType = response.headers?.['content-type'];
+    if (contentType && mimeType === 'application/octet-stream') {
+      mimeType = contentType.split(';')[0];
+    }
+  }
+
+  return {
+    url: mediaUrl,
+    filename: path.basename(mediaUrl.split('?')[0]),
+    mimeType,
+    buffer,
+    size: buffer.length,
+    isVideo: mimeType.startsWith('video/')
+  };
+}
+
+// Read a video's duration in seconds from its MP4/QuickTime movie header (null if not found)
+function getVideoDuration(buffer) {
+  const index = buffer.indexOf('mvhd');
+  if (index < 0 || index + 36 > buffer.length) return null;
+
+  const version = buffer[index + 4];
+  const timescale = version === 1 ? buffer.readUInt32BE(index + 24) : buffer.readUInt32BE(index + 16);
+  const duration = version === 1 ? Number(buffer.readBigUInt64BE(index + 28)) : buffer.readUInt32BE(index + 20);
+
+  return timescale > 0 ? duration / timescale : null;
+}
+
+// Pick the media a single post can carry: one video, or up to maxImages images
+function selectMedia(mediaUrls, maxImages) {
+  const video = mediaUrls.find(isVideoUrl);
+  if (video) {
+    return [video];
+  }
+  return mediaUrls.slice(0, maxImages);
+}
+
+module.exports = {
+  loadMedia,
+  selectMedia,
+  toPublicUrl,
+  getVideoDuration,
+  getMimeType,
+  isVideoUrl
+};
@@ -0,0 +1,173 @@
+const http = require('./httpClient');
+
+const TWITTER_UPLOAD_URL = 'https://upload.twitter.com/1.1/media/upload.json';
+const TWITTER_CHUNK_SIZE = 4 * 1024 * 1024; // 4MB per APPEND segment
+const LINKEDIN_ASSETS_URL = 'https://api.linkedin.com/v2/assets?action=registerUpload';
+const FACEBOOK_GRAPH_URL = 'https://graph.facebook.com/v18.0';
+const FACEBOOK_VIDEO_URL = 'https://graph-video.facebook.com/v18.0';
+const INSTAGRAM_POLL_INTERVAL_MS = 5000;
+const INSTAGRAM_POLL_ATTEMPTS = 30; // give up after ~2.5 minutes
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Twitter: chunked INIT / APPEND / FINALIZE upload, then wait for video processing
+async function uploadTwitterMedia(account, media) {
+  const authHeader = { 'Authorization': `Bearer ${account.access_token}` };
+  const formHeaders = { ...authHeader, 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  let category = 'tweet_image';
+  if (media.isVideo) category = 'tweet_video';
+  else if (media.mimeType === 'image/gif') category = 'tweet_gif';
+
+  const init = await http.post(TWITTER_UPLOAD_URL, new URLSearchParams({
+    command: 'INIT',
+    total_bytes: String(media.size),
+    media_type: media.mimeType,
+    media_category: category
+  }).toString(), { headers: formHeaders });
+
+  const mediaId = init.data.media_id_string;
+
+  for (let offset = 0, segment = 0; offset < media.size; offset += TWITTER_CHUNK_SIZE, segment++) {
+    const form = new FormData();
+    form.append('command', 'APPEND');
+    form.append('media_id', mediaId);
+    form.append('segment_index', String(segment));
+    form.append('media', new Blob([media.buffer.subarray(offset, offset + TWITTER_CHUNK_SIZE)]), media.filename);
+
+    await http.post(TWITTER_UPLOAD_URL, form, { headers: authHeader, maxBodyLength: Infinity });
+  }
+
+  const finalize = await http.post(TWITTER_UPLOAD_URL, new URLSearchParams({
+    command: 'FINALIZE',
+    media_id: mediaId
+  }).toString(), { headers: formHeaders });
+
+  let processing = finalize.data.processing_info;
+  while (processing && ['pending', 'in_progress'].includes(processing.state)) {
+    await sleep((processing.check_after_secs || 1) * 1000);
+
+    const status = await http.get(TWITTER_UPLOAD_URL, {
+      headers: authHeader,
+      params: { command: 'STATUS', media_id: mediaId }
+    });
+    processing = status.data.processing_info;
+  }
+
+  if (processing?.state === 'failed') {
+    throw new Error(processing.error?.message || 'Twitter media processing failed');
+  }
+
+  return mediaId;
+}
+
+// LinkedIn: register an upload to get an asset URN and upload URL, then PUT the bytes
+async function uploadLinkedInMedia(account, media) {
+  const register = await http.post(LINKEDIN_ASSETS_URL, {
+    registerUploadRequest: {
+      recipes: [media.isVideo ? 'urn:li:digitalmediaRecipe:feedshare-video' : 'urn:li:digitalmediaRecipe:feedshare-image'],
+      owner: `urn:li:person:${account.account_id}`,
+      serviceRelationships: [{
+        relationshipType: 'OWNER',
+        identifier: 'urn:li:userGeneratedContent'
+      }]
+    }
+  }, {
+    headers: {
+      'Authorization': `Bearer ${account.access_token}`,
+      'Content-Type': 'application/json'
+    }
+  });
+
+  const { asset, uploadMechanism } = register.data.value;
+  const uploadUrl = uploadMechanism['com.linkedin.digitalmedia.uploading.MediaUploadHttpRequest'].uploadUrl;
+
+  await http.put(uploadUrl, media.buffer, {
+    headers: {
+      'Authorization': `Bearer ${account.access_token}`,
+      'Content-Type': media.mimeType
+    },
+    maxBodyLength: Infinity
+  });
+
+  return asset;
+}
+
+// Facebook: upload a photo unpublished so it can be attached to a feed post
+async function uploadFacebookPhoto(account, media) {
+  const form = new FormData();
+  form.append('source', new Blob([media.buffer], { type: media.mimeType }), media.filename);
+  form.append('published', 'false');
+  form.append('access_token', account.access_token);
+
+  const response = await http.post(`${FACEBOOK_GRAPH_URL}/${account.account_id}/photos`, form, {
+    maxBodyLength: Infinity
+  });
+
+  return response.data.id;
+}
+
+// Facebook: videos are published directly through the video endpoint
+async function publishFacebookVideo(account, media, description) {
+  const form = new FormData();
+  form.append('source', new Blob([media.buffer], { type: media.mimeType }), media.filename);
+  form.append('description', description);
+  form.append('access_token', account.access_token);
+
+  const response = await http.post(`${FACEBOOK_VIDEO_URL}/${account.account_id}/videos`, form, {
+    maxBodyLength: Infinity
+  });
+
+  return response.data.id;
+}
+
+// Instagram: create a media container (image, Reel, carousel item or carousel)
+async function createInstagramContainer(account, params) {
+  const response = await http.post(`${FACEBOOK_GRAPH_URL}/${account.account_id}/media`, {
+    ...params,
+    access_token: account.access_token
+  });
+
+  return response.data.id;
+}
+
+// Instagram: wait until a container has finished processing (videos and carousels take a while)
+async function waitForInstagramContainer(account, containerId) {
+  for (let attempt = 0; attempt < INSTAGRAM_POLL_ATTEMPTS; attempt++) {
+    const response = await http.get(`${FACEBOOK_GRAPH_URL}/${containerId}`, {
+      params: { fields: 'status_code,status', access_token: account.access_token }
+    });
+
+    const { status_code: statusCode, status } = response.data;
+    if (statusCode === 'FINISHED' || statusCode === 'PUBLISHED') {
+      return;
+    }
+    if (statusCode === 'ERROR' || statusCode === 'EXPIRED') {
+      throw new Error(`Instagram media container ${statusCode.toLowerCase()}: ${status || 'unknown reason'}`);
+    }
+
+    await sleep(INSTAGRAM_POLL_INTERVAL_MS);
+  }
+
+  throw new Error('Timed out waiting for Instagram to process media');
+}
+
+// Instagram: publish a finished container
+async function publishInstagramContainer(account, containerId) {
+  const response = await http.post(`${FACEBOOK_GRAPH_URL}/${account.account_id}/media_publish`, {
+    creation_id: containerId,
+    access_token: account.access_token
+  });
+
+  return response.data.id;
+}
+
+module.exports = {
+  uploadTwitterMedia,
+  uploadLinkedInMedia,
+  uploadFacebookPhoto,
+  publishFacebookVideo,
+  createInstagramContainer,
+  waitForInstagramContainer,
+  publishInstagramContainer
+};
@@ -0,0 +1,346 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+const { encryptToken } = require('./tokenCrypto');
+const { JWT_SECRET } = require('./sessions');
+const STATE_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+// OAuth 2.0 provider settings. Endpoints can be overridden with
+// <PLATFORM>_OAUTH_AUTHORIZE_URL / _TOKEN_URL / _PROFILE_URL / _ACCOUNTS_URL (e.g. for a local mock server)
+//
+// Facebook and Instagram publish as a Page (or the Instagram business account linked to one)
+// rather than as the user who logged in. Their user token is exchanged for a long-lived one,
+// and every Page the user granted in the login dialog is connected with its own Page token,
+// which then does not expire.
+const providers = {
+  facebook: {
+    authorizeUrl: 'https://www.facebook.com/v18.0/dialog/oauth',
+    tokenUrl: 'https://graph.facebook.com/v18.0/oauth/access_token',
+    accountsUrl: 'https://graph.facebook.com/v18.0/me/accounts?fields=id,name,access_token&limit=100',
+    clientId: () => process.env.FACEBOOK_APP_ID,
+    clientSecret: () => process.env.FACEBOOK_APP_SECRET,
+    scope: 'pages_show_list,pages_manage_posts,pages_read_engagement',
+    longLivedToken: true,
+    parseAccounts: data => (data.data || []).map(page => ({
+      profile: { id: page.id, name: page.name },
+      accessToken: page.access_token
+    })),
+    noAccountsError: 'No Facebook Pages were shared; choose at least one Page to publish to'
+  },
+  linkedin: {
+    authorizeUrl: 'https://www.linkedin.com/oauth/v2/authorization',
+    tokenUrl: 'https://www.linkedin.com/oauth/v2/accessToken',
+    profileUrl: 'https://api.linkedin.com/v2/userinfo',
+    clientId: () => process.env.LINKEDIN_CLIENT_ID,
+    clientSecret: () => process.env.LINKEDIN_CLIENT_SECRET,
+    scope: 'openid profile w_member_social',
+    parseProfile: data => ({ id: data.sub, name: data.name })
+  },
+  twitter: {
+    authorizeUrl: 'https://twitter.com/i/oauth2/authorize',
+    tokenUrl: 'https://api.twitter.com/2/oauth2/token',
+    profileUrl: 'https://api.twitter.com/2/users/me',
+    clientId: () => process.env.TWITTER_CLIENT_ID || process.env.TWITTER_API_KEY,
+    clientSecret: () => process.env.TWITTER_CLIENT_SECRET || process.env.TWITTER_API_SECRET,
+    scope: 'tweet.read tweet.write users.read offline.access',
+    usePkce: true,
+    // Twitter expects confidential clients to authenticate with HTTP Basic
+    basicAuth: true,
+    parseProfile: data => ({ id: data.data.id, name: `@${data.data.username}` })
+  },
+  // The Instagram Graph API, reached through Facebook Login and the Pages the accounts are linked to
+  instagram: {
+    authorizeUrl: 'https://www.facebook.com/v18.0/dialog/oauth',
+    tokenUrl: 'https://graph.facebook.com/v18.0/oauth/access_token',
+    accountsUrl: 'https://graph.facebook.com/v18.0/me/accounts?fields=access_token,instagram_business_account{id,username}&limit=100',
+    clientId: () => process.env.INSTAGRAM_APP_ID || process.env.FACEBOOK_APP_ID,
+    clientSecret: () => process.env.INSTAGRAM_APP_SECRET || process.env.FACEBOOK_APP_SECRET,
+    scope: 'instagram_basic,instagram_content_publish,pages_show_list,pages_read_engagement',
+    longLivedToken: true,
+    parseAccounts: data => (data.data || [])
+      .filter(page => page.instagram_business_account)
+      .map(page => ({
+        profile: { id: page.instagram_business_account.id, name: `@${page.instagram_business_account.username}` },
+        accessToken: page.access_token
+      })),
+    noAccountsError: 'None of the shared Pages has an Instagram business account linked to it'
+  }
+};
+
+// Resolve provider endpoints, applying any environment overrides
+function getProvider(platform) {
+  const provider = providers[platform];
+  if (!provider) return null;
+
+  const prefix = platform.toUpperCase();
+  return {
+    ...provider,
+    authorizeUrl: process.env[`${prefix}_OAUTH_AUTHORIZE_URL`] || provider.authorizeUrl,
+    tokenUrl: process.env[`${prefix}_OAUTH_TOKEN_URL`] || provider.tokenUrl,
+    profileUrl: process.env[`${prefix}_OAUTH_PROFILE_URL`] || provider.profileUrl,
+    // Only for providers that connect Pages; it changes how the flow finishes
+    accountsUrl: provider.accountsUrl && (process.env[`${prefix}_OAUTH_ACCOUNTS_URL`] || provider.accountsUrl)
+  };
+}
+
+// PKCE helpers (RFC 7636)
+function createCodeVerifier() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function createCodeChallenge(verifier) {
+  return crypto.createHash('sha256').update(verifier).digest('base64url');
+}
+
+// Build the authorization URL and remember the flow server-side
+function createAuthorizationUrl(platform, userId, workspaceId, redirectUri) {
+  const provider = getProvider(platform);
+  if (!provider) {
+    throw new Error('Unsupported platform');
+  }
+
+  if (!provider.clientId()) {
+    throw new Error(`${platform} OAuth is not configured`);
+  }
+
+  purgeExpiredStates();
+
+  const nonce = crypto.randomBytes(16).toString('hex');
+  const codeVerifier = provider.usePkce ? createCodeVerifier() : null;
+
+  db.prepare(`
+    INSERT INTO oauth_states (nonce, user_id, workspace_id, platform, code_verifier, redirect_uri, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(nonce, userId, workspaceId, platform, codeVerifier, redirectUri, new Date(Date.now() + STATE_TTL_MS).toISOString());
+
+  // The state is signed so the callback can trust which user started the flow
+  const state = jwt.sign({ userId, platform, nonce }, JWT_SECRET, { expiresIn: STATE_TTL_MS / 1000 });
+
+  const params = new URLSearchParams({
+    response_type: 'code',
+    client_id: provider.clientId(),
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state
+  });
+
+  if (codeVerifier) {
+    params.set('code_challenge', createCodeChallenge(codeVerifier));
+    params.set('code_challenge_method', 'S256');
+  }
+
+  return `${provider.authorizeUrl}?${params.toString()}`;
+}
+
+// Validate the state from the callback and consume the stored flow (single use)
+function consumeState(platform, state) {
+  let decoded;
+  try {
+    decoded = jwt.verify(state, JWT_SECRET);
+  } catch (error) {
+    throw new Error('Invalid OAuth state');
+  }
+
+  if (decoded.platform !== platform) {
+    throw new Error('OAuth state does not match platform');
+  }
+
+  const flow = db.prepare('SELECT * FROM oauth_states WHERE nonce = ? AND user_id = ? AND platform = ?')
+    .get(decoded.nonce, decoded.userId, platform);
+
+  if (!flow) {
+    throw new Error('OAuth state already used or unknown');
+  }
+
+  db.prepare('DELETE FROM oauth_states WHERE id = ?').run(flow.id);
+
+  if (new Date(flow.expires_at) <= new Date()) {
+    throw new Error('OAuth state expired');
+  }
+
+  return flow;
+}
+
+// Normalize a token endpoint response
+function parseTokenResponse(data) {
+  if (!data.access_token) {
+    throw new Error('Token response did not include an access token');
+  }
+
+  return {
+    accessToken: data.access_token,
+    refreshToken: data.refresh_token || null,
+    expiresAt: data.expires_in ? new Date(Date.now() + data.expires_in * 1000).toISOString() : null
+  };
+}
+
+// POST a form to the provider's token endpoint with client authentication
+async function requestToken(provider, params) {
+  const body = new URLSearchParams({ ...params, client_id: provider.clientId() });
+  const headers = { 'Content-Type': 'application/x-www-form-urlencoded' };
+
+  if (provider.basicAuth) {
+    const credentials = Buffer.from(`${provider.clientId()}:${provider.clientSecret() || ''}`).toString('base64');
+    headers.Authorization = `Basic ${credentials}`;
+  } else {
+    body.set('client_secret', provider.clientSecret() || '');
+  }
+
+  const response = await axios.post(provider.tokenUrl, body.toString(), { headers });
+  return parseTokenResponse(response.data);
+}
+
+// Exchange an authorization code for tokens
+async function exchangeCode(platform, code, flow) {
+  const params = {
+    grant_type: 'authorization_code',
+    code,
+    redirect_uri: flow.redirect_uri
+  };
+
+  if (flow.code_verifier) {
+    params.code_verifier = flow.code_verifier;
+  }
+
+  return requestToken(getProvider(platform), params);
+}
+
+// Trade a short-lived Facebook user token for a long-lived one; Page tokens fetched with it
+// never expire
+async function exchangeForLongLivedToken(provider, accessToken) {
+  const response = await axios.get(provider.tokenUrl, {
+    params: {
+      grant_type: 'fb_exchange_token',
+      client_id: provider.clientId(),
+      client_secret: provider.clientSecret(),
+      fb_exchange_token: accessToken
+    }
+  });
+  return parseTokenResponse(response.data);
+}
+
+// Get a new access token for a connected account
+async function refreshAccessToken(platform, account) {
+  const provider = getProvider(platform);
+  if (!provider) {
+    throw new Error('Unsupported platform');
+  }
+
+  if (provider.accountsUrl) {
+    // Page tokens don't expire, so one that stopped working needs the user to log in again
+    throw new Error(`${platform} Page tokens cannot be refreshed; reconnect the account`);
+  }
+
+  if (!account.refresh_token) {
+    throw new Error('No refresh token available');
+  }
+
+  return requestToken(provider, {
+    grant_type: 'refresh_token',
+    refresh_token: account.refresh_token
+  });
+}
+
+// Look up the connected account's id and display name
+async function fetchProfile(platform, accessToken) {
+  const provider = getProvider(platform);
+
+  const response = await axios.get(provider.profileUrl, {
+    headers: { 'Authorization': `Bearer ${accessToken}` }
+  });
+
+  const profile = provider.parseProfile(response.data);
+  return { ...profile, id: String(profile.id) };
+}
+
+// The accounts a login connects, each with its profile and tokens: the user's own for most
+// platforms, every granted Page (or linked Instagram account) for Facebook and Instagram
+async function fetchAccounts(platform, tokens) {
+  const provider = getProvider(platform);
+
+  if (!provider.accountsUrl) {
+    return [{ profile: await fetchProfile(platform, tokens.accessToken), tokens }];
+  }
+
+  const response = await axios.get(provider.accountsUrl, {
+    headers: { 'Authorization': `Bearer ${tokens.accessToken}` }
+  });
+
+  return provider.parseAccounts(response.data).map(({ profile, accessToken }) => ({
+    profile: { ...profile, id: String(profile.id) },
+    tokens: { accessToken, refreshToken: null, expiresAt: null }
+  }));
+}
+
+// Insert or update the workspace's social account for a completed flow
+function saveAccount(flow, platform, profile, tokens) {
+  const existing = db.prepare(`
+    SELECT id FROM social_accounts
+    WHERE workspace_id = ? AND platform = ? AND account_id = ?
+  `).get(flow.workspace_id, platform, profile.id);
+
+  if (existing) {
+    db.prepare(`
+      UPDATE social_accounts SET
+        account_name = ?,
+        access_token = ?,
+        refresh_token = COALESCE(?, refresh_token),
+        token_expires_at = ?,
+        connection_status = 'connected',
+        status_message = NULL,
+        is_active = 1,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(profile.name, encryptToken(tokens.accessToken), encryptToken(tokens.refreshToken), tokens.expiresAt, existing.id);
+
+    return existing.id;
+  }
+
+  const result = db.prepare(`
+    INSERT INTO social_accounts (workspace_id, user_id, platform, account_name, account_id, access_token, refresh_token, token_expires_at, is_active)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, 1)
+  `).run(flow.workspace_id, flow.user_id, platform, profile.name, profile.id, encryptToken(tokens.accessToken), encryptToken(tokens.refreshToken), tokens.expiresAt);
+
+  return result.lastInsertRowid;
+}
+
+// Finish the authorization-code flow started by createAuthorizationUrl
+async function completeAuthorization(platform, code, state) {
+  const provider = getProvider(platform);
+  if (!provider) {
+    throw new Error('Unsupported platform');
+  }
+
+  const flow = consumeState(platform, state);
+  let tokens = await exchangeCode(platform, code, flow);
+  if (provider.longLivedToken) {
+    tokens = await exchangeForLongLivedToken(provider, tokens.accessToken);
+  }
+
+  const connected = await fetchAccounts(platform, tokens);
+  if (connected.length === 0) {
+    throw new Error(provider.noAccountsError);
+  }
+
+  const accounts = connected.map(({ profile, tokens: accountTokens }) => ({
+    id: saveAccount(flow, platform, profile, accountTokens),
+    profile
+  }));
+
+  return { accounts, userId: flow.user_id, workspaceId: flow.workspace_id };
+}
+
+// Remove flows that were started but never completed
+function purgeExpiredStates() {
+  return db.prepare('DELETE FROM oauth_states WHERE expires_at <= ?').run(new Date().toISOString()).changes;
+}
+
+module.exports = {
+  providers,
+  getProvider,
+  createAuthorizationUrl,
+  completeAuthorization,
+  refreshAccessToken,
+  createCodeChallenge
+};
@@ -0,0 +1,43 @@
+// Platform limits and capabilities, shared by the API and the publisher
+const platformInfo = {
+  facebook: {
+    name: 'Facebook',
+    icon: 'facebook',
+    color: '#1877f2',
+    maxTextLength: 63206,
+    maxImages: 10,
+    maxVideoLength: 240, // minutes
+    features: ['text', 'images', 'videos', 'links', 'polls']
+  },
+  linkedin: {
+    name: 'LinkedIn',
+    icon: 'linkedin',
+    color: '#0077b5',
+    maxTextLength: 3000,
+    maxImages: 9,
+    maxVideoLength: 10,
+    features: ['text', 'images', 'videos', 'articles', 'documents']
+  },
+  twitter: {
+    name: 'Twitter/X',
+    icon: 'twitter',
+    color: '#1da1f2',
+    maxTextLength: 280,
+    maxImages: 4,
+    maxVideoLength: 2.33,
+    features: ['text', 'images', 'videos', 'polls', 'threads']
+  },
+  instagram: {
+    name: 'Instagram',
+    icon: 'instagram',
+    color: '#e4405f',
+    maxTextLength: 2200,
+    maxImages: 10,
+    maxVideoLength: 60,
+    features: ['images', 'videos', 'stories', 'reels', 'carousels']
+  }
+};
+
+module.exports = {
+  platformInfo
+};
@@ -0,0 +1,94 @@
+const posts = require('../repositories/posts');
+const accounts = require('../repositories/accounts');
+const { emitPostEvent } = require('./webhooks');
+
+const targetKey = target => `${target.platform}:${target.accountId || ''}`;
+
+// Resolve what a post should publish to. Explicit social account IDs win; bare platform
+// names are kept for older clients and use the default account for that platform.
+function resolveTargets(workspaceId, { platforms, account_ids }) {
+  if (Array.isArray(account_ids) && account_ids.length > 0) {
+    const targets = [];
+    const invalid = [];
+
+    [...new Set(account_ids.map(Number))].forEach(accountId => {
+      const account = accounts.findActive(accountId, workspaceId);
+
+      if (account) {
+        targets.push({ platform: account.platform, accountId: account.id });
+      } else {
+        invalid.push(accountId);
+      }
+    });
+
+    return { targets, invalid };
+  }
+
+  return {
+    targets: [...new Set(platforms || [])].map(platform => ({ platform, accountId: null })),
+    invalid: []
+  };
+}
+
+// Distinct platform names covered by a set of targets
+function targetPlatforms(targets) {
+  return [...new Set(targets.map(target => target.platform))];
+}
+
+// Make a post's platform rows match its targets, keeping rows that are still wanted
+function syncPlatformPosts(postId, targets, content) {
+  const existing = posts.listTargets(postId);
+  const wanted = new Set(targets.map(targetKey));
+  const have = new Set(existing.map(row => targetKey({ platform: row.platform, accountId: row.social_account_id })));
+
+  existing
+    .filter(row => row.status !== 'published')
+    .filter(row => !wanted.has(targetKey({ platform: row.platform, accountId: row.social_account_id })))
+    .forEach(row => posts.removePlatformPost(row.id));
+
+  targets
+    .filter(target => !have.has(targetKey(target)))
+    .forEach(target => {
+      posts.insertPlatformPost(postId, { platform: target.platform, accountId: target.accountId, content });
+    });
+}
+
+// Create a post in a workspace and a platform row for every account it targets
+function createPost(workspaceId, userId, data) {
+  const {
+    title,
+    content,
+    targets,
+    status = 'draft',
+    scheduled_at,
+    hashtags,
+    ai_generated,
+    ai_prompt
+  } = data;
+
+  const postId = posts.insert(workspaceId, userId, {
+    title: title || null,
+    content,
+    platforms: JSON.stringify(targetPlatforms(targets)),
+    status,
+    scheduledAt: scheduled_at || null,
+    hashtags: JSON.stringify(hashtags || []),
+    aiGenerated: ai_generated ? 1 : 0,
+    aiPrompt: ai_prompt || null
+  });
+
+  syncPlatformPosts(postId, targets, content);
+
+  if (status === 'scheduled') {
+    emitPostEvent(postId, 'post.scheduled');
+  }
+
+  return postId;
+}
+
+module.exports = {
+  resolveTargets,
+  targetPlatforms,
+  syncPlatformPosts,
+  createPost
+};
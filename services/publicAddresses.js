@@ -0,0 +1,83 @@
+const dns = require('dns');
+const net = require('net');
+
+// Keeps requests to user-supplied URLs (webhooks) on the public internet: loopback, private,
+// link-local (including the 169.254.169.254 cloud metadata endpoint), shared, multicast and
+// reserved addresses are refused. Hosts are checked when the request connects, so a name that
+// is re-pointed at an internal address after it was validated is still refused.
+
+const blocked = new net.BlockList();
+
+[
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4]
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, 'ipv4'));
+
+// IPv4-mapped IPv6 addresses (::ffff:a.b.c.d) are checked against the IPv4 ranges
+[
+  ['::', 128],
+  ['::1', 128],
+  ['64:ff9b::', 96],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['ff00::', 8]
+].forEach(([prefix, bits]) => blocked.addSubnet(prefix, bits, 'ipv6'));
+
+class AddressError extends Error {}
+
+function isPublicAddress(address) {
+  const family = net.isIP(address);
+  return family !== 0 && !blocked.check(address, family === 6 ? 'ipv6' : 'ipv4');
+}
+
+// Drop-in for dns.lookup that fails unless every address the host resolves to is public.
+// Pass it as the `lookup` option of a request.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) return callback(error);
+
+    const refused = addresses.find(entry => !isPublicAddress(entry.address));
+    if (refused) {
+      return callback(new AddressError(`${hostname} resolves to ${refused.address}, which is not a public address`));
+    }
+
+    if (options.all) {
+      callback(null, addresses);
+    } else {
+      callback(null, addresses[0].address, addresses[0].family);
+    }
+  });
+}
+
+// Throws an AddressError unless the URL's host is, or resolves to, public addresses only.
+// IP literals never go through a lookup, so this is also how they get checked.
+async function assertPublicUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[(.*)\]$/, '$1');
+
+  if (net.isIP(host)) {
+    if (!isPublicAddress(host)) {
+      throw new AddressError(`${host} is not a public address`);
+    }
+    return;
+  }
+
+  await new Promise((resolve, reject) => {
+    publicLookup(host, {}, error => (error ? reject(error) : resolve()));
+  });
+}
+
+module.exports = {
+  AddressError,
+  isPublicAddress,
+  publicLookup,
+  assertPublicUrl
+};
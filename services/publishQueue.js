@@ -0,0 +1,181 @@
+const db = require('../database/db');
+
+// Retry policy for publish jobs
+const MAX_ATTEMPTS = parseInt(process.env.PUBLISH_MAX_ATTEMPTS) || 5;
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000; // 1 hour
+const LEASE_DURATION_MS = 5 * 60 * 1000; // 5 minutes
+
+// Delay before the next attempt, doubling after each failure
+function getRetryDelay(attempts) {
+  const delay = BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+// Add a publish job for a post
+function enqueuePublishJob(postId, runAt = new Date()) {
+  const result = db.prepare(`
+    INSERT INTO publish_jobs (post_id, status, attempts, max_attempts, run_at)
+    VALUES (?, 'queued', 0, ?, ?)
+  `).run(postId, MAX_ATTEMPTS, runAt.toISOString());
+
+  return result.lastInsertRowid;
+}
+
+// Lease due jobs so they are not picked up twice
+function claimDueJobs(limit = 10) {
+  const now = new Date();
+
+  const dueJobs = db.prepare(`
+    SELECT * FROM publish_jobs
+    WHERE status = 'queued' AND run_at <= ?
+    ORDER BY run_at ASC
+    LIMIT ?
+  `).all(now.toISOString(), limit);
+
+  const lockedUntil = new Date(now.getTime() + LEASE_DURATION_MS).toISOString();
+  const claimed = [];
+
+  for (const job of dueJobs) {
+    const result = db.prepare(`
+      UPDATE publish_jobs
+      SET status = 'processing', attempts = attempts + 1, locked_until = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'queued'
+    `).run(lockedUntil, job.id);
+
+    if (result.changes > 0) {
+      claimed.push({ ...job, status: 'processing', attempts: job.attempts + 1, locked_until: lockedUntil });
+    }
+  }
+
+  return claimed;
+}
+
+// Claim a post for an immediate publish: move it to processing together with a job already
+// leased to the caller, so neither the scheduler nor recovery publishes it at the same time.
+// Returns null if the post is already being published or is published.
+function claimPostForPublishing(postId) {
+  return db.transaction(() => {
+    const claimed = db.prepare(`
+      UPDATE posts SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status NOT IN ('processing', 'published')
+    `).run(postId);
+
+    if (claimed.changes === 0) {
+      return null;
+    }
+
+    const now = new Date();
+    const lockedUntil = new Date(now.getTime() + LEASE_DURATION_MS).toISOString();
+    const result = db.prepare(`
+      INSERT INTO publish_jobs (post_id, status, attempts, max_attempts, run_at, locked_until)
+      VALUES (?, 'processing', 1, ?, ?, ?)
+    `).run(postId, MAX_ATTEMPTS, now.toISOString(), lockedUntil);
+
+    return { id: result.lastInsertRowid, post_id: postId, status: 'processing', attempts: 1, max_attempts: MAX_ATTEMPTS, locked_until: lockedUntil };
+  })();
+}
+
+// Mark a job as done
+function completeJob(jobId) {
+  db.prepare(`
+    UPDATE publish_jobs
+    SET status = 'completed', locked_until = NULL, last_error = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(jobId);
+}
+
+// Record a failed attempt and either schedule a retry or dead-letter the job
+function failJob(job, errorMessage) {
+  if (job.attempts >= job.max_attempts) {
+    db.prepare(`
+      UPDATE publish_jobs
+      SET status = 'dead', locked_until = NULL, last_error = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(errorMessage, job.id);
+
+    return { dead: true };
+  }
+
+  const nextRunAt = new Date(Date.now() + getRetryDelay(job.attempts)).toISOString();
+
+  db.prepare(`
+    UPDATE publish_jobs
+    SET status = 'queued', run_at = ?, locked_until = NULL, last_error = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(nextRunAt, errorMessage, job.id);
+
+  return { dead: false, nextRunAt };
+}
+
+// Keep a claimed job's lease from running out while it is being worked on (publishing can
+// take minutes, e.g. Instagram processing a carousel), so recovery doesn't hand it to another
+// worker. Returns a function that stops renewing.
+function holdLease(jobId) {
+  const timer = setInterval(() => {
+    try {
+      db.prepare(`
+        UPDATE publish_jobs SET locked_until = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND status = 'processing'
+      `).run(new Date(Date.now() + LEASE_DURATION_MS).toISOString(), jobId);
+    } catch (error) {
+      console.error(`Error renewing lease of publish job ${jobId}:`, error);
+    }
+  }, LEASE_DURATION_MS / 3);
+
+  return () => clearInterval(timer);
+}
+
+// Put a dead job back in the queue with a fresh set of attempts
+function requeueJob(jobId) {
+  db.prepare(`
+    UPDATE publish_jobs
+    SET status = 'queued', attempts = 0, run_at = ?, locked_until = NULL, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(new Date().toISOString(), jobId);
+}
+
+// Release jobs whose lease ran out (e.g. the process crashed mid-publish)
+function recoverStaleJobs() {
+  const now = new Date().toISOString();
+
+  const staleJobs = db.prepare(`
+    SELECT * FROM publish_jobs
+    WHERE status = 'processing' AND (locked_until IS NULL OR locked_until <= ?)
+  `).all(now);
+
+  for (const job of staleJobs) {
+    failJob(job, 'Publish interrupted before completion');
+  }
+
+  // Posts left in processing without a live job predate the queue - give them one
+  const orphanedPosts = db.prepare(`
+    SELECT p.id FROM posts p
+    WHERE p.status = 'processing'
+      AND NOT EXISTS (
+        SELECT 1 FROM publish_jobs j
+        WHERE j.post_id = p.id AND j.status IN ('queued', 'processing')
+      )
+  `).all();
+
+  for (const post of orphanedPosts) {
+    enqueuePublishJob(post.id);
+  }
+
+  return {
+    recoveredJobs: staleJobs.length,
+    requeuedPosts: orphanedPosts.length
+  };
+}
+
+module.exports = {
+  enqueuePublishJob,
+  claimDueJobs,
+  claimPostForPublishing,
+  completeJob,
+  failJob,
+  holdLease,
+  requeueJob,
+  recoverStaleJobs,
+  getRetryDelay
+};
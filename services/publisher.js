@@ -1,5 +1,77 @@
-const axios = require('axios');
+const http = require('./httpClient');
 const db = require('../database/db');
+const { ensureFreshToken } = require('./tokenManager');
+const { decryptAccount } = require('./tokenCrypto');
+const { loadMedia, selectMedia, toPublicUrl, getVideoDuration, isVideoUrl } = require('./media');
+const { platformInfo } = require('./platforms');
+const {
+  uploadTwitterMedia,
+  uploadLinkedInMedia,
+  uploadFacebookPhoto,
+  publishFacebookVideo,
+  createInstagramContainer,
+  waitForInstagramContainer,
+  publishInstagramContainer
+} = require('./mediaUpload');
+
+// Platforms that publish over-long content as a thread instead of truncating it
+const THREAD_PLATFORMS = ['twitter'];
+
+// Pack sentences into chunks of at most `limit` characters, splitting on words when a
+// single sentence is too long (and hard-cutting words longer than the limit)
+function packSentences(sentences, limit) {
+  const chunks = [];
+  let current = '';
+  
+  const pushPiece = piece => {
+    if (!current) {
+      current = piece;
+    } else if (current.length + 1 + piece.length <= limit) {
+      current += ` ${piece}`;
+    } else {
+      chunks.push(current);
+      current = piece;
+    }
+  };
+  
+  for (const sentence of sentences) {
+    if (sentence.length <= limit) {
+      pushPiece(sentence);
+      continue;
+    }
+    
+    for (const word of sentence.split(/\s+/)) {
+      for (let i = 0; i < word.length; i += limit) {
+        pushPiece(word.substring(i, i + limit));
+      }
+    }
+  }
+  
+  if (current) chunks.push(current);
+  return chunks;
+}
+
+// Split content into numbered posts ("... 1/3") on sentence boundaries
+function splitIntoThread(content, maxLength = platformInfo.twitter.maxTextLength) {
+  const text = content.trim();
+  if (text.length <= maxLength) {
+    return [text];
+  }
+  
+  const sentences = text.split(/(?<=[.!?])\s+|\s*\n\s*/).filter(Boolean);
+  
+  // Reserve room for the " i/n" counter; repeat if the count gains a digit
+  let total = Math.ceil(text.length / maxLength);
+  for (;;) {
+    const reserved = ` ${total}/${total}`.length;
+    const chunks = packSentences(sentences, maxLength - reserved);
+    
+    if (String(chunks.length).length <= String(total).length) {
+      return chunks.map((chunk, i) => `${chunk} ${i + 1}/${chunks.length}`);
+    }
+    total = chunks.length;
+  }
+}
 
 // Platform API clients (in production, use official SDKs)
 const platformClients = {
@@ -11,10 +83,25 @@ const platformClients = {
       
       if (process.env.FACEBOOK_APP_ID && account.access_token !== 'demo-token') {
         try {
-          const response = await axios.post(
+          const media = await Promise.all(selectMedia(mediaUrls, platformInfo.facebook.maxImages).map(loadMedia));
+          
+          // A video becomes its own post
+          if (media[0]?.isVideo) {
+            const videoId = await publishFacebookVideo(account, media[0], content);
+            return { success: true, postId: videoId };
+          }
+          
+          // Photos are uploaded unpublished and attached to the feed post
+          const photoIds = [];
+          for (const item of media) {
+            photoIds.push(await uploadFacebookPhoto(account, item));
+          }
+          
+          const response = await http.post(
             `https://graph.facebook.com/v18.0/${account.account_id}/feed`,
             {
               message: content,
+              attached_media: photoIds.length > 0 ? photoIds.map(id => ({ media_fbid: id })) : undefined,
               access_token: account.access_token
             }
           );
@@ -42,7 +129,19 @@ const platformClients = {
       
       if (process.env.LINKEDIN_CLIENT_ID && account.access_token !== 'demo-token') {
         try {
-          const response = await axios.post(
+          const media = await Promise.all(selectMedia(mediaUrls, platformInfo.linkedin.maxImages).map(loadMedia));
+          
+          const assets = [];
+          for (const item of media) {
+            assets.push(await uploadLinkedInMedia(account, item));
+          }
+          
+          let mediaCategory = 'NONE';
+          if (assets.length > 0) {
+            mediaCategory = media[0].isVideo ? 'VIDEO' : 'IMAGE';
+          }
+          
+          const response = await http.post(
             'https://api.linkedin.com/v2/ugcPosts',
             {
               author: `urn:li:person:${account.account_id}`,
@@ -50,7 +149,8 @@ const platformClients = {
               specificContent: {
                 'com.linkedin.ugc.ShareContent': {
                   shareCommentary: { text: content },
-                  shareMediaCategory: 'NONE'
+                  shareMediaCategory: mediaCategory,
+                  media: assets.length > 0 ? assets.map(asset => ({ status: 'READY', media: asset })) : undefined
                 }
               },
               visibility: {
@@ -81,40 +181,80 @@ const platformClients = {
   },
   
   twitter: {
-    post: async (account, content, mediaUrls = []) => {
+    // Long content is posted as a numbered thread. `options.threadIds` holds tweets already
+    // posted by an earlier attempt, so a retry continues the thread instead of starting over.
+    post: async (account, content, mediaUrls = [], options = {}) => {
       // In production, use Twitter API v2
       // POST https://api.twitter.com/2/tweets
-      console.log(`[Twitter] Posting to ${account.account_name}:`, content.substring(0, 50));
+      const tweets = splitIntoThread(content, platformInfo.twitter.maxTextLength);
+      const threadIds = [...(options.threadIds || [])];
+      console.log(`[Twitter] Posting ${tweets.length} tweet(s) to ${account.account_name}:`, content.substring(0, 50));
       
       if (process.env.TWITTER_BEARER_TOKEN && account.access_token !== 'demo-token') {
-        try {
-          const response = await axios.post(
-            'https://api.twitter.com/2/tweets',
-            { text: content },
-            {
-              headers: {
-                'Authorization': `Bearer ${account.access_token}`,
-                'Content-Type': 'application/json'
+        // Media goes on the first tweet of the thread
+        const mediaIds = [];
+        if (threadIds.length === 0) {
+          const media = await Promise.all(selectMedia(mediaUrls, platformInfo.twitter.maxImages).map(loadMedia));
+          for (const item of media) {
+            mediaIds.push(await uploadTwitterMedia(account, item));
+          }
+        }
+        
+        for (let i = threadIds.length; i < tweets.length; i++) {
+          const body = { text: tweets[i] };
+          if (i > 0) {
+            body.reply = { in_reply_to_tweet_id: threadIds[i - 1] };
+          } else if (mediaIds.length > 0) {
+            body.media = { media_ids: mediaIds };
+          }
+          
+          try {
+            const response = await http.post(
+              'https://api.twitter.com/2/tweets',
+              body,
+              {
+                headers: {
+                  'Authorization': `Bearer ${account.access_token}`,
+                  'Content-Type': 'application/json'
+                }
               }
+            );
+            threadIds.push(response.data.data.id);
+          } catch (error) {
+            console.error('Twitter API error:', error.response?.data || error.message);
+            if (threadIds.length === 0) {
+              throw error;
             }
-          );
-          return { success: true, postId: response.data.data.id };
-        } catch (error) {
-          console.error('Twitter API error:', error.response?.data || error.message);
-          throw error;
+            
+            // Part of the thread is live - report how far we got so a retry can resume
+            return {
+              success: false,
+              error: `Thread stopped at tweet ${i + 1}/${tweets.length}: ${error.message}`,
+              postId: threadIds[0],
+              threadIds
+            };
+          }
         }
+        
+        return { success: true, postId: threadIds[0], threadIds };
       }
       
       // Demo mode
+      for (let i = threadIds.length; i < tweets.length; i++) {
+        threadIds.push(`tw_demo_${Date.now()}_${i + 1}`);
+      }
+      
       return { 
         success: true, 
-        postId: `tw_demo_${Date.now()}`,
+        postId: threadIds[0],
+        threadIds,
         demo: true 
       };
     }
   },
   
   instagram: {
+    // One image is a feed post, one video is a Reel, and 2-10 items become a carousel
     post: async (account, content, mediaUrls = []) => {
       // In production, use Instagram Graph API (requires Facebook Business)
       // POST https://graph.facebook.com/v18.0/{ig-user-id}/media
@@ -130,28 +270,57 @@ const platformClients = {
         };
       }
       
+      const validation = await validateMedia(mediaUrls, 'instagram', content);
+      if (!validation.valid) {
+        return { success: false, error: validation.error };
+      }
+      
+      const isCarousel = mediaUrls.length > 1;
+      const mediaType = isCarousel ? 'CAROUSEL' : (isVideoUrl(mediaUrls[0]) ? 'REELS' : 'IMAGE');
+      
       if (process.env.INSTAGRAM_APP_ID && account.access_token !== 'demo-token') {
         try {
-          // First, create media container
-          const createResponse = await axios.post(
-            `https://graph.facebook.com/v18.0/${account.account_id}/media`,
-            {
-              image_url: mediaUrls[0],
-              caption: content,
-              access_token: account.access_token
+          let containerId;
+          
+          if (isCarousel) {
+            // Create a container per item, then the carousel container that groups them
+            const children = [];
+            for (const mediaUrl of mediaUrls) {
+              const isVideo = isVideoUrl(mediaUrl);
+              const childId = await createInstagramContainer(account, isVideo
+                ? { media_type: 'VIDEO', video_url: toPublicUrl(mediaUrl), is_carousel_item: true }
+                : { image_url: toPublicUrl(mediaUrl), is_carousel_item: true });
+              
+              if (isVideo) {
+                await waitForInstagramContainer(account, childId);
+              }
+              children.push(childId);
             }
-          );
+            
+            containerId = await createInstagramContainer(account, {
+              media_type: 'CAROUSEL',
+              children: children.join(','),
+              caption: content
+            });
+            await waitForInstagramContainer(account, containerId);
+          } else if (mediaType === 'REELS') {
+            containerId = await createInstagramContainer(account, {
+              media_type: 'REELS',
+              video_url: toPublicUrl(mediaUrls[0]),
+              caption: content
+            });
+            await waitForInstagramContainer(account, containerId);
+          } else {
+            containerId = await createInstagramContainer(account, {
+              image_url: toPublicUrl(mediaUrls[0]),
+              caption: content
+            });
+          }
           
           // Then publish it
-          const publishResponse = await axios.post(
-            `https://graph.facebook.com/v18.0/${account.account_id}/media_publish`,
-            {
-              creation_id: createResponse.data.id,
-              access_token: account.access_token
-            }
-          );
+          const postId = await publishInstagramContainer(account, containerId);
           
-          return { success: true, postId: publishResponse.data.id };
+          return { success: true, postId, mediaType };
         } catch (error) {
           console.error('Instagram API error:', error.response?.data || error.message);
           throw error;
@@ -162,106 +331,204 @@ const platformClients = {
       return { 
         success: true, 
         postId: `ig_demo_${Date.now()}`,
+        mediaType,
         demo: true 
       };
     }
   }
 };
 
-// Publish post to all selected platforms
-async function publishPost(post, userId) {
-  const platforms = JSON.parse(post.platforms || '[]');
-  const mediaUrls = JSON.parse(post.media_urls || '[]');
-  const results = {};
+// Find the account a platform row publishes through: the one selected for it, or the
+// workspace's default account for rows created from a bare platform name
+function findPublishAccount(platformPost, workspaceId) {
+  if (platformPost.social_account_id) {
+    return db.prepare(`
+      SELECT * FROM social_accounts
+      WHERE id = ? AND workspace_id = ? AND is_active = 1
+    `).get(platformPost.social_account_id, workspaceId);
+  }
+
+  return db.prepare(`
+    SELECT * FROM social_accounts 
+    WHERE workspace_id = ? AND platform = ? AND is_active = 1
+    ORDER BY id
+    LIMIT 1
+  `).get(workspaceId, platformPost.platform);
+}
+
+// Key results by platform, adding the account when a row targets a specific one
+function resultKey(platformPost) {
+  return platformPost.social_account_id
+    ? `${platformPost.platform}:${platformPost.social_account_id}`
+    : platformPost.platform;
+}
+
+// Publish one platform row to its account and record the outcome
+async function publishToPlatform(post, platformPost, mediaUrls) {
+  const platform = platformPost.platform;
   
-  for (const platform of platforms) {
-    try {
-      // Get connected account for this platform
-      const account = db.prepare(`
-        SELECT * FROM social_accounts 
-        WHERE user_id = ? AND platform = ? AND is_active = 1
-        LIMIT 1
-      `).get(userId, platform);
-      
-      if (!account) {
-        results[platform] = {
-          success: false,
-          error: `No connected ${platform} account found`
-        };
-        
-        // Update platform post status
-        db.prepare(`
-          UPDATE platform_posts SET status = 'failed', error_message = ?
-          WHERE post_id = ? AND platform = ?
-        `).run(`No connected account`, post.id, platform);
-        
-        continue;
-      }
-      
-      // Get platform client
-      const client = platformClients[platform];
-      if (!client) {
-        results[platform] = {
-          success: false,
-          error: `Unsupported platform: ${platform}`
-        };
-        continue;
-      }
-      
-      // Get platform-specific content
-      const platformPost = db.prepare(`
-        SELECT * FROM platform_posts WHERE post_id = ? AND platform = ?
-      `).get(post.id, platform);
-      
-      const content = platformPost?.content || post.content;
-      
-      // Post to platform
-      const result = await client.post(account, content, mediaUrls);
-      results[platform] = result;
-      
-      // Update platform post record
-      if (result.success) {
-        db.prepare(`
-          UPDATE platform_posts 
-          SET status = 'published', platform_post_id = ?, published_at = CURRENT_TIMESTAMP
-          WHERE post_id = ? AND platform = ?
-        `).run(result.postId, post.id, platform);
-      } else {
-        db.prepare(`
-          UPDATE platform_posts SET status = 'failed', error_message = ?
-          WHERE post_id = ? AND platform = ?
-        `).run(result.error || 'Unknown error', post.id, platform);
-      }
+  try {
+    const account = decryptAccount(findPublishAccount(platformPost, post.workspace_id));
+    
+    if (!account) {
+      // Update platform post status
+      db.prepare(`
+        UPDATE platform_posts SET status = 'failed', error_message = ?
+        WHERE id = ?
+      `).run(`No connected account`, platformPost.id);
       
-    } catch (error) {
-      console.error(`Error posting to ${platform}:`, error);
-      results[platform] = {
+      return {
         success: false,
-        error: error.message
+        error: platformPost.social_account_id
+          ? `Selected ${platform} account is no longer connected`
+          : `No connected ${platform} account found`
       };
-      
+    }
+    
+    // Get platform client
+    const client = platformClients[platform];
+    if (!client) {
+      return {
+        success: false,
+        accountId: account.id,
+        error: `Unsupported platform: ${platform}`
+      };
+    }
+    
+    // Make sure the token is still valid before using it
+    const freshAccount = await ensureFreshToken(account);
+    if (freshAccount.connection_status === 'needs_reauth') {
       db.prepare(`
         UPDATE platform_posts SET status = 'failed', error_message = ?
-        WHERE post_id = ? AND platform = ?
-      `).run(error.message, post.id, platform);
+        WHERE id = ?
+      `).run('Account needs re-authorization', platformPost.id);
+      
+      return {
+        success: false,
+        accountId: account.id,
+        error: `${platform} account ${account.account_name} needs to be reconnected`,
+        needsReauth: true
+      };
+    }
+    
+    const content = platformPost.content || post.content;
+    const threadIds = JSON.parse(platformPost.thread_ids || '[]');
+    
+    // Post to platform
+    const result = await client.post(freshAccount, content, mediaUrls, { threadIds });
+    const resultThreadIds = result.threadIds ? JSON.stringify(result.threadIds) : null;
+    
+    // Update platform post record
+    if (result.success) {
+      db.prepare(`
+        UPDATE platform_posts 
+        SET status = 'published', platform_post_id = ?, thread_ids = ?, published_at = CURRENT_TIMESTAMP, error_message = NULL
+        WHERE id = ?
+      `).run(result.postId, resultThreadIds, platformPost.id);
+    } else {
+      db.prepare(`
+        UPDATE platform_posts
+        SET status = 'failed', error_message = ?,
+            platform_post_id = COALESCE(?, platform_post_id), thread_ids = COALESCE(?, thread_ids)
+        WHERE id = ?
+      `).run(result.error || 'Unknown error', result.postId || null, resultThreadIds, platformPost.id);
     }
+    
+    return {
+      ...result,
+      accountId: account.id,
+      accountName: account.account_name
+    };
+  } catch (error) {
+    console.error(`Error posting to ${platform}:`, error);
+    
+    db.prepare(`
+      UPDATE platform_posts SET status = 'failed', error_message = ?
+      WHERE id = ?
+    `).run(error.message, platformPost.id);
+    
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Publish post to every account it targets. Rows already published (by an earlier attempt
+// that was interrupted or only partly succeeded) are reported as successes, not posted again.
+async function publishPost(post) {
+  const mediaUrls = JSON.parse(post.media_urls || '[]');
+  const results = {};
+  
+  const platformPosts = db.prepare('SELECT * FROM platform_posts WHERE post_id = ? ORDER BY id')
+    .all(post.id);
+  
+  for (const platformPost of platformPosts) {
+    results[resultKey(platformPost)] = platformPost.status === 'published'
+      ? { success: true, alreadyPublished: true, postId: platformPost.platform_post_id, accountId: platformPost.social_account_id }
+      : await publishToPlatform(post, platformPost, mediaUrls);
   }
   
   return results;
 }
 
-// Validate content for platform
-function validateContent(content, platform) {
-  const limits = {
-    twitter: 280,
-    facebook: 63206,
-    linkedin: 3000,
-    instagram: 2200
+// Re-publish only the rows that failed, leaving successful ones untouched.
+// Optionally narrow the retry to some platforms and/or some accounts.
+async function retryFailedPlatforms(post, { platforms = null, accountIds = null } = {}) {
+  const mediaUrls = JSON.parse(post.media_urls || '[]');
+  const results = {};
+  
+  const failedPlatformPosts = db.prepare(`
+    SELECT * FROM platform_posts WHERE post_id = ? AND status = 'failed' ORDER BY id
+  `).all(post.id)
+    .filter(row => !platforms || platforms.includes(row.platform))
+    .filter(row => !accountIds || accountIds.includes(row.social_account_id));
+  
+  for (const platformPost of failedPlatformPosts) {
+    results[resultKey(platformPost)] = await publishToPlatform(post, platformPost, mediaUrls);
+  }
+  
+  return {
+    results,
+    status: updatePostStatusFromPlatforms(post.id)
   };
+}
+
+// Derive the overall post status from its platform posts
+function updatePostStatusFromPlatforms(postId) {
+  const counts = db.prepare(`
+    SELECT 
+      COUNT(*) as total,
+      SUM(CASE WHEN status = 'published' THEN 1 ELSE 0 END) as published
+    FROM platform_posts WHERE post_id = ?
+  `).get(postId);
   
-  const maxLength = limits[platform] || 1000;
+  const published = counts?.published || 0;
+  const status = published === 0 ? 'failed' : (published === counts.total ? 'published' : 'partial');
+  
+  db.prepare(`
+    UPDATE posts 
+    SET status = ?,
+        published_at = CASE WHEN ? = 'failed' THEN published_at ELSE COALESCE(published_at, CURRENT_TIMESTAMP) END,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(status, status, postId);
+  
+  return status;
+}
+
+// Validate content for platform
+function validateContent(content, platform) {
+  const maxLength = platformInfo[platform]?.maxTextLength || 1000;
   
   if (content.length > maxLength) {
+    if (THREAD_PLATFORMS.includes(platform)) {
+      return {
+        valid: true,
+        thread: splitIntoThread(content, maxLength).length
+      };
+    }
+    
     return {
       valid: false,
       error: `Content exceeds ${platform} limit of ${maxLength} characters`
@@ -271,18 +538,49 @@ function validateContent(content, platform) {
   return { valid: true };
 }
 
+// Validate media against the platform's limits (item count, caption length, video length)
+async function validateMedia(mediaUrls, platform, content = '') {
+  const info = platformInfo[platform];
+  if (!info) {
+    return { valid: false, error: `Unsupported platform: ${platform}` };
+  }
+  
+  if (mediaUrls.length > info.maxImages) {
+    return {
+      valid: false,
+      error: `${info.name} supports at most ${info.maxImages} media items per post`
+    };
+  }
+  
+  if (content.length > info.maxTextLength && !THREAD_PLATFORMS.includes(platform)) {
+    return {
+      valid: false,
+      error: `Content exceeds ${platform} limit of ${info.maxTextLength} characters`
+    };
+  }
+  
+  // Durations can only be checked for files we host
+  for (const mediaUrl of mediaUrls.filter(url => isVideoUrl(url) && url.startsWith('/uploads/'))) {
+    const media = await loadMedia(mediaUrl);
+    const duration = getVideoDuration(media.buffer);
+    
+    if (duration && duration > info.maxVideoLength * 60) {
+      return {
+        valid: false,
+        error: `${info.name} videos can be at most ${info.maxVideoLength} minutes long`
+      };
+    }
+  }
+  
+  return { valid: true };
+}
+
 // Adapt content for specific platform
 function adaptContentForPlatform(content, platform) {
-  const limits = {
-    twitter: 280,
-    facebook: 63206,
-    linkedin: 3000,
-    instagram: 2200
-  };
-  
-  const maxLength = limits[platform] || 1000;
+  const maxLength = platformInfo[platform]?.maxTextLength || 1000;
   
-  if (content.length <= maxLength) {
+  // Threaded platforms keep the full text - it is split when published
+  if (content.length <= maxLength || THREAD_PLATFORMS.includes(platform)) {
     return content;
   }
   
@@ -292,7 +590,10 @@ function adaptContentForPlatform(content, platform) {
 
 module.exports = {
   publishPost,
+  retryFailedPlatforms,
   validateContent,
+  validateMedia,
   adaptContentForPlatform,
+  splitIntoThread,
   platformClients
 };
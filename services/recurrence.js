@@ -0,0 +1,368 @@
+const db = require('../database/db');
+const { createPost } = require('./posts');
+const { parseRule, formatRule, occurrencesBetween, isOccurrence } = require('./rrule');
+
+// Recurring (evergreen) schedules. A recurrence repeats a source post on an RRULE. The
+// scheduler turns each occurrence into an ordinary scheduled post shortly before it is
+// due, copying the source post's current content, so occurrences go through the same
+// approval, publishing, retry and webhook path as any other post. Individual occurrences
+// can be skipped or overridden (different time, title or content) via exceptions.
+
+// How far ahead occurrences are turned into scheduled posts
+const GENERATION_LOOKAHEAD_MS = 24 * 60 * 60 * 1000;
+// Most occurrences listed or expanded in a single request
+const MAX_LISTED_OCCURRENCES = 500;
+// Widest date range, and furthest ahead, occurrences can be listed for in a single request
+const MAX_RANGE_DAYS = 366;
+const MAX_LOOKAHEAD_YEARS = 10;
+
+function loadRule(recurrence) {
+  return parseRule(recurrence.rrule).rule;
+}
+
+// Occurrence dates of a stored recurrence within [from, to]; no end if `to` is null
+function expand(recurrence, from, to, limit = MAX_LISTED_OCCURRENCES) {
+  return occurrencesBetween(loadRule(recurrence), new Date(recurrence.starts_at), from, to, {
+    limit,
+    timeZone: recurrence.timezone
+  });
+}
+
+function formatRecurrence(recurrence) {
+  if (!recurrence) return recurrence;
+
+  return {
+    id: recurrence.id,
+    post_id: recurrence.post_id,
+    rrule: recurrence.rrule,
+    starts_at: recurrence.starts_at,
+    timezone: recurrence.timezone,
+    is_active: Boolean(recurrence.is_active),
+    generated_until: recurrence.generated_until,
+    created_by: recurrence.created_by,
+    created_at: recurrence.created_at,
+    updated_at: recurrence.updated_at
+  };
+}
+
+// Why a requested date range is too wide or too far ahead to expand, or null if it is fine
+function rangeError(from, to, now = new Date()) {
+  if (to - from > MAX_RANGE_DAYS * 24 * 60 * 60 * 1000) {
+    return `Date range cannot be longer than ${MAX_RANGE_DAYS} days`;
+  }
+  if (to.getTime() > new Date(now).setUTCFullYear(now.getUTCFullYear() + MAX_LOOKAHEAD_YEARS)) {
+    return `Occurrences can only be listed up to ${MAX_LOOKAHEAD_YEARS} years ahead`;
+  }
+  return null;
+}
+
+function getRecurrenceForPost(postId) {
+  return db.prepare('SELECT * FROM post_recurrences WHERE post_id = ?').get(postId) || null;
+}
+
+// Create or replace the recurrence of a source post. Occurrences already turned into posts
+// are kept; generation resumes from now (earlier occurrences are never backfilled).
+function saveRecurrence(post, userId, { rule, startsAt, timeZone }) {
+  const now = new Date();
+  const generatedUntil = new Date(Math.max(now.getTime(), startsAt.getTime() - 1)).toISOString();
+  const existing = getRecurrenceForPost(post.id);
+
+  if (existing) {
+    db.prepare(`
+      UPDATE post_recurrences SET
+        rrule = ?, starts_at = ?, timezone = ?, is_active = 1, generated_until = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(formatRule(rule), startsAt.toISOString(), timeZone, generatedUntil, existing.id);
+
+    // Exceptions for dates that are no longer occurrences would never apply
+    db.prepare('DELETE FROM recurrence_exceptions WHERE recurrence_id = ?').run(existing.id);
+    removeUnpublishedOccurrences(existing.id, now);
+
+    return existing.id;
+  }
+
+  return db.prepare(`
+    INSERT INTO post_recurrences (workspace_id, post_id, created_by, rrule, starts_at, timezone, generated_until)
+    VALUES (?, ?, ?, ?, ?, ?, ?)
+  `).run(post.workspace_id, post.id, userId, formatRule(rule), startsAt.toISOString(), timeZone, generatedUntil).lastInsertRowid;
+}
+
+// Drop generated occurrences that have not gone out yet
+function removeUnpublishedOccurrences(recurrenceId, after = new Date()) {
+  return db.prepare(`
+    DELETE FROM posts
+    WHERE recurrence_id = ? AND status IN ('draft', 'scheduled') AND occurrence_at > ?
+  `).run(recurrenceId, after.toISOString()).changes;
+}
+
+function deleteRecurrence(recurrence) {
+  return db.transaction(() => {
+    const removed = removeUnpublishedOccurrences(recurrence.id);
+    db.prepare('DELETE FROM post_recurrences WHERE id = ?').run(recurrence.id);
+    return removed;
+  })();
+}
+
+function getExceptions(recurrenceId) {
+  const exceptions = new Map();
+  db.prepare('SELECT * FROM recurrence_exceptions WHERE recurrence_id = ?').all(recurrenceId)
+    .forEach(exception => exceptions.set(exception.occurrence_at, exception));
+  return exceptions;
+}
+
+// Occurrences between two dates (no end if `to` is null), at most `limit`, with their
+// exceptions and generated posts applied
+function listOccurrences(recurrence, from, to, limit = MAX_LISTED_OCCURRENCES) {
+  const exceptions = getExceptions(recurrence.id);
+  const generated = new Map();
+
+  db.prepare(`
+    SELECT id, occurrence_at, status, scheduled_at FROM posts WHERE recurrence_id = ?
+  `).all(recurrence.id).forEach(post => generated.set(post.occurrence_at, post));
+
+  return expand(recurrence, from, to, limit).map(date => {
+    const occurrenceAt = date.toISOString();
+    const exception = exceptions.get(occurrenceAt);
+    const post = generated.get(occurrenceAt);
+
+    return {
+      occurrence_at: occurrenceAt,
+      scheduled_at: post?.scheduled_at || exception?.scheduled_at || occurrenceAt,
+      skipped: exception?.action === 'skip',
+      overridden: exception?.action === 'override',
+      title: exception?.title ?? null,
+      content: exception?.content ?? null,
+      post_id: post?.id ?? null,
+      post_status: post?.status ?? null
+    };
+  });
+}
+
+// Normalize an occurrence date from a request; null if it isn't one of the rule's occurrences
+function resolveOccurrence(recurrence, value) {
+  const date = new Date(value);
+  if (isNaN(date) || !isOccurrence(loadRule(recurrence), new Date(recurrence.starts_at), date, recurrence.timezone)) {
+    return null;
+  }
+  return date.toISOString();
+}
+
+// Skip or override one occurrence. If it was already turned into a post, that post is
+// removed (skip) or updated (override). Returns { exception } or { error }.
+function setException(recurrence, occurrenceAt, userId, { action, scheduledAt = null, title = null, content = null }) {
+  const post = db.prepare('SELECT * FROM posts WHERE recurrence_id = ? AND occurrence_at = ?')
+    .get(recurrence.id, occurrenceAt);
+
+  if (post && !['draft', 'scheduled'].includes(post.status)) {
+    return { error: `This occurrence is already ${post.status}` };
+  }
+
+  db.transaction(() => {
+    db.prepare(`
+      INSERT INTO recurrence_exceptions (recurrence_id, occurrence_at, action, scheduled_at, title, content, created_by)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT(recurrence_id, occurrence_at) DO UPDATE SET
+        action = excluded.action,
+        scheduled_at = excluded.scheduled_at,
+        title = excluded.title,
+        content = excluded.content,
+        created_by = excluded.created_by
+    `).run(recurrence.id, occurrenceAt, action, scheduledAt, title, content, userId);
+
+    if (!post) return;
+
+    if (action === 'skip') {
+      db.prepare('DELETE FROM posts WHERE id = ?').run(post.id);
+      return;
+    }
+
+    db.prepare(`
+      UPDATE posts SET
+        scheduled_at = COALESCE(?, scheduled_at),
+        title = COALESCE(?, title),
+        content = COALESCE(?, content),
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(scheduledAt, title, content, post.id);
+
+    if (content) {
+      db.prepare(`
+        UPDATE platform_posts SET content = ?
+        WHERE post_id = ? AND (content IS NULL OR content = ?)
+      `).run(content, post.id, post.content);
+    }
+  })();
+
+  return {
+    exception: db.prepare('SELECT * FROM recurrence_exceptions WHERE recurrence_id = ? AND occurrence_at = ?')
+      .get(recurrence.id, occurrenceAt)
+  };
+}
+
+// Remove an exception so the occurrence follows the rule again. A post generated for an
+// overridden occurrence keeps its overrides; a skipped one is generated on the next run.
+function clearException(recurrence, occurrenceAt) {
+  const removed = db.prepare('DELETE FROM recurrence_exceptions WHERE recurrence_id = ? AND occurrence_at = ?')
+    .run(recurrence.id, occurrenceAt).changes > 0;
+
+  // Step generation back so an already-passed-over future occurrence is picked up again
+  const rewindTo = new Date(new Date(occurrenceAt).getTime() - 1);
+  if (removed && rewindTo > new Date() && rewindTo.toISOString() < recurrence.generated_until) {
+    db.prepare('UPDATE post_recurrences SET generated_until = ?, is_active = 1 WHERE id = ?')
+      .run(rewindTo.toISOString(), recurrence.id);
+  }
+
+  return removed;
+}
+
+// Turn one occurrence into a scheduled post copied from the source post
+function createOccurrencePost(recurrence, source, occurrenceAt, exception) {
+  const targets = db.prepare(`
+    SELECT platform, social_account_id, content FROM platform_posts WHERE post_id = ? ORDER BY id
+  `).all(source.id);
+
+  if (targets.length === 0) return null;
+
+  const content = exception?.content || source.content;
+
+  const postId = db.transaction(() => {
+    const id = createPost(source.workspace_id, source.user_id, {
+      title: exception?.title || source.title,
+      content,
+      targets: targets.map(target => ({ platform: target.platform, accountId: target.social_account_id })),
+      status: 'scheduled',
+      scheduled_at: exception?.scheduled_at || occurrenceAt,
+      hashtags: JSON.parse(source.hashtags || '[]'),
+      ai_generated: source.ai_generated,
+      ai_prompt: source.ai_prompt
+    });
+
+    // Approving the evergreen source approves the copies made from it
+    db.prepare(`
+      UPDATE posts SET
+        media_urls = ?,
+        recurrence_id = ?,
+        occurrence_at = ?,
+        approval_status = ?,
+        approved_by = ?,
+        approved_at = ?
+      WHERE id = ?
+    `).run(
+      source.media_urls,
+      recurrence.id,
+      occurrenceAt,
+      source.approval_status === 'approved' ? 'approved' : null,
+      source.approval_status === 'approved' ? source.approved_by : null,
+      source.approval_status === 'approved' ? source.approved_at : null,
+      id
+    );
+
+    // Keep per-platform customizations made on the source post
+    const updateTarget = db.prepare(`
+      UPDATE platform_posts SET content = ?, media_urls = ?
+      WHERE post_id = ? AND platform = ? AND social_account_id IS ?
+    `);
+    targets.forEach(target => {
+      const targetContent = exception?.content || (target.content !== source.content ? target.content : content);
+      updateTarget.run(targetContent, source.media_urls, id, target.platform, target.social_account_id);
+    });
+
+    return id;
+  })();
+
+  return postId;
+}
+
+// Create posts for occurrences coming up within the lookahead window. Called by the scheduler.
+function generateDueOccurrences(now = new Date()) {
+  const horizon = new Date(now.getTime() + GENERATION_LOOKAHEAD_MS);
+  const recurrences = db.prepare(`
+    SELECT * FROM post_recurrences WHERE is_active = 1 AND generated_until < ?
+  `).all(horizon.toISOString());
+
+  let created = 0;
+
+  for (const recurrence of recurrences) {
+    const source = db.prepare('SELECT * FROM posts WHERE id = ?').get(recurrence.post_id);
+    const exceptions = getExceptions(recurrence.id);
+
+    // Exclusive lower bound: generated_until itself was covered by the previous run
+    const from = new Date(new Date(recurrence.generated_until).getTime() + 1);
+    const due = expand(recurrence, from, horizon);
+
+    for (const date of due) {
+      const occurrenceAt = date.toISOString();
+      const exception = exceptions.get(occurrenceAt);
+
+      if (exception?.action === 'skip') continue;
+
+      // The unique index on (recurrence_id, occurrence_at) makes a second run a no-op
+      const exists = db.prepare('SELECT id FROM posts WHERE recurrence_id = ? AND occurrence_at = ?')
+        .get(recurrence.id, occurrenceAt);
+
+      if (!exists && createOccurrencePost(recurrence, source, occurrenceAt, exception)) {
+        created++;
+      }
+    }
+
+    // A series with no occurrences left stops being checked
+    const finished = expand(recurrence, new Date(horizon.getTime() + 1), null, 1).length === 0;
+
+    db.prepare(`
+      UPDATE post_recurrences SET generated_until = ?, is_active = ?, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(horizon.toISOString(), finished ? 0 : 1, recurrence.id);
+  }
+
+  return created;
+}
+
+// Occurrences in a date range that have not been turned into posts yet, shaped like
+// calendar entries, for every recurrence in a workspace
+function expandForCalendar(workspaceId, from, to) {
+  const recurrences = db.prepare(`
+    SELECT r.*, p.title as source_title, p.content as source_content, p.platforms as source_platforms
+    FROM post_recurrences r
+    JOIN posts p ON p.id = r.post_id
+    WHERE r.workspace_id = ? AND r.is_active = 1
+  `).all(workspaceId);
+
+  const entries = [];
+
+  recurrences.forEach(recurrence => {
+    listOccurrences(recurrence, from, to)
+      .filter(occurrence => !occurrence.skipped && !occurrence.post_id)
+      .forEach(occurrence => {
+        entries.push({
+          id: null,
+          recurrence_id: recurrence.id,
+          source_post_id: recurrence.post_id,
+          occurrence_at: occurrence.occurrence_at,
+          title: occurrence.title || recurrence.source_title,
+          content: occurrence.content || recurrence.source_content,
+          platforms: JSON.parse(recurrence.source_platforms || '[]'),
+          status: 'recurring',
+          scheduled_at: occurrence.scheduled_at,
+          published_at: null,
+          virtual: true
+        });
+      });
+  });
+
+  return entries;
+}
+
+module.exports = {
+  parseRule,
+  formatRecurrence,
+  getRecurrenceForPost,
+  saveRecurrence,
+  deleteRecurrence,
+  rangeError,
+  listOccurrences,
+  resolveOccurrence,
+  setException,
+  clearException,
+  generateDueOccurrences,
+  expandForCalendar
+};
@@ -0,0 +1,223 @@
+const db = require('../database/db');
+const { syncPlatformPosts } = require('./posts');
+
+// Fields captured in every revision snapshot
+const TRACKED_FIELDS = ['title', 'content', 'platforms', 'hashtags', 'media_urls', 'targets'];
+
+// Token pairs above this size fall back to a line diff to keep diffing cheap
+const MAX_WORD_DIFF_CELLS = 4000000;
+
+const parseJson = (value, fallback) => (value ? JSON.parse(value) : fallback);
+
+// Capture the editable state of a post, including each platform row's content
+function snapshotPost(postId) {
+  const post = db.prepare('SELECT * FROM posts WHERE id = ?').get(postId);
+  if (!post) return null;
+
+  const targets = db.prepare(`
+    SELECT platform, social_account_id, content FROM platform_posts WHERE post_id = ? ORDER BY id
+  `).all(postId).map(row => ({
+    platform: row.platform,
+    accountId: row.social_account_id,
+    content: row.content
+  }));
+
+  return {
+    title: post.title,
+    content: post.content,
+    platforms: parseJson(post.platforms, []),
+    hashtags: parseJson(post.hashtags, []),
+    media_urls: parseJson(post.media_urls, []),
+    targets
+  };
+}
+
+function parseRevision(row) {
+  if (!row) return row;
+
+  return {
+    ...row,
+    snapshot: JSON.parse(row.snapshot),
+    changed_fields: parseJson(row.changed_fields, [])
+  };
+}
+
+function getLatestRevision(postId) {
+  return parseRevision(db.prepare(`
+    SELECT * FROM post_revisions WHERE post_id = ? ORDER BY revision_number DESC LIMIT 1
+  `).get(postId));
+}
+
+function getRevision(postId, revisionNumber) {
+  return parseRevision(db.prepare(`
+    SELECT * FROM post_revisions WHERE post_id = ? AND revision_number = ?
+  `).get(postId, revisionNumber));
+}
+
+function listRevisions(postId) {
+  return db.prepare(`
+    SELECT r.id, r.revision_number, r.source, r.note, r.changed_fields, r.created_at,
+           u.id as user_id, u.name as user_name
+    FROM post_revisions r
+    LEFT JOIN users u ON r.user_id = u.id
+    WHERE r.post_id = ?
+    ORDER BY r.revision_number DESC
+  `).all(postId).map(row => ({
+    ...row,
+    changed_fields: parseJson(row.changed_fields, [])
+  }));
+}
+
+function changedFields(before, after) {
+  return TRACKED_FIELDS.filter(field => JSON.stringify(before?.[field]) !== JSON.stringify(after[field]));
+}
+
+// Store the post's current state as a new revision. Returns the revision number,
+// or null when nothing changed since the latest revision.
+function recordRevision(postId, userId, { source = 'edit', note = null, createdAt = null } = {}) {
+  const snapshot = snapshotPost(postId);
+  if (!snapshot) return null;
+
+  const latest = getLatestRevision(postId);
+  const changed = latest ? changedFields(latest.snapshot, snapshot) : TRACKED_FIELDS;
+
+  if (latest && changed.length === 0) {
+    return null;
+  }
+
+  const revisionNumber = latest ? latest.revision_number + 1 : 1;
+
+  db.prepare(`
+    INSERT INTO post_revisions (post_id, revision_number, user_id, source, note, snapshot, changed_fields, created_at)
+    VALUES (?, ?, ?, ?, ?, ?, ?, COALESCE(?, CURRENT_TIMESTAMP))
+  `).run(postId, revisionNumber, userId, source, note, JSON.stringify(snapshot), JSON.stringify(changed), createdAt);
+
+  return revisionNumber;
+}
+
+// The first revision is the post as its author created it. It is recorded lazily, just
+// before the first edit (or the first time history is viewed).
+function ensureBaseline(post) {
+  if (getLatestRevision(post.id)) return;
+  recordRevision(post.id, post.user_id, { source: 'create', createdAt: post.created_at });
+}
+
+function tokenize(text, byLine) {
+  return byLine ? String(text || '').split(/(\n)/) : String(text || '').split(/(\s+)/);
+}
+
+// Word-level diff of two strings as [{ type: 'equal' | 'insert' | 'delete', value }]
+function diffText(before, after) {
+  let a = tokenize(before, false);
+  let b = tokenize(after, false);
+  if (a.length * b.length > MAX_WORD_DIFF_CELLS) {
+    a = tokenize(before, true);
+    b = tokenize(after, true);
+  }
+
+  // Longest common subsequence table, filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint32Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const parts = [];
+  const push = (type, value) => {
+    const last = parts[parts.length - 1];
+    if (last && last.type === type) {
+      last.value += value;
+    } else if (value) {
+      parts.push({ type, value });
+    }
+  };
+
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      push('equal', a[i++]);
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      push('delete', a[i++]);
+    } else {
+      push('insert', b[j++]);
+    }
+  }
+  while (i < a.length) push('delete', a[i++]);
+  while (j < b.length) push('insert', b[j++]);
+
+  return parts;
+}
+
+// Describe what changed between two snapshots
+function diffSnapshots(before, after) {
+  const changes = {};
+
+  changedFields(before, after).forEach(field => {
+    if (field === 'title' || field === 'content') {
+      changes[field] = {
+        before: before?.[field] ?? null,
+        after: after[field],
+        diff: diffText(before?.[field], after[field])
+      };
+    } else {
+      changes[field] = { before: before?.[field] ?? null, after: after[field] };
+    }
+  });
+
+  return changes;
+}
+
+// Put a post back to the state captured in a revision and record that as a new revision
+function restoreRevision(post, revision, userId) {
+  const { snapshot } = revision;
+
+  return db.transaction(() => {
+    db.prepare(`
+      UPDATE posts SET
+        title = ?,
+        content = ?,
+        platforms = ?,
+        hashtags = ?,
+        media_urls = ?,
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(
+      snapshot.title,
+      snapshot.content,
+      JSON.stringify(snapshot.platforms),
+      JSON.stringify(snapshot.hashtags),
+      JSON.stringify(snapshot.media_urls),
+      post.id
+    );
+
+    syncPlatformPosts(post.id, snapshot.targets, snapshot.content);
+
+    const updateTarget = db.prepare(`
+      UPDATE platform_posts SET content = ?, media_urls = ?
+      WHERE post_id = ? AND platform = ? AND social_account_id IS ? AND status != 'published'
+    `);
+    snapshot.targets.forEach(target => {
+      updateTarget.run(target.content, JSON.stringify(snapshot.media_urls), post.id, target.platform, target.accountId);
+    });
+
+    return recordRevision(post.id, userId, {
+      source: 'restore',
+      note: `Restored revision ${revision.revision_number}`
+    });
+  })();
+}
+
+module.exports = {
+  snapshotPost,
+  recordRevision,
+  ensureBaseline,
+  getRevision,
+  getLatestRevision,
+  listRevisions,
+  diffText,
+  diffSnapshots,
+  restoreRevision
+};
@@ -0,0 +1,236 @@
+// A small subset of iCalendar recurrence rules (RFC 5545 RRULE):
+//
+//   FREQ=DAILY|WEEKLY|MONTHLY   how often the rule repeats
+//   INTERVAL=n                  every n days/weeks/months (default 1)
+//   BYDAY=MO,WE,FR              weekly rules: the weekdays to post on (default: the start's weekday)
+//   BYMONTHDAY=1,15,-1          monthly rules: days of the month, -1 being the last (default: the start's day)
+//   COUNT=n                     stop after n occurrences
+//   UNTIL=20301231T235959Z      stop after this time
+//
+// Occurrences take their time of day from the rule's start, in the schedule's time zone, so
+// a 09:00 post stays at 09:00 local time across DST changes. Months without the requested
+// day (e.g. the 31st) are skipped, as RFC 5545 specifies.
+
+const { DEFAULT_TIME_ZONE, utcToWallClock, wallClockToUtc } = require('./timezones');
+
+const FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY'];
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Upper bound on loop iterations so a rule that never matches cannot spin forever
+const MAX_ITERATIONS = 100000;
+
+class RecurrenceRuleError extends Error {}
+
+function parseUntil(value) {
+  const compact = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})Z?)?$/.exec(value);
+  const date = compact
+    ? new Date(Date.UTC(compact[1], compact[2] - 1, compact[3], compact[4] || 23, compact[5] || 59, compact[6] || 59))
+    : new Date(value);
+
+  if (isNaN(date)) {
+    throw new RecurrenceRuleError(`Invalid UNTIL: ${value}`);
+  }
+  return date;
+}
+
+function parseInteger(name, value, { min, max }) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < min || number > max) {
+    throw new RecurrenceRuleError(`${name} must be a whole number between ${min} and ${max}`);
+  }
+  return number;
+}
+
+function parseFields(input) {
+  let fields = {};
+
+  if (typeof input === 'string') {
+    input.replace(/^RRULE:/i, '').split(';').filter(Boolean).forEach(part => {
+      const [key, value] = part.split('=');
+      fields[key.trim().toUpperCase()] = (value || '').trim();
+    });
+  } else if (input && typeof input === 'object') {
+    fields = {
+      FREQ: input.freq,
+      INTERVAL: input.interval,
+      BYDAY: Array.isArray(input.by_day) ? input.by_day.join(',') : input.by_day,
+      BYMONTHDAY: Array.isArray(input.by_month_day) ? input.by_month_day.join(',') : input.by_month_day,
+      COUNT: input.count,
+      UNTIL: input.until
+    };
+  } else {
+    throw new RecurrenceRuleError('A recurrence rule is required');
+  }
+
+  const freq = String(fields.FREQ || '').toUpperCase();
+  if (!FREQUENCIES.includes(freq)) {
+    throw new RecurrenceRuleError(`FREQ must be one of: ${FREQUENCIES.join(', ')}`);
+  }
+
+  const rule = {
+    freq,
+    interval: fields.INTERVAL ? parseInteger('INTERVAL', fields.INTERVAL, { min: 1, max: 366 }) : 1,
+    byDay: null,
+    byMonthDay: null,
+    count: fields.COUNT ? parseInteger('COUNT', fields.COUNT, { min: 1, max: 10000 }) : null,
+    until: fields.UNTIL ? parseUntil(String(fields.UNTIL)) : null
+  };
+
+  if (fields.BYDAY) {
+    if (freq !== 'WEEKLY') {
+      throw new RecurrenceRuleError('BYDAY is only supported for WEEKLY rules');
+    }
+    rule.byDay = [...new Set(String(fields.BYDAY).split(',').map(day => day.trim().toUpperCase()))];
+    const invalid = rule.byDay.filter(day => !WEEKDAYS.includes(day));
+    if (invalid.length > 0) {
+      throw new RecurrenceRuleError(`Invalid BYDAY values: ${invalid.join(', ')}`);
+    }
+  }
+
+  if (fields.BYMONTHDAY) {
+    if (freq !== 'MONTHLY') {
+      throw new RecurrenceRuleError('BYMONTHDAY is only supported for MONTHLY rules');
+    }
+    rule.byMonthDay = [...new Set(String(fields.BYMONTHDAY).split(',').map(day => {
+      const number = parseInteger('BYMONTHDAY', day.trim(), { min: -31, max: 31 });
+      if (number === 0) throw new RecurrenceRuleError('BYMONTHDAY cannot be 0');
+      return number;
+    }))];
+  }
+
+  return rule;
+}
+
+// Parse an RRULE string ("FREQ=WEEKLY;BYDAY=MO,TH") or an object with the same fields in
+// lower case ({ freq: 'weekly', by_day: ['MO', 'TH'] }). Returns { rule } or { error }.
+function parseRule(input) {
+  try {
+    return { rule: parseFields(input) };
+  } catch (error) {
+    if (error instanceof RecurrenceRuleError) {
+      return { error: error.message };
+    }
+    throw error;
+  }
+}
+
+// Canonical RRULE string for storage
+function formatRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (rule.interval !== 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.byDay) parts.push(`BYDAY=${rule.byDay.join(',')}`);
+  if (rule.byMonthDay) parts.push(`BYMONTHDAY=${rule.byMonthDay.join(',')}`);
+  if (rule.count) parts.push(`COUNT=${rule.count}`);
+  if (rule.until) parts.push(`UNTIL=${rule.until.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '')}`);
+  return parts.join(';');
+}
+
+// Candidate wall-clock dates (at the start's time of day) for one period of the rule, in order.
+// Dates here are wall-clock times in the schedule's zone held in UTC fields.
+function candidatesForPeriod(rule, start, period) {
+  const time = start.getTime() % DAY_MS;
+  const startDay = start.getTime() - time;
+
+  if (rule.freq === 'DAILY') {
+    return [new Date(startDay + period * rule.interval * DAY_MS + time)];
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    // Weeks start on Monday, as in RFC 5545's default WKST
+    const weekStart = startDay - ((start.getUTCDay() + 6) % 7) * DAY_MS + period * rule.interval * 7 * DAY_MS;
+    const days = rule.byDay || [WEEKDAYS[start.getUTCDay()]];
+
+    return days
+      .map(day => (WEEKDAYS.indexOf(day) + 6) % 7)
+      .sort((a, b) => a - b)
+      .map(offset => new Date(weekStart + offset * DAY_MS + time));
+  }
+
+  // MONTHLY
+  const monthIndex = start.getUTCMonth() + period * rule.interval;
+  const year = start.getUTCFullYear() + Math.floor(monthIndex / 12);
+  const month = ((monthIndex % 12) + 12) % 12;
+  const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  const days = rule.byMonthDay || [start.getUTCDate()];
+
+  return days
+    .map(day => (day < 0 ? daysInMonth + day + 1 : day))
+    .filter(day => day >= 1 && day <= daysInMonth)
+    .sort((a, b) => a - b)
+    .filter((day, index, all) => all.indexOf(day) === index)
+    .map(day => new Date(Date.UTC(year, month, day) + time));
+}
+
+// Index of the period (day, week or month, times the interval) holding wall-clock `date`;
+// negative before the start's period
+function periodIndex(rule, start, date) {
+  const dayOf = value => Math.floor(value.getTime() / DAY_MS);
+
+  if (rule.freq === 'DAILY') {
+    return Math.floor((dayOf(date) - dayOf(start)) / rule.interval);
+  }
+
+  if (rule.freq === 'WEEKLY') {
+    const weekOf = value => Math.floor((dayOf(value) + 3) / 7); // day 0 (1970-01-01) was a Thursday
+    return Math.floor((weekOf(date) - weekOf(start)) / rule.interval);
+  }
+
+  const months = (date.getUTCFullYear() - start.getUTCFullYear()) * 12 + date.getUTCMonth() - start.getUTCMonth();
+  return Math.floor(months / rule.interval);
+}
+
+// Occurrences of a rule starting at `start` that fall within [from, to] (no end if `to` is
+// null), at most `limit`. COUNT is applied from the start of the series, not from `from`.
+//
+// Only the periods around the range are converted to real times: the scan starts at the
+// period holding `from` (one early, as the time zone can move an occurrence across a period
+// boundary) and ends one past the period holding `to`. For COUNT rules the occurrences in
+// the skipped periods are counted in wall-clock time, which needs no time zone lookups.
+function occurrencesBetween(rule, start, from, to, { limit = 1000, timeZone = DEFAULT_TIME_ZONE } = {}) {
+  const results = [];
+  const wallClockStart = utcToWallClock(start, timeZone);
+  const firstPeriod = Math.max(0, periodIndex(rule, wallClockStart, utcToWallClock(from, timeZone)) - 1);
+  const lastPeriod = to ? periodIndex(rule, wallClockStart, utcToWallClock(to, timeZone)) + 1 : Infinity;
+  let generated = 0;
+
+  if (rule.count) {
+    for (let period = 0; period < firstPeriod && period < MAX_ITERATIONS; period++) {
+      generated += candidatesForPeriod(rule, wallClockStart, period)
+        .filter(candidate => candidate >= wallClockStart).length;
+      if (generated >= rule.count) return results;
+    }
+  }
+
+  for (let period = firstPeriod; period <= lastPeriod && period < firstPeriod + MAX_ITERATIONS; period++) {
+    const candidates = candidatesForPeriod(rule, wallClockStart, period)
+      .map(candidate => wallClockToUtc(candidate, timeZone));
+
+    for (const candidate of candidates) {
+      if (candidate < start) continue;
+      if (rule.until && candidate > rule.until) return results;
+      if (to && candidate > to) return results;
+
+      generated++;
+      if (rule.count && generated > rule.count) return results;
+
+      if (candidate >= from) {
+        results.push(candidate);
+        if (results.length >= limit) return results;
+      }
+    }
+  }
+
+  return results;
+}
+
+// True when `date` is one of the rule's occurrences
+function isOccurrence(rule, start, date, timeZone = DEFAULT_TIME_ZONE) {
+  return occurrencesBetween(rule, start, date, date, { limit: 1, timeZone }).length === 1;
+}
+
+module.exports = {
+  parseRule,
+  formatRule,
+  occurrencesBetween,
+  isOccurrence
+};
@@ -1,73 +1,172 @@
 const db = require('../database/db');
 const { publishPost } = require('./publisher');
+const { enqueuePublishJob, claimDueJobs, completeJob, failJob, holdLease, recoverStaleJobs } = require('./publishQueue');
+const { isApprovedForPublishing } = require('./approvals');
+const { emitPublishOutcome } = require('./webhooks');
+const { generateDueOccurrences } = require('./recurrence');
+const { DEFAULT_TIME_ZONE, utcToWallClock, wallClockToUtc, formatInTimeZone } = require('./timezones');
 
-// Process scheduled posts
-async function processScheduledPosts() {
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Queue scheduled posts that are due for publishing. Posts still awaiting approval in
+// workspaces that require it stay scheduled until they are approved.
+function enqueueDuePosts() {
   const now = new Date().toISOString();
   
-  // Get posts that are scheduled and due
-  const scheduledPosts = db.prepare(`
-    SELECT p.*, u.id as owner_id
-    FROM posts p
-    JOIN users u ON p.user_id = u.id
+  const duePosts = db.prepare(`
+    SELECT p.id FROM posts p
+    JOIN workspaces w ON p.workspace_id = w.id
     WHERE p.status = 'scheduled' 
       AND p.scheduled_at <= ?
+      AND (w.require_approval = 0 OR p.approval_status = 'approved')
     ORDER BY p.scheduled_at ASC
-    LIMIT 10
   `).all(now);
   
-  if (scheduledPosts.length === 0) {
+  let queued = 0;
+  
+  for (const post of duePosts) {
+    // Mark as processing to prevent duplicate processing
+    const result = db.prepare(`
+      UPDATE posts SET status = 'processing', updated_at = CURRENT_TIMESTAMP
+      WHERE id = ? AND status = 'scheduled'
+    `).run(post.id);
+    
+    if (result.changes > 0) {
+      enqueuePublishJob(post.id);
+      queued++;
+    }
+  }
+  
+  return queued;
+}
+
+// A tick still publishing when the next one starts; ticks don't overlap
+let running = false;
+
+// Process scheduled posts, unless the previous run is still going
+async function processScheduledPosts() {
+  if (running) {
+    return { processed: 0, skipped: true };
+  }
+  
+  running = true;
+  try {
+    return await processDueJobs();
+  } finally {
+    running = false;
+  }
+}
+
+async function processDueJobs() {
+  recoverStaleJobs();
+  generateDueOccurrences();
+  enqueueDuePosts();
+  
+  const jobs = claimDueJobs(10);
+  
+  if (jobs.length === 0) {
     return { processed: 0 };
   }
   
-  console.log(`Processing ${scheduledPosts.length} scheduled posts...`);
+  console.log(`Processing ${jobs.length} publish jobs...`);
   
+  // Jobs further down the batch wait for the ones before them, so every lease is held until the end
+  const releaseLeases = jobs.map(job => holdLease(job.id));
+  try {
+    return await publishJobs(jobs);
+  } finally {
+    releaseLeases.forEach(release => release());
+  }
+}
+
+async function publishJobs(jobs) {
   const results = [];
   
-  for (const post of scheduledPosts) {
-    try {
-      // Mark as processing to prevent duplicate processing
-      db.prepare(`UPDATE posts SET status = 'processing' WHERE id = ?`).run(post.id);
+  for (const job of jobs) {
+    const post = db.prepare('SELECT * FROM posts WHERE id = ?').get(job.post_id);
+    
+    if (!post) {
+      completeJob(job.id);
+      continue;
+    }
+    
+    // Approval may have been withdrawn (e.g. the post was edited) after the job was queued
+    if (!isApprovedForPublishing(post)) {
+      completeJob(job.id);
+      db.prepare(`
+        UPDATE posts SET status = 'scheduled', updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(post.id);
       
+      results.push({ postId: post.id, status: 'awaiting_approval' });
+      console.log(`Post ${post.id} held: awaiting approval`);
+      continue;
+    }
+    
+    let finalStatus;
+    let publishResults;
+    let errorMessage;
+    
+    try {
       // Publish the post
-      const publishResults = await publishPost(post, post.owner_id);
+      publishResults = await publishPost(post);
       
       // Check if all platforms succeeded
       const allSuccess = Object.values(publishResults).every(r => r.success);
       const anySuccess = Object.values(publishResults).some(r => r.success);
       
-      // Update post status
-      const finalStatus = allSuccess ? 'published' : (anySuccess ? 'partial' : 'failed');
-      
-      db.prepare(`
-        UPDATE posts 
-        SET status = ?, 
-            published_at = CASE WHEN ? IN ('published', 'partial') THEN CURRENT_TIMESTAMP ELSE NULL END,
-            updated_at = CURRENT_TIMESTAMP
-        WHERE id = ?
-      `).run(finalStatus, finalStatus, post.id);
-      
-      results.push({
-        postId: post.id,
-        status: finalStatus,
-        platforms: publishResults
-      });
-      
-      console.log(`Post ${post.id} processed: ${finalStatus}`);
+      finalStatus = allSuccess ? 'published' : (anySuccess ? 'partial' : 'failed');
       
+      if (finalStatus === 'failed') {
+        errorMessage = Object.entries(publishResults)
+          .map(([platform, r]) => `${platform}: ${r.error || 'Unknown error'}`)
+          .join('; ') || 'No platforms to publish to';
+      }
     } catch (error) {
       console.error(`Error processing post ${post.id}:`, error);
+      finalStatus = 'failed';
+      errorMessage = error.message;
+    }
+    
+    // Nothing went out - retry with backoff until the job is dead-lettered
+    if (finalStatus === 'failed') {
+      const { dead, nextRunAt } = failJob(job, errorMessage);
       
-      db.prepare(`
-        UPDATE posts SET status = 'failed', updated_at = CURRENT_TIMESTAMP WHERE id = ?
-      `).run(post.id);
-      
-      results.push({
-        postId: post.id,
-        status: 'failed',
-        error: error.message
-      });
+      if (!dead) {
+        results.push({
+          postId: post.id,
+          status: 'retrying',
+          attempt: job.attempts,
+          nextAttemptAt: nextRunAt,
+          error: errorMessage
+        });
+        
+        console.log(`Post ${post.id} attempt ${job.attempts} failed, retrying at ${nextRunAt}`);
+        continue;
+      }
+    } else {
+      completeJob(job.id);
     }
+    
+    // Update post status
+    db.prepare(`
+      UPDATE posts 
+      SET status = ?, 
+          published_at = CASE WHEN ? IN ('published', 'partial') THEN CURRENT_TIMESTAMP ELSE NULL END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(finalStatus, finalStatus, post.id);
+    
+    emitPublishOutcome(post.id, finalStatus, publishResults);
+    
+    results.push({
+      postId: post.id,
+      status: finalStatus,
+      platforms: publishResults,
+      error: errorMessage
+    });
+    
+    console.log(`Post ${post.id} processed: ${finalStatus}`);
   }
   
   return {
@@ -76,52 +175,47 @@ async function processScheduledPosts() {
   };
 }
 
-// Get optimal posting times based on analytics
-function getOptimalPostingTimes(userId, platform) {
+// Get optimal posting times based on analytics. Best hours are local times in `timeZone`.
+function getOptimalPostingTimes(workspaceId, platform, timeZone = DEFAULT_TIME_ZONE) {
   // In production, this would analyze past engagement data
   // For now, return industry-standard best times
   
   const optimalTimes = {
     facebook: {
       bestDays: ['Tuesday', 'Wednesday', 'Thursday'],
-      bestHours: [9, 13, 16], // 9am, 1pm, 4pm
-      timezone: 'UTC'
+      bestHours: [9, 13, 16] // 9am, 1pm, 4pm
     },
     linkedin: {
       bestDays: ['Tuesday', 'Wednesday', 'Thursday'],
-      bestHours: [8, 10, 12], // 8am, 10am, 12pm
-      timezone: 'UTC'
+      bestHours: [8, 10, 12] // 8am, 10am, 12pm
     },
     twitter: {
       bestDays: ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday'],
-      bestHours: [8, 12, 17], // 8am, 12pm, 5pm
-      timezone: 'UTC'
+      bestHours: [8, 12, 17] // 8am, 12pm, 5pm
     },
     instagram: {
       bestDays: ['Monday', 'Wednesday', 'Friday'],
-      bestHours: [11, 13, 19], // 11am, 1pm, 7pm
-      timezone: 'UTC'
+      bestHours: [11, 13, 19] // 11am, 1pm, 7pm
     }
   };
   
-  return optimalTimes[platform] || optimalTimes.facebook;
+  return { ...(optimalTimes[platform] || optimalTimes.facebook), timezone: timeZone };
 }
 
-// Get next optimal slot for posting
-function getNextOptimalSlot(platform) {
-  const optimal = getOptimalPostingTimes(null, platform);
-  const now = new Date();
+// Get next optimal slot for posting. Days and hours are walked in the audience's zone, so
+// a 9am slot is 9am local time on both sides of a DST change.
+function getNextOptimalSlot(platform, timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  const optimal = getOptimalPostingTimes(null, platform, timeZone);
+  const today = utcToWallClock(now, timeZone);
   
   // Find next available optimal time
-  for (let dayOffset = 0; dayOffset < 7; dayOffset++) {
-    const checkDate = new Date(now);
-    checkDate.setDate(checkDate.getDate() + dayOffset);
-    const dayName = checkDate.toLocaleDateString('en-US', { weekday: 'long' });
+  for (let dayOffset = 0; dayOffset < 8; dayOffset++) {
+    const checkDate = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + dayOffset));
+    const dayName = WEEKDAY_NAMES[checkDate.getUTCDay()];
     
     if (optimal.bestDays.includes(dayName)) {
       for (const hour of optimal.bestHours) {
-        const slotTime = new Date(checkDate);
-        slotTime.setHours(hour, 0, 0, 0);
+        const slotTime = wallClockToUtc(new Date(checkDate.getTime() + hour * 60 * 60 * 1000), timeZone);
         
         if (slotTime > now) {
           return slotTime.toISOString();
@@ -131,18 +225,32 @@ function getNextOptimalSlot(platform) {
   }
   
   // Fallback: tomorrow at first optimal hour
-  const tomorrow = new Date(now);
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(optimal.bestHours[0], 0, 0, 0);
-  return tomorrow.toISOString();
+  const tomorrow = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + 1, optimal.bestHours[0]));
+  return wallClockToUtc(tomorrow, timeZone).toISOString();
 }
 
-// Schedule post for optimal time
-function scheduleForOptimalTime(postId, platforms) {
-  const slots = platforms.map(platform => ({
-    platform,
-    time: getNextOptimalSlot(platform)
-  }));
+// Schedule post for optimal time. Each platform's slot uses the zone of the account the post
+// targets there, falling back to `timeZone` (the requester's).
+function scheduleForOptimalTime(postId, platforms, timeZone = DEFAULT_TIME_ZONE) {
+  const accountZones = {};
+  db.prepare(`
+    SELECT pp.platform, sa.timezone FROM platform_posts pp
+    LEFT JOIN social_accounts sa ON sa.id = pp.social_account_id
+    WHERE pp.post_id = ? AND sa.timezone IS NOT NULL
+  `).all(postId).forEach(row => {
+    accountZones[row.platform] = accountZones[row.platform] || row.timezone;
+  });
+  
+  const slots = platforms.map(platform => {
+    const zone = accountZones[platform] || timeZone;
+    const time = getNextOptimalSlot(platform, zone);
+    return {
+      platform,
+      time,
+      timezone: zone,
+      localTime: formatInTimeZone(new Date(time), zone)
+    };
+  });
   
   // Use the earliest optimal time across all platforms
   const earliestSlot = slots.reduce((earliest, current) => 
@@ -162,6 +270,7 @@ function scheduleForOptimalTime(postId, platforms) {
 
 module.exports = {
   processScheduledPosts,
+  enqueueDuePosts,
   getOptimalPostingTimes,
   getNextOptimalSlot,
   scheduleForOptimalTime
@@ -0,0 +1,138 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+
+// Sessions pair a short-lived access token (a JWT) with a long-lived refresh token that is
+// stored hashed server-side. Every refresh rotates the refresh token; presenting a token
+// that was already rotated away means it leaked, so the whole session is revoked.
+
+// server.js refuses to start in production without JWT_SECRET; the fallback is for local development
+const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function signAccessToken(userId, sessionId) {
+  return jwt.sign({ userId, sid: sessionId }, JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+function tokenPair(userId, sessionId, refreshToken, expiresAt) {
+  const accessToken = signAccessToken(userId, sessionId);
+
+  return {
+    token: accessToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    refreshToken,
+    refreshTokenExpiresAt: expiresAt
+  };
+}
+
+// Start a session for a user who just authenticated
+function createSession(userId, { userAgent, ipAddress } = {}) {
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_MS).toISOString();
+
+  const result = db.prepare(`
+    INSERT INTO sessions (user_id, refresh_token_hash, user_agent, ip_address, expires_at, last_used_at)
+    VALUES (?, ?, ?, ?, ?, CURRENT_TIMESTAMP)
+  `).run(userId, hashToken(refreshToken), userAgent || null, ipAddress || null, expiresAt);
+
+  return tokenPair(userId, result.lastInsertRowid, refreshToken, expiresAt);
+}
+
+// Exchange a refresh token for a new token pair. Returns { tokens } or { error }.
+function rotateSession(refreshToken, { userAgent, ipAddress } = {}) {
+  const tokenHash = hashToken(String(refreshToken));
+
+  return db.transaction(() => {
+    const session = db.prepare('SELECT * FROM sessions WHERE refresh_token_hash = ?').get(tokenHash);
+
+    if (!session) {
+      const reused = db.prepare(`
+        SELECT id FROM sessions WHERE previous_token_hash = ? AND revoked_at IS NULL
+      `).get(tokenHash);
+
+      if (reused) {
+        revokeSession(reused.id, 'refresh_token_reuse');
+      }
+
+      return { error: 'Invalid refresh token' };
+    }
+
+    if (session.revoked_at || new Date(session.expires_at) < new Date()) {
+      return { error: 'Session has expired or was revoked' };
+    }
+
+    const nextToken = crypto.randomBytes(32).toString('hex');
+
+    db.prepare(`
+      UPDATE sessions SET
+        refresh_token_hash = ?,
+        previous_token_hash = ?,
+        user_agent = COALESCE(?, user_agent),
+        ip_address = COALESCE(?, ip_address),
+        last_used_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(hashToken(nextToken), tokenHash, userAgent || null, ipAddress || null, session.id);
+
+    return { tokens: tokenPair(session.user_id, session.id, nextToken, session.expires_at) };
+  })();
+}
+
+// The session behind an access token, if it is still active
+function getActiveSession(sessionId) {
+  return db.prepare(`
+    SELECT * FROM sessions WHERE id = ? AND revoked_at IS NULL AND expires_at > ?
+  `).get(sessionId, new Date().toISOString()) || null;
+}
+
+function revokeSession(sessionId, reason = 'logout') {
+  return db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE id = ? AND revoked_at IS NULL
+  `).run(reason, sessionId).changes > 0;
+}
+
+function revokeByRefreshToken(refreshToken) {
+  const session = db.prepare('SELECT id FROM sessions WHERE refresh_token_hash = ?')
+    .get(hashToken(String(refreshToken)));
+
+  return session ? revokeSession(session.id) : false;
+}
+
+// Revoke every session of a user, optionally keeping one (e.g. the caller's own)
+function revokeAllSessions(userId, { exceptSessionId = null, reason = 'logout_all' } = {}) {
+  return db.prepare(`
+    UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP, revoked_reason = ?
+    WHERE user_id = ? AND revoked_at IS NULL AND id IS NOT ?
+  `).run(reason, userId, exceptSessionId).changes;
+}
+
+function listSessions(userId) {
+  return db.prepare(`
+    SELECT id, user_agent, ip_address, created_at, last_used_at, expires_at
+    FROM sessions
+    WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+    ORDER BY last_used_at DESC, id DESC
+  `).all(userId, new Date().toISOString());
+}
+
+// Drop sessions that can no longer be used
+function purgeSessions() {
+  return db.prepare(`
+    DELETE FROM sessions WHERE expires_at < ? OR revoked_at < ?
+  `).run(new Date().toISOString(), new Date(Date.now() - REFRESH_TOKEN_TTL_MS).toISOString()).changes;
+}
+
+module.exports = {
+  JWT_SECRET,
+  createSession,
+  rotateSession,
+  getActiveSession,
+  revokeSession,
+  revokeByRefreshToken,
+  revokeAllSessions,
+  listSessions,
+  purgeSessions
+};
@@ -0,0 +1,40 @@
+// Matches {{variable}} placeholders, allowing whitespace inside the braces
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+// List the unique variable names used in a template
+function extractVariables(template) {
+  const variables = [];
+  for (const match of (template || '').matchAll(PLACEHOLDER_PATTERN)) {
+    if (!variables.includes(match[1])) {
+      variables.push(match[1]);
+    }
+  }
+  return variables;
+}
+
+// Variables are sent as a JSON object of name -> value; leaving them out is fine
+function isVariables(value) {
+  return value === undefined || (typeof value === 'object' && value !== null && !Array.isArray(value));
+}
+
+// Fill placeholders with the given values, leaving unknown ones in place
+function renderTemplate(template, variables = {}) {
+  const missing = [];
+
+  const content = (template || '').replace(PLACEHOLDER_PATTERN, (placeholder, name) => {
+    const value = variables[name];
+    if (value === undefined || value === null || value === '') {
+      if (!missing.includes(name)) missing.push(name);
+      return placeholder;
+    }
+    return String(value);
+  });
+
+  return { content, missing };
+}
+
+module.exports = {
+  extractVariables,
+  isVariables,
+  renderTemplate
+};
@@ -0,0 +1,145 @@
+// IANA time zone helpers built on Intl, so conversions follow the zone's DST rules.
+//
+// Times are stored in UTC. Clients may send times with an offset ("2030-03-10T09:00:00Z",
+// "...+02:00"), which are used as-is, or as local wall-clock times ("2030-03-10T09:00"),
+// which are read in the requester's zone.
+
+const DEFAULT_TIME_ZONE = 'UTC';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Date, optional time, optional offset (Z or +hh:mm); without an offset it is a wall-clock time
+const TIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d{1,3})\d*)?)?(Z|[+-]\d{2}:?\d{2})?)?$/i;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timeZone);
+}
+
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// A Date whose UTC fields hold the wall-clock time in `timeZone`
+function utcToWallClock(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    parts[type] = parseInt(value);
+  });
+
+  return new Date(Date.UTC(
+    parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second, date.getUTCMilliseconds()
+  ));
+}
+
+// Offset of `timeZone` from UTC at an instant, in milliseconds
+function offsetAt(instant, timeZone) {
+  return utcToWallClock(new Date(instant), timeZone).getTime() - instant;
+}
+
+// The instant a wall-clock time (the UTC fields of `wallClock`) happens in `timeZone`.
+// Times repeated when clocks go back resolve to the first of the two; times skipped when
+// clocks go forward are moved forward by the gap, as calendar apps do.
+function wallClockToUtc(wallClock, timeZone) {
+  const local = wallClock.getTime();
+  const before = offsetAt(local - DAY_MS, timeZone);
+  const after = offsetAt(local + DAY_MS, timeZone);
+
+  const matches = [local - before, local - after]
+    .filter(instant => offsetAt(instant, timeZone) === local - instant);
+
+  return new Date(matches.length > 0 ? Math.min(...matches) : local - before);
+}
+
+// ISO 8601 string for an instant in a zone, with its offset: 2030-03-10T09:00:00-04:00
+function formatInTimeZone(date, timeZone) {
+  const wallClock = utcToWallClock(date, timeZone);
+  const offset = Math.round((wallClock.getTime() - date.getTime()) / 60000);
+  const sign = offset < 0 ? '-' : '+';
+  const hours = String(Math.floor(Math.abs(offset) / 60)).padStart(2, '0');
+  const minutes = String(Math.abs(offset) % 60).padStart(2, '0');
+
+  return `${wallClock.toISOString().substring(0, 19)}${sign}${hours}:${minutes}`;
+}
+
+// Offset of "Z", "+02:00" or "-0530" in milliseconds, or null if out of range
+function parseOffset(offset) {
+  if (offset.toUpperCase() === 'Z') return 0;
+
+  const [, sign, hours, minutes] = /^([+-])(\d{2}):?(\d{2})$/.exec(offset);
+  if (parseInt(hours) > 23 || parseInt(minutes) > 59) return null;
+  return (sign === '-' ? -1 : 1) * (parseInt(hours) * 60 + parseInt(minutes)) * 60000;
+}
+
+// Parse a time from a request: an ISO 8601 string, read in `timeZone` when it has no offset.
+// Returns a Date, or null if the value isn't a valid time. Fields out of range (month 13,
+// February 31, 25:00) are rejected rather than rolled over into a date that wasn't asked for.
+function parseDateTime(value, timeZone = DEFAULT_TIME_ZONE) {
+  if (typeof value !== 'string') return null;
+
+  const match = TIME_PATTERN.exec(value.trim());
+  if (!match) return null;
+
+  const [, year, month, day, hour = 0, minute = 0, second = 0, millisecond = '0', offset] = match;
+  const fields = [year, month - 1, day, hour, minute, second].map(Number);
+  const wallClock = new Date(Date.UTC(...fields, millisecond.padEnd(3, '0')));
+
+  // Date.UTC rolls overflowing fields forward, so they only round-trip when in range
+  const roundTrip = [
+    wallClock.getUTCFullYear(), wallClock.getUTCMonth(), wallClock.getUTCDate(),
+    wallClock.getUTCHours(), wallClock.getUTCMinutes(), wallClock.getUTCSeconds()
+  ];
+  if (roundTrip.some((field, index) => field !== fields[index])) return null;
+
+  if (!offset) {
+    return wallClockToUtc(wallClock, timeZone);
+  }
+
+  const offsetMs = parseOffset(offset);
+  return offsetMs === null ? null : new Date(wallClock.getTime() - offsetMs);
+}
+
+// Parse a time written by the database. CURRENT_TIMESTAMP values ("2030-03-10 09:00:00")
+// are UTC but carry no zone.
+function parseStoredTime(value) {
+  if (!value) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(value) ? `${value.replace(' ', 'T')}Z` : value);
+  return isNaN(date) ? null : date;
+}
+
+// The zone a request works in: an explicit value from the body, then the X-Timezone header
+// or ?tz= query parameter, then the user's saved zone. Returns null if the chosen zone is invalid.
+function requestTimeZone(req, explicit) {
+  const timeZone = explicit || req.get('X-Timezone') || req.query.tz || req.user?.timezone || DEFAULT_TIME_ZONE;
+  return isValidTimeZone(timeZone) ? timeZone : null;
+}
+
+module.exports = {
+  DEFAULT_TIME_ZONE,
+  isValidTimeZone,
+  utcToWallClock,
+  wallClockToUtc,
+  formatInTimeZone,
+  parseDateTime,
+  parseStoredTime,
+  requestTimeZone
+};
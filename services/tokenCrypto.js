@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// Envelope encryption for social account tokens.
+//
+// Each value is encrypted with its own random data key (AES-256-GCM), and that data key is
+// wrapped with a master key from TOKEN_ENCRYPTION_KEYS. The variable holds a comma-separated
+// keyring of `<key-id>:<base64 32-byte key>` entries; the first entry encrypts new values and
+// the rest are kept so values written under older keys can still be read during rotation.
+//
+// Stored format: enc:v1:<key-id>:<wrap iv>.<wrap tag>.<wrapped key>:<iv>.<tag>.<ciphertext>
+
+const PREFIX = 'enc:v1:';
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring = null;
+let warnedPlaintext = false;
+
+// Parse the keyring from the environment
+function loadKeyring() {
+  if (keyring) return keyring;
+
+  const entries = (process.env.TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean);
+
+  const keys = entries.map(entry => {
+    const separator = entry.indexOf(':');
+    if (separator <= 0) {
+      throw new Error('TOKEN_ENCRYPTION_KEYS entries must look like <key-id>:<base64 key>');
+    }
+
+    const id = entry.substring(0, separator);
+    const key = Buffer.from(entry.substring(separator + 1), 'base64');
+    if (key.length !== 32) {
+      throw new Error(`Token encryption key "${id}" must be 32 bytes`);
+    }
+
+    return { id, key };
+  });
+
+  keyring = {
+    active: keys[0] || null,
+    byId: new Map(keys.map(k => [k.id, k.key]))
+  };
+
+  return keyring;
+}
+
+// AES-256-GCM helpers returning/accepting "<iv>.<tag>.<ciphertext>" in base64url
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext].map(b => b.toString('base64url')).join('.');
+}
+
+function open(key, sealed) {
+  const [iv, tag, ciphertext] = sealed.split('.').map(part => Buffer.from(part, 'base64url'));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(PREFIX);
+}
+
+// Encrypt a token for storage
+function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined) return plaintext;
+
+  const { active } = loadKeyring();
+  if (!active) {
+    if (process.env.NODE_ENV === 'production') {
+      throw new Error('TOKEN_ENCRYPTION_KEYS must be set in production');
+    }
+    if (!warnedPlaintext) {
+      console.warn('⚠️  TOKEN_ENCRYPTION_KEYS is not set - social account tokens are stored in plaintext');
+      warnedPlaintext = true;
+    }
+    return plaintext;
+  }
+
+  const dataKey = crypto.randomBytes(32);
+  const wrappedKey = seal(active.key, dataKey);
+  const payload = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return `${PREFIX}${active.id}:${wrappedKey}:${payload}`;
+}
+
+// Decrypt a stored token; values written before encryption was enabled pass through
+function decryptToken(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [keyId, wrappedKey, payload] = value.substring(PREFIX.length).split(':');
+  const masterKey = loadKeyring().byId.get(keyId);
+  if (!masterKey) {
+    throw new Error(`Token encryption key "${keyId}" is not configured`);
+  }
+
+  const dataKey = open(masterKey, wrappedKey);
+  return open(dataKey, payload).toString('utf8');
+}
+
+// True when a stored value is plaintext or was encrypted with a key other than the active one
+function needsReencryption(value) {
+  if (value === null || value === undefined) return false;
+
+  const { active } = loadKeyring();
+  if (!active) return false;
+  if (!isEncrypted(value)) return true;
+
+  return value.substring(PREFIX.length).split(':')[0] !== active.id;
+}
+
+// Return a social account row with its tokens decrypted
+function decryptAccount(account) {
+  if (!account) return account;
+
+  return {
+    ...account,
+    access_token: decryptToken(account.access_token),
+    refresh_token: decryptToken(account.refresh_token)
+  };
+}
+
+module.exports = {
+  encryptToken,
+  decryptToken,
+  decryptAccount,
+  needsReencryption,
+  isEncrypted
+};
@@ -0,0 +1,155 @@
+const db = require('../database/db');
+const { refreshAccessToken } = require('./oauth');
+const { encryptToken, decryptAccount } = require('./tokenCrypto');
+const { emitEvent } = require('./webhooks');
+
+// Refresh tokens this close to expiry before using them
+const PUBLISH_REFRESH_WINDOW_MS = 10 * 60 * 1000; // 10 minutes
+// The periodic sweep looks further ahead so publishing rarely has to wait on a refresh
+const SWEEP_REFRESH_WINDOW_MS = 60 * 60 * 1000; // 1 hour
+
+// Refreshes in flight, keyed by account id, so concurrent callers share one request
+const pendingRefreshes = new Map();
+
+// Check whether an account's token expires within the given window
+function isExpiringSoon(account, windowMs) {
+  if (!account.token_expires_at) return false;
+  return new Date(account.token_expires_at).getTime() - Date.now() <= windowMs;
+}
+
+// Network errors, timeouts, rate limits and provider outages: the same refresh may work
+// later. Anything else (invalid_grant, a revoked app, no refresh token) needs the user.
+function isTransientFailure(error) {
+  if (!error.response) {
+    // Sent but never answered; errors raised before sending have no request
+    return Boolean(error.request);
+  }
+  const status = error.response.status;
+  return status >= 500 || status === 408 || status === 429;
+}
+
+// Flag an account whose tokens can no longer be refreshed
+function markNeedsReauth(accountId, reason) {
+  const account = db.prepare(`
+    SELECT id, workspace_id, platform, account_name, account_id, connection_status FROM social_accounts WHERE id = ?
+  `).get(accountId);
+
+  db.prepare(`
+    UPDATE social_accounts
+    SET connection_status = 'needs_reauth', status_message = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(reason, accountId);
+
+  // Only announce the change once, not on every failed refresh
+  if (account && account.connection_status !== 'needs_reauth') {
+    const { connection_status, ...details } = account;
+    emitEvent(account.workspace_id, 'account.needs_reauth', {
+      account: { ...details, status_message: reason }
+    });
+  }
+}
+
+// Refresh an account's tokens and store the result (expects decrypted tokens). Throws when
+// the refresh failed for a transient reason; the account stays connected for the next try.
+async function refreshAccount(account) {
+  if (pendingRefreshes.has(account.id)) {
+    return pendingRefreshes.get(account.id);
+  }
+
+  const refresh = (async () => {
+    try {
+      const tokens = await refreshAccessToken(account.platform, account);
+
+      db.prepare(`
+        UPDATE social_accounts SET
+          access_token = ?,
+          refresh_token = COALESCE(?, refresh_token),
+          token_expires_at = ?,
+          connection_status = 'connected',
+          status_message = NULL,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(encryptToken(tokens.accessToken), encryptToken(tokens.refreshToken), tokens.expiresAt, account.id);
+
+      console.log(`[TokenManager] Refreshed ${account.platform} token for account ${account.id}`);
+
+      return decryptAccount(db.prepare('SELECT * FROM social_accounts WHERE id = ?').get(account.id));
+    } catch (error) {
+      const reason = error.response?.data?.error_description || error.response?.data?.error?.message || error.message;
+      console.error(`[TokenManager] Refresh failed for account ${account.id}:`, reason);
+
+      if (isTransientFailure(error)) {
+        throw error;
+      }
+
+      const message = `Token refresh failed: ${reason}`;
+      markNeedsReauth(account.id, message);
+
+      return { ...account, connection_status: 'needs_reauth', status_message: message };
+    } finally {
+      pendingRefreshes.delete(account.id);
+    }
+  })();
+
+  pendingRefreshes.set(account.id, refresh);
+  return refresh;
+}
+
+// Return the account with a token that is valid for at least the refresh window
+async function ensureFreshToken(account, windowMs = PUBLISH_REFRESH_WINDOW_MS) {
+  if (account.connection_status === 'needs_reauth') {
+    return account;
+  }
+
+  if (!isExpiringSoon(account, windowMs)) {
+    return account;
+  }
+
+  try {
+    return await refreshAccount(account);
+  } catch (error) {
+    // Transient failure: the current token may still work, and the next sweep tries again
+    return account;
+  }
+}
+
+// Refresh every active account whose token is about to expire
+async function refreshExpiringTokens() {
+  const cutoff = new Date(Date.now() + SWEEP_REFRESH_WINDOW_MS).toISOString();
+
+  const accounts = db.prepare(`
+    SELECT * FROM social_accounts
+    WHERE is_active = 1
+      AND connection_status = 'connected'
+      AND token_expires_at IS NOT NULL
+      AND token_expires_at <= ?
+  `).all(cutoff);
+
+  let refreshed = 0;
+  let failed = 0;
+  let retrying = 0;
+
+  for (const account of accounts) {
+    let result;
+    try {
+      result = await refreshAccount(decryptAccount(account));
+    } catch (error) {
+      retrying++;
+      continue;
+    }
+
+    if (result.connection_status === 'needs_reauth') {
+      failed++;
+    } else {
+      refreshed++;
+    }
+  }
+
+  return { checked: accounts.length, refreshed, failed, retrying };
+}
+
+module.exports = {
+  ensureFreshToken,
+  refreshExpiringTokens,
+  markNeedsReauth
+};
@@ -0,0 +1,263 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('../database/db');
+const { encryptToken, decryptToken } = require('./tokenCrypto');
+const { JWT_SECRET } = require('./sessions');
+
+// Time-based one-time passwords (RFC 6238) with recovery codes.
+//
+// Enrollment stores a new secret with two_factor_enabled_at still NULL; the secret only
+// takes effect once the user proves their authenticator app produces matching codes.
+// Secrets are encrypted like social account tokens.
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'SocialAI';
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1; // accept the previous and next code to allow for clock drift
+const RECOVERY_CODE_COUNT = 10;
+const CHALLENGE_TTL = '5m';
+const MAX_CHALLENGE_ATTEMPTS = 5;
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+// Failed code attempts per login challenge, so a challenge cannot be brute-forced
+const challengeAttempts = new Map();
+
+const hashCode = code => crypto.createHash('sha256').update(code).digest('hex');
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(text) {
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of text.replace(/=+$/, '').toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index < 0) throw new Error('Invalid base32 character');
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// HOTP value for a counter (RFC 4226)
+function hotp(secret, counter) {
+  const buffer = Buffer.alloc(8);
+  buffer.writeBigUInt64BE(BigInt(counter));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buffer).digest();
+  const offset = hmac[hmac.length - 1] & 15;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+
+  return String(code).padStart(DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / STEP_SECONDS);
+}
+
+// The time step a code belongs to within the drift window, or null if it does not match
+function matchStep(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d+$/.test(normalized) || normalized.length !== DIGITS) return null;
+
+  const step = currentStep();
+  for (let offset = -DRIFT_STEPS; offset <= DRIFT_STEPS; offset++) {
+    const candidate = hotp(secret, step + offset);
+    if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(normalized))) {
+      return step + offset;
+    }
+  }
+
+  return null;
+}
+
+function getUserTwoFactor(userId) {
+  return db.prepare(`
+    SELECT id, email, two_factor_secret, two_factor_enabled_at, two_factor_last_step
+    FROM users WHERE id = ?
+  `).get(userId);
+}
+
+// Start enrollment: store a fresh secret and return it with an otpauth:// provisioning URI
+// that authenticator apps read from a QR code
+function beginEnrollment(user) {
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  db.prepare(`
+    UPDATE users SET two_factor_secret = ?, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+    WHERE id = ?
+  `).run(encryptToken(secret), user.id);
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS)
+  });
+
+  return { secret, otpauthUrl: `otpauth://totp/${label}?${params}` };
+}
+
+// Check a TOTP code for a user, refusing a code that was already used
+function verifyCode(userId, code) {
+  const row = getUserTwoFactor(userId);
+  if (!row?.two_factor_secret) return false;
+
+  const step = matchStep(decryptToken(row.two_factor_secret), code);
+  if (step === null || (row.two_factor_last_step !== null && step <= row.two_factor_last_step)) {
+    return false;
+  }
+
+  db.prepare('UPDATE users SET two_factor_last_step = ? WHERE id = ?').run(step, userId);
+  return true;
+}
+
+// Replace a user's recovery codes; the raw codes are only returned here
+function generateRecoveryCodes(userId) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.substring(0, 5)}-${raw.substring(5)}`;
+  });
+
+  db.transaction(() => {
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+    const insert = db.prepare('INSERT INTO recovery_codes (user_id, code_hash) VALUES (?, ?)');
+    codes.forEach(code => insert.run(userId, hashCode(code)));
+  })();
+
+  return codes;
+}
+
+function useRecoveryCode(userId, code) {
+  const normalized = String(code || '').trim().toLowerCase();
+
+  return db.prepare(`
+    UPDATE recovery_codes SET used_at = CURRENT_TIMESTAMP
+    WHERE user_id = ? AND code_hash = ? AND used_at IS NULL
+  `).run(userId, hashCode(normalized)).changes > 0;
+}
+
+function countRecoveryCodes(userId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM recovery_codes WHERE user_id = ? AND used_at IS NULL
+  `).get(userId).count;
+}
+
+// Accept either a TOTP code or a recovery code
+function verifySecondFactor(userId, { code, recoveryCode }) {
+  if (recoveryCode) return useRecoveryCode(userId, recoveryCode);
+  return verifyCode(userId, code);
+}
+
+// Finish enrollment once the user enters a code from their app. Returns recovery codes, or null.
+function confirmEnrollment(userId, code) {
+  const row = getUserTwoFactor(userId);
+  if (!row?.two_factor_secret || row.two_factor_enabled_at) return null;
+  if (!verifyCode(userId, code)) return null;
+
+  db.prepare('UPDATE users SET two_factor_enabled_at = CURRENT_TIMESTAMP WHERE id = ?').run(userId);
+  return generateRecoveryCodes(userId);
+}
+
+function disable(userId) {
+  db.transaction(() => {
+    db.prepare(`
+      UPDATE users SET two_factor_secret = NULL, two_factor_enabled_at = NULL, two_factor_last_step = NULL
+      WHERE id = ?
+    `).run(userId);
+    db.prepare('DELETE FROM recovery_codes WHERE user_id = ?').run(userId);
+  })();
+}
+
+// Workspaces that will refuse the user until they enable 2FA
+function workspacesRequiringTwoFactor(userId) {
+  return db.prepare(`
+    SELECT w.id, w.name
+    FROM workspace_members m
+    JOIN workspaces w ON w.id = m.workspace_id
+    WHERE m.user_id = ? AND w.require_two_factor = 1
+    ORDER BY w.name
+  `).all(userId);
+}
+
+// Short-lived token proving the password step of a login succeeded. It carries no
+// session id, so authMiddleware never accepts it as an access token.
+function createChallenge(userId) {
+  return jwt.sign(
+    { userId, purpose: 'two_factor', jti: crypto.randomBytes(16).toString('hex') },
+    JWT_SECRET,
+    { expiresIn: CHALLENGE_TTL }
+  );
+}
+
+// Check a login challenge and the code sent with it. Returns { userId } or { error }.
+function completeChallenge(challengeToken, factors) {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, JWT_SECRET);
+  } catch (error) {
+    return { error: 'Login challenge is invalid or has expired' };
+  }
+
+  if (decoded.purpose !== 'two_factor') {
+    return { error: 'Login challenge is invalid or has expired' };
+  }
+
+  if (!challengeAttempts.has(decoded.jti)) {
+    // Forget the counter once the challenge has expired anyway
+    setTimeout(() => challengeAttempts.delete(decoded.jti), decoded.exp * 1000 - Date.now()).unref();
+  }
+
+  const attempts = challengeAttempts.get(decoded.jti) || 0;
+  if (attempts >= MAX_CHALLENGE_ATTEMPTS) {
+    return { error: 'Too many attempts, please log in again' };
+  }
+
+  if (!verifySecondFactor(decoded.userId, factors)) {
+    challengeAttempts.set(decoded.jti, attempts + 1);
+    return { error: 'Invalid authentication code' };
+  }
+
+  // A challenge can only be completed once
+  challengeAttempts.set(decoded.jti, MAX_CHALLENGE_ATTEMPTS);
+  return { userId: decoded.userId };
+}
+
+module.exports = {
+  beginEnrollment,
+  confirmEnrollment,
+  verifySecondFactor,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  disable,
+  workspacesRequiringTwoFactor,
+  createChallenge,
+  completeChallenge
+};
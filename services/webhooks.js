@@ -0,0 +1,335 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+const http = require('./httpClient');
+const { encryptToken, decryptToken } = require('./tokenCrypto');
+const { AddressError, publicLookup, assertPublicUrl } = require('./publicAddresses');
+
+// Outbound webhooks. Events are written to webhook_deliveries first and sent from there,
+// so a slow or failing endpoint never holds up publishing, and failed deliveries are
+// retried with backoff by the cron in server.js.
+//
+// Each request is signed so receivers can check it came from us:
+//   X-Webhook-Signature: t=<unix timestamp>,v1=<hex HMAC-SHA256 of "<timestamp>.<raw body>">
+// using the webhook's secret. Receivers should also reject old timestamps to stop replays.
+//
+// Endpoints must be on the public internet (see publicAddresses.js); redirects are not
+// followed, and only the start of each response is kept.
+
+const EVENTS = [
+  'post.scheduled',
+  'post.published',
+  'post.partial',
+  'post.failed',
+  'account.needs_reauth'
+];
+
+// Retry policy for deliveries
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+const BASE_RETRY_DELAY_MS = 60 * 1000; // 1 minute
+const MAX_RETRY_DELAY_MS = 6 * 60 * 60 * 1000; // 6 hours
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const SENDING_LEASE_MS = 5 * 60 * 1000; // deliveries stuck in 'sending' longer than this are retried
+const MAX_RESPONSE_BODY = 200;
+// Local development can point webhooks at private addresses
+const ALLOW_PRIVATE_URLS = process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+function getRetryDelay(attempts) {
+  const delay = BASE_RETRY_DELAY_MS * Math.pow(2, Math.max(0, attempts - 1));
+  return Math.min(delay, MAX_RETRY_DELAY_MS);
+}
+
+function generateSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('hex')}`;
+}
+
+function sign(secret, timestamp, body) {
+  const digest = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+function formatWebhook(row) {
+  return {
+    id: row.id,
+    url: row.url,
+    description: row.description,
+    events: JSON.parse(row.events),
+    is_active: Boolean(row.is_active),
+    created_by: row.user_id,
+    created_at: row.created_at,
+    updated_at: row.updated_at
+  };
+}
+
+function listWebhooks(workspaceId) {
+  return db.prepare('SELECT * FROM webhooks WHERE workspace_id = ? ORDER BY created_at DESC, id DESC')
+    .all(workspaceId)
+    .map(formatWebhook);
+}
+
+function getWebhook(workspaceId, webhookId) {
+  return db.prepare('SELECT * FROM webhooks WHERE id = ? AND workspace_id = ?').get(webhookId, workspaceId) || null;
+}
+
+// Why a webhook URL may not be used, or null. A host that doesn't resolve yet is let through;
+// every delivery checks it again.
+async function checkUrlAddress(url) {
+  if (ALLOW_PRIVATE_URLS) return null;
+
+  try {
+    await assertPublicUrl(url);
+    return null;
+  } catch (error) {
+    if (error instanceof AddressError) return error.message;
+    return null;
+  }
+}
+
+// Subscribe a URL to events; the secret is only returned here and by rotateSecret()
+function createWebhook(workspaceId, userId, { url, events, description }) {
+  const secret = generateSecret();
+
+  const result = db.prepare(`
+    INSERT INTO webhooks (workspace_id, user_id, url, description, events, secret)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(workspaceId, userId, url, description || null, JSON.stringify(events), encryptToken(secret));
+
+  return { id: result.lastInsertRowid, secret };
+}
+
+function rotateSecret(webhookId) {
+  const secret = generateSecret();
+
+  db.prepare('UPDATE webhooks SET secret = ?, updated_at = CURRENT_TIMESTAMP WHERE id = ?')
+    .run(encryptToken(secret), webhookId);
+
+  return secret;
+}
+
+function queueDelivery(webhookId, event, payload) {
+  return db.prepare(`
+    INSERT INTO webhook_deliveries (webhook_id, event, event_id, payload, status, next_attempt_at)
+    VALUES (?, ?, ?, ?, 'pending', ?)
+  `).run(webhookId, event, payload.id, JSON.stringify(payload), new Date().toISOString()).lastInsertRowid;
+}
+
+// Send queued deliveries right away rather than waiting for the next cron tick
+function dispatchSoon() {
+  setImmediate(() => {
+    processDueDeliveries().catch(error => console.error('Webhook delivery error:', error));
+  });
+}
+
+function buildPayload(workspaceId, event, data) {
+  return {
+    id: crypto.randomUUID(),
+    event,
+    created_at: new Date().toISOString(),
+    workspace_id: workspaceId,
+    data
+  };
+}
+
+// Queue an event for every active webhook in the workspace that subscribes to it
+function emitEvent(workspaceId, event, data) {
+  const webhooks = db.prepare('SELECT id, events FROM webhooks WHERE workspace_id = ? AND is_active = 1')
+    .all(workspaceId)
+    .filter(webhook => JSON.parse(webhook.events).includes(event));
+
+  if (webhooks.length === 0) return 0;
+
+  const payload = buildPayload(workspaceId, event, data);
+  webhooks.forEach(webhook => queueDelivery(webhook.id, event, payload));
+  dispatchSoon();
+
+  return webhooks.length;
+}
+
+// Post events carry a summary of the post, plus per-platform results when there are any
+function emitPostEvent(postId, event, extra = {}) {
+  const post = db.prepare(`
+    SELECT id, workspace_id, user_id, title, content, platforms, status, scheduled_at, published_at
+    FROM posts WHERE id = ?
+  `).get(postId);
+
+  if (!post) return 0;
+
+  return emitEvent(post.workspace_id, event, {
+    post: { ...post, platforms: JSON.parse(post.platforms || '[]') },
+    ...extra
+  });
+}
+
+// Events for the overall outcome of a publish attempt
+function emitPublishOutcome(postId, status, results) {
+  const event = `post.${status}`;
+  if (!EVENTS.includes(event)) return 0;
+  return emitPostEvent(postId, event, results ? { results } : {});
+}
+
+// Send a test event to one webhook
+function pingWebhook(webhook) {
+  const payload = buildPayload(webhook.workspace_id, 'ping', { webhook_id: webhook.id });
+  const deliveryId = queueDelivery(webhook.id, 'ping', payload);
+  dispatchSoon();
+
+  return deliveryId;
+}
+
+// Queue a fresh copy of an earlier delivery. The event id stays the same so receivers
+// can tell it is the same event.
+function redeliver(deliveryId) {
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ?').get(deliveryId);
+  const newId = queueDelivery(delivery.webhook_id, delivery.event, JSON.parse(delivery.payload));
+  dispatchSoon();
+
+  return newId;
+}
+
+async function sendDelivery(delivery, webhook) {
+  const timestamp = Math.floor(Date.now() / 1000);
+  const started = Date.now();
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+
+  try {
+    if (!ALLOW_PRIVATE_URLS) {
+      await assertPublicUrl(webhook.url);
+    }
+
+    const response = await http.post(webhook.url, delivery.payload, {
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'SocialAI-Webhooks/1.0',
+        'X-Webhook-Event': delivery.event,
+        'X-Webhook-Event-Id': delivery.event_id,
+        'X-Webhook-Delivery': String(delivery.id),
+        'X-Webhook-Signature': sign(decryptToken(webhook.secret), timestamp, delivery.payload)
+      },
+      timeout: REQUEST_TIMEOUT_MS,
+      // Re-checked as the connection is made, in case the name now points somewhere else
+      ...(ALLOW_PRIVATE_URLS ? {} : { lookup: publicLookup }),
+      // A redirect could point anywhere, so it counts as a failed delivery
+      maxRedirects: 0,
+      // Keep the body exactly as signed
+      transformRequest: [data => data],
+      validateStatus: () => true
+    });
+
+    responseStatus = response.status;
+    responseBody = typeof response.data === 'string' ? response.data : JSON.stringify(response.data ?? '');
+    if (response.status < 200 || response.status >= 300) {
+      error = `Endpoint responded with HTTP ${response.status}`;
+    }
+  } catch (requestError) {
+    error = requestError.message;
+  }
+
+  const attempts = delivery.attempts + 1;
+  const duration = Date.now() - started;
+  responseBody = responseBody ? responseBody.substring(0, MAX_RESPONSE_BODY) : null;
+
+  if (!error) {
+    db.prepare(`
+      UPDATE webhook_deliveries SET
+        status = 'delivered', attempts = ?, response_status = ?, response_body = ?, error = NULL,
+        duration_ms = ?, delivered_at = CURRENT_TIMESTAMP, next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = ?
+    `).run(attempts, responseStatus, responseBody, duration, delivery.id);
+
+    return 'delivered';
+  }
+
+  const dead = attempts >= MAX_ATTEMPTS;
+  const nextAttemptAt = dead ? null : new Date(Date.now() + getRetryDelay(attempts)).toISOString();
+
+  db.prepare(`
+    UPDATE webhook_deliveries SET
+      status = ?, attempts = ?, response_status = ?, response_body = ?, error = ?,
+      duration_ms = ?, next_attempt_at = ?, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ?
+  `).run(dead ? 'failed' : 'pending', attempts, responseStatus, responseBody, error, duration, nextAttemptAt, delivery.id);
+
+  return dead ? 'failed' : 'retrying';
+}
+
+// Send deliveries that are due, oldest first
+async function processDueDeliveries(limit = 20) {
+  const now = new Date();
+
+  // Release deliveries left in 'sending' by a crash
+  db.prepare(`
+    UPDATE webhook_deliveries SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+    WHERE status = 'sending' AND locked_until < ?
+  `).run(now.toISOString());
+
+  const due = db.prepare(`
+    SELECT d.* FROM webhook_deliveries d
+    JOIN webhooks w ON w.id = d.webhook_id
+    WHERE d.status = 'pending' AND d.next_attempt_at <= ? AND w.is_active = 1
+    ORDER BY d.next_attempt_at ASC, d.id ASC
+    LIMIT ?
+  `).all(now.toISOString(), limit);
+
+  const lockedUntil = new Date(now.getTime() + SENDING_LEASE_MS).toISOString();
+  const counts = { delivered: 0, retrying: 0, failed: 0 };
+
+  for (const delivery of due) {
+    const claimed = db.prepare(`
+      UPDATE webhook_deliveries SET status = 'sending', locked_until = ?
+      WHERE id = ? AND status = 'pending'
+    `).run(lockedUntil, delivery.id);
+
+    if (claimed.changes === 0) continue;
+
+    const webhook = db.prepare('SELECT * FROM webhooks WHERE id = ?').get(delivery.webhook_id);
+    counts[await sendDelivery(delivery, webhook)]++;
+  }
+
+  return counts;
+}
+
+function listDeliveries(webhookId, { status, limit = 50, offset = 0 } = {}) {
+  let query = `
+    SELECT id, event, event_id, status, attempts, response_status, error, duration_ms,
+           next_attempt_at, delivered_at, created_at, updated_at
+    FROM webhook_deliveries WHERE webhook_id = ?
+  `;
+  const params = [webhookId];
+
+  if (status) {
+    query += ' AND status = ?';
+    params.push(status);
+  }
+
+  query += ' ORDER BY created_at DESC, id DESC LIMIT ? OFFSET ?';
+  params.push(parseInt(limit), parseInt(offset));
+
+  return db.prepare(query).all(...params);
+}
+
+function getDelivery(webhookId, deliveryId) {
+  const delivery = db.prepare('SELECT * FROM webhook_deliveries WHERE id = ? AND webhook_id = ?')
+    .get(deliveryId, webhookId);
+
+  return delivery ? { ...delivery, payload: JSON.parse(delivery.payload) } : null;
+}
+
+module.exports = {
+  EVENTS,
+  listWebhooks,
+  getWebhook,
+  checkUrlAddress,
+  createWebhook,
+  rotateSecret,
+  formatWebhook,
+  emitEvent,
+  emitPostEvent,
+  emitPublishOutcome,
+  pingWebhook,
+  redeliver,
+  processDueDeliveries,
+  listDeliveries,
+  getDelivery
+};
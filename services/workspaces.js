@@ -0,0 +1,162 @@
+const crypto = require('crypto');
+const db = require('../database/db');
+
+// Roles from least to most privileged
+const ROLES = ['viewer', 'editor', 'admin', 'owner'];
+const INVITATION_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const hashToken = token => crypto.createHash('sha256').update(token).digest('hex');
+
+function roleRank(role) {
+  return ROLES.indexOf(role);
+}
+
+// True when `role` is at least as privileged as `minimumRole`
+function hasRole(role, minimumRole) {
+  return roleRank(role) >= 0 && roleRank(role) >= roleRank(minimumRole);
+}
+
+// Create a workspace with the given user as its owner
+function createWorkspace(name, ownerId) {
+  const result = db.prepare('INSERT INTO workspaces (name, owner_id) VALUES (?, ?)').run(name, ownerId);
+
+  db.prepare(`
+    INSERT INTO workspace_members (workspace_id, user_id, role)
+    VALUES (?, ?, 'owner')
+  `).run(result.lastInsertRowid, ownerId);
+
+  return result.lastInsertRowid;
+}
+
+// Get a user's membership in a workspace (null if they are not a member)
+function getMembership(workspaceId, userId) {
+  return db.prepare(`
+    SELECT w.id, w.name, w.owner_id, w.require_approval, w.require_two_factor, m.role
+    FROM workspace_members m
+    JOIN workspaces w ON w.id = m.workspace_id
+    WHERE m.workspace_id = ? AND m.user_id = ?
+  `).get(workspaceId, userId) || null;
+}
+
+// Pick the workspace a request acts on: the requested one, or the user's default.
+// Users without any workspace get a personal one so older accounts keep working.
+function resolveWorkspace(user, requestedId) {
+  if (requestedId) {
+    return getMembership(Number(requestedId), user.id);
+  }
+
+  const membership = db.prepare(`
+    SELECT w.id, w.name, w.owner_id, w.require_approval, w.require_two_factor, m.role
+    FROM workspace_members m
+    JOIN workspaces w ON w.id = m.workspace_id
+    WHERE m.user_id = ?
+    ORDER BY w.owner_id = m.user_id DESC, m.created_at, w.id
+    LIMIT 1
+  `).get(user.id);
+
+  if (membership) {
+    return membership;
+  }
+
+  const workspaceId = createWorkspace(user.company || `${user.name}'s Workspace`, user.id);
+  return getMembership(workspaceId, user.id);
+}
+
+// All workspaces a user belongs to
+function listWorkspaces(userId) {
+  return db.prepare(`
+    SELECT w.id, w.name, w.owner_id, w.require_approval, w.require_two_factor, m.role, w.created_at
+    FROM workspace_members m
+    JOIN workspaces w ON w.id = m.workspace_id
+    WHERE m.user_id = ?
+    ORDER BY w.name
+  `).all(userId);
+}
+
+function listMembers(workspaceId) {
+  return db.prepare(`
+    SELECT u.id, u.email, u.name, m.role, u.two_factor_enabled_at IS NOT NULL as two_factor_enabled,
+           m.created_at as joined_at
+    FROM workspace_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.workspace_id = ?
+    ORDER BY m.created_at
+  `).all(workspaceId);
+}
+
+function countOwners(workspaceId) {
+  return db.prepare(`
+    SELECT COUNT(*) as count FROM workspace_members WHERE workspace_id = ? AND role = 'owner'
+  `).get(workspaceId).count;
+}
+
+// Invite an email address to a workspace; the raw token is only returned here
+function createInvitation(workspaceId, email, role, invitedBy) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_MS).toISOString();
+
+  // A new invitation replaces any outstanding one for the same address
+  db.prepare(`
+    DELETE FROM workspace_invitations
+    WHERE workspace_id = ? AND email = ? AND accepted_at IS NULL
+  `).run(workspaceId, email.toLowerCase());
+
+  const result = db.prepare(`
+    INSERT INTO workspace_invitations (workspace_id, email, role, token_hash, invited_by, expires_at)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `).run(workspaceId, email.toLowerCase(), role, hashToken(token), invitedBy, expiresAt);
+
+  return { id: result.lastInsertRowid, token, expiresAt };
+}
+
+// Accept an invitation as the given user. Returns { membership } or { error }.
+function acceptInvitation(token, user) {
+  const invitation = db.prepare(`
+    SELECT * FROM workspace_invitations WHERE token_hash = ? AND accepted_at IS NULL
+  `).get(hashToken(String(token)));
+
+  if (!invitation || new Date(invitation.expires_at) < new Date()) {
+    return { error: 'Invitation is invalid or has expired' };
+  }
+
+  if (invitation.email !== user.email.toLowerCase()) {
+    return { error: 'Invitation was sent to a different email address' };
+  }
+
+  // Otherwise anyone could register with the invited address and take the invitation
+  if (!user.email_verified_at) {
+    return { error: 'Verify your email address before accepting invitations' };
+  }
+
+  db.transaction(() => {
+    const existing = getMembership(invitation.workspace_id, user.id);
+
+    if (!existing) {
+      db.prepare(`
+        INSERT INTO workspace_members (workspace_id, user_id, role)
+        VALUES (?, ?, ?)
+      `).run(invitation.workspace_id, user.id, invitation.role);
+    } else if (roleRank(invitation.role) > roleRank(existing.role)) {
+      db.prepare('UPDATE workspace_members SET role = ? WHERE workspace_id = ? AND user_id = ?')
+        .run(invitation.role, invitation.workspace_id, user.id);
+    }
+
+    db.prepare('UPDATE workspace_invitations SET accepted_at = CURRENT_TIMESTAMP WHERE id = ?')
+      .run(invitation.id);
+  })();
+
+  return { membership: getMembership(invitation.workspace_id, user.id) };
+}
+
+module.exports = {
+  ROLES,
+  hasRole,
+  createWorkspace,
+  getMembership,
+  resolveWorkspace,
+  listWorkspaces,
+  listMembers,
+  countOwners,
+  createInvitation,
+  acceptInvitation
+};
@@ -0,0 +1,4 @@
+const { adapterSuite } = require('./helpers/adapterSuite');
+
+// Needs a PostgreSQL server; the suite creates and drops its own tables in DATABASE_URL's database
+adapterSuite('postgres', { skip: !process.env.DATABASE_URL && 'DATABASE_URL is not set' });
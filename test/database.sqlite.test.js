@@ -0,0 +1,3 @@
+const { adapterSuite } = require('./helpers/adapterSuite');
+
+adapterSuite('sqlite');
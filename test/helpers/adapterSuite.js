@@ -0,0 +1,193 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./database');
+
+// Behaviour every database adapter must share, run through the db.js API the app uses.
+// Queries are written in SQLite's dialect, as everywhere else in the app.
+function adapterSuite(client, { skip = false } = {}) {
+  describe(`${client} adapter`, { skip }, () => {
+    let testDatabase;
+    let db;
+    let errors;
+
+    before(async () => {
+      testDatabase = useTestDatabase({ client });
+      db = await testDatabase.open({ migrate: false });
+      errors = db.errors;
+
+      db.exec('DROP TABLE IF EXISTS adapter_items');
+      db.exec('DROP TABLE IF EXISTS adapter_owners');
+      db.exec(`
+        CREATE TABLE adapter_owners (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL
+        )
+      `);
+      db.exec(`
+        CREATE TABLE adapter_items (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT UNIQUE NOT NULL,
+          owner_id INTEGER,
+          note TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (owner_id) REFERENCES adapter_owners(id)
+        )
+      `);
+    });
+
+    after(() => {
+      if (!db) return;
+      db.exec('DROP TABLE IF EXISTS adapter_items');
+      db.exec('DROP TABLE IF EXISTS adapter_owners');
+      testDatabase.close();
+    });
+
+    beforeEach(() => {
+      db.prepare('DELETE FROM adapter_items').run();
+    });
+
+    describe('parameters', () => {
+      it('binds positional and named parameters', () => {
+        db.prepare('INSERT INTO adapter_items (name, note) VALUES (?, ?)').run('positional', 'a');
+        db.prepare('INSERT INTO adapter_items (name, note) VALUES (@name, @note)').run({ name: 'named', note: 'b' });
+
+        assert.equal(db.prepare('SELECT note FROM adapter_items WHERE name = ?').get('positional').note, 'a');
+        assert.equal(db.prepare('SELECT note FROM adapter_items WHERE name = :name').get({ name: 'named' }).note, 'b');
+      });
+
+      it('binds undefined and missing named parameters as NULL', () => {
+        db.prepare('INSERT INTO adapter_items (name, note) VALUES (?, ?)').run('undefined', undefined);
+        db.prepare('INSERT INTO adapter_items (name, note) VALUES (@name, @note)').run({ name: 'missing' });
+
+        const notes = db.prepare('SELECT note FROM adapter_items ORDER BY id').all().map(row => row.note);
+        assert.deepEqual(notes, [null, null]);
+      });
+
+      it('leaves question marks in string literals alone', () => {
+        const row = db.prepare("SELECT 'why?' AS literal, ? AS bound").get('value');
+
+        assert.deepEqual({ ...row }, { literal: 'why?', bound: 'value' });
+      });
+
+      it('compares NULLs as equal with IS ?', () => {
+        db.prepare('INSERT INTO adapter_items (name, note) VALUES (?, ?)').run('no note', null);
+        db.prepare('INSERT INTO adapter_items (name, note) VALUES (?, ?)').run('note', 'x');
+
+        assert.equal(db.prepare('SELECT name FROM adapter_items WHERE note IS ?').get(null).name, 'no note');
+        assert.equal(db.prepare('SELECT name FROM adapter_items WHERE note IS NOT ?').get(null).name, 'note');
+      });
+
+      it('matches LIKE without regard to case', () => {
+        db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('Launch Day');
+
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM adapter_items WHERE name LIKE ?').get('%launch%').count, 1);
+      });
+
+      it('stores CURRENT_TIMESTAMP as UTC text', () => {
+        db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('timestamped');
+        const { created_at: createdAt } = db.prepare('SELECT created_at FROM adapter_items').get();
+
+        assert.match(createdAt, /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/);
+        assert.ok(Math.abs(new Date(`${createdAt}Z`) - Date.now()) < 60 * 1000);
+      });
+    });
+
+    describe('writes', () => {
+      it('returns the id of an inserted row', () => {
+        const first = db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('first');
+        const second = db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('second');
+
+        assert.ok(first.lastInsertRowid > 0);
+        assert.equal(Number(second.lastInsertRowid), Number(first.lastInsertRowid) + 1);
+        assert.equal(db.prepare('SELECT name FROM adapter_items WHERE id = ?').get(second.lastInsertRowid).name, 'second');
+      });
+
+      it('counts the rows a statement changed', () => {
+        db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('a');
+        db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('b');
+
+        assert.equal(db.prepare('UPDATE adapter_items SET note = ?').run('changed').changes, 2);
+        assert.equal(db.prepare('DELETE FROM adapter_items WHERE name = ?').run('nobody').changes, 0);
+      });
+    });
+
+    describe('transactions', () => {
+      it('commits when the function returns', () => {
+        const result = db.transaction(names => {
+          names.forEach(name => db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run(name));
+          return names.length;
+        })(['a', 'b']);
+
+        assert.equal(result, 2);
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM adapter_items').get().count, 2);
+      });
+
+      it('rolls back every statement when the function throws', () => {
+        const insertTwice = db.transaction(() => {
+          db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('kept?');
+          db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('kept?');
+        });
+
+        assert.throws(insertTwice, errors.ConstraintError);
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM adapter_items').get().count, 0);
+
+        // The connection is usable again afterwards
+        db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('after');
+        assert.equal(db.prepare('SELECT COUNT(*) AS count FROM adapter_items').get().count, 1);
+      });
+    });
+
+    describe('errors', () => {
+      it('reports a duplicate as a unique ConstraintError (409)', () => {
+        db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('taken');
+
+        assert.throws(
+          () => db.prepare('INSERT INTO adapter_items (name) VALUES (?)').run('taken'),
+          error => error instanceof errors.ConstraintError && error.constraint === 'unique' && error.status === 409
+        );
+      });
+
+      it('reports a missing value as a not_null ConstraintError (400)', () => {
+        assert.throws(
+          () => db.prepare('INSERT INTO adapter_items (note) VALUES (?)').run('no name'),
+          error => error instanceof errors.ConstraintError && error.constraint === 'not_null' && error.status === 400
+        );
+      });
+
+      it('reports a dangling reference as a foreign_key ConstraintError', () => {
+        assert.throws(
+          () => db.prepare('INSERT INTO adapter_items (name, owner_id) VALUES (?, ?)').run('orphan', 999),
+          error => error instanceof errors.ConstraintError && error.constraint === 'foreign_key'
+        );
+      });
+
+      it('reports broken SQL and unknown tables as QuerySyntaxError (500) with the statement', () => {
+        assert.throws(
+          () => db.prepare('SELEKT * FROM adapter_items').all(),
+          error => error instanceof errors.QuerySyntaxError && error.status === 500 && error.sql === 'SELEKT * FROM adapter_items'
+        );
+        assert.throws(() => db.prepare('SELECT * FROM no_such_table').all(), errors.QuerySyntaxError);
+      });
+
+      it('reports a value of the wrong type as InvalidValueError (400)', () => {
+        assert.throws(
+          () => db.prepare('INSERT INTO adapter_items (id, name) VALUES (?, ?)').run('not a number', 'typed'),
+          error => error instanceof errors.InvalidValueError && error.status === 400
+        );
+      });
+
+      it('keeps the driver error as the cause', () => {
+        try {
+          db.prepare('SELECT * FROM no_such_table').all();
+          assert.fail('expected an error');
+        } catch (error) {
+          assert.ok(error instanceof errors.DatabaseError);
+          assert.ok(error.cause);
+          assert.notEqual(error.cause, error);
+        }
+      });
+    });
+  });
+}
+
+module.exports = { adapterSuite };
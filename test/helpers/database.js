@@ -0,0 +1,35 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// node --test runs every test file in its own process, so each file gets a database of its
+// own. Call this before requiring anything that loads database/db.js: the adapter and the
+// SQLite path are read from the environment when it is first required.
+function useTestDatabase({ client = 'sqlite' } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'socialai-test-'));
+  process.env.DB_CLIENT = client;
+  process.env.DATABASE_PATH = path.join(dir, 'test.db');
+
+  let db = null;
+
+  return {
+    // Open the database, applying the migrations unless told not to
+    async open({ migrate = true } = {}) {
+      db = require('../../database/db');
+      await db.ensureReady();
+      if (migrate) {
+        require('../../database/migrator').migrate();
+      }
+      return db;
+    },
+
+    close() {
+      if (db) {
+        db.close();
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+}
+
+module.exports = { useTestDatabase };
@@ -0,0 +1,63 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useTestDatabase } = require('./helpers/database');
+
+const testDatabase = useTestDatabase();
+
+// A database the original init script built is at migration 1; the rest must upgrade it
+describe('migrating a database from the initial schema', () => {
+  let db;
+  let migrator;
+
+  before(async () => {
+    db = await testDatabase.open({ migrate: false });
+    migrator = require('../database/migrator');
+
+    migrator.migrate({ target: 1 });
+
+    db.prepare("INSERT INTO users (email, password, name, company) VALUES ('ann@example.com', 'x', 'Ann', NULL)").run();
+    db.prepare("INSERT INTO users (email, password, name, company) VALUES ('bob@example.com', 'x', 'Bob', 'Bobco')").run();
+    db.prepare("INSERT INTO brand_settings (user_id, brand_name) VALUES (2, 'Bobco')").run();
+    db.prepare("INSERT INTO social_accounts (user_id, platform, account_name) VALUES (1, 'twitter', '@ann')").run();
+    db.prepare("INSERT INTO posts (user_id, content, platforms) VALUES (2, 'Hello', '[\"twitter\"]')").run();
+
+    migrator.migrate();
+  });
+
+  after(() => {
+    testDatabase.close();
+  });
+
+  it('applies every later migration', () => {
+    assert.deepEqual(migrator.pendingMigrations(), []);
+  });
+
+  it('gives every user a personal workspace they own', () => {
+    const workspaces = db.prepare(`
+      SELECT w.name, w.owner_id, m.user_id, m.role FROM workspaces w
+      JOIN workspace_members m ON m.workspace_id = w.id
+      ORDER BY w.owner_id
+    `).all();
+
+    assert.deepEqual(workspaces.map(row => ({ ...row })), [
+      { name: "Ann's Workspace", owner_id: 1, user_id: 1, role: 'owner' },
+      { name: 'Bobco', owner_id: 2, user_id: 2, role: 'owner' }
+    ]);
+  });
+
+  it("moves each user's posts, accounts and brand settings into their workspace", () => {
+    const workspaceOf = userId => db.prepare('SELECT id FROM workspaces WHERE owner_id = ?').get(userId).id;
+
+    assert.equal(db.prepare('SELECT workspace_id FROM posts').get().workspace_id, workspaceOf(2));
+    assert.equal(db.prepare('SELECT workspace_id FROM brand_settings').get().workspace_id, workspaceOf(2));
+
+    const account = db.prepare('SELECT workspace_id, connection_status, timezone FROM social_accounts').get();
+    assert.deepEqual({ ...account }, { workspace_id: workspaceOf(1), connection_status: 'connected', timezone: null });
+  });
+
+  it('leaves existing users unverified, without two-factor, in UTC', () => {
+    const user = db.prepare('SELECT email_verified_at, two_factor_enabled_at, timezone FROM users WHERE id = 1').get();
+
+    assert.deepEqual({ ...user }, { email_verified_at: null, two_factor_enabled_at: null, timezone: 'UTC' });
+  });
+});
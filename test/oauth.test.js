@@ -0,0 +1,396 @@
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const jwt = require('jsonwebtoken');
+const { useTestDatabase } = require('./helpers/database');
+
+// The OAuth flow and token refresh against a mock provider on localhost, reached through the
+// <PLATFORM>_OAUTH_*_URL overrides. Read by services/sessions.js and tokenCrypto.js on load:
+process.env.JWT_SECRET = 'oauth-test-secret';
+process.env.TOKEN_ENCRYPTION_KEYS = `test:${crypto.randomBytes(32).toString('base64')}`;
+process.env.LINKEDIN_CLIENT_ID = 'linkedin-client';
+process.env.LINKEDIN_CLIENT_SECRET = 'linkedin-secret';
+process.env.TWITTER_CLIENT_ID = 'twitter-client';
+process.env.TWITTER_CLIENT_SECRET = 'twitter-secret';
+process.env.FACEBOOK_APP_ID = 'facebook-app';
+process.env.FACEBOOK_APP_SECRET = 'facebook-secret';
+
+const testDatabase = useTestDatabase();
+const REDIRECT_URI = 'http://localhost:3001/api/social/callback';
+
+// Token endpoint behaviour: codes and refresh tokens the mock provider accepts
+const AUTHORIZATION_CODE = 'valid-code';
+const REFRESH_TOKEN = 'refresh-1';
+// Refreshing this one finds the provider down
+const OUTAGE_REFRESH_TOKEN = 'refresh-during-outage';
+
+let db;
+let oauth;
+let tokenManager;
+let tokenCrypto;
+let provider;
+let userId;
+let workspaceId;
+
+// A mock OAuth provider. Every request is recorded so tests can check what was sent.
+function startProvider() {
+  const requests = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const url = new URL(req.url, 'http://localhost');
+      const form = Object.fromEntries(new URLSearchParams(body));
+      const query = Object.fromEntries(url.searchParams);
+      requests.push({ method: req.method, path: url.pathname, headers: req.headers, form, query });
+
+      const reply = (status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      if (url.pathname === '/token' && req.method === 'POST') {
+        if (form.grant_type === 'authorization_code' && form.code === AUTHORIZATION_CODE) {
+          return reply(200, { access_token: 'access-1', refresh_token: REFRESH_TOKEN, expires_in: 3600 });
+        }
+        if (form.grant_type === 'refresh_token' && form.refresh_token === REFRESH_TOKEN) {
+          // Providers may leave the refresh token out when it doesn't change
+          return reply(200, { access_token: 'access-2', expires_in: 7200 });
+        }
+        if (form.grant_type === 'refresh_token' && form.refresh_token === OUTAGE_REFRESH_TOKEN) {
+          return reply(503, { error: 'temporarily_unavailable' });
+        }
+        return reply(400, { error: 'invalid_grant', error_description: 'Refresh token revoked' });
+      }
+
+      if (url.pathname === '/token' && req.method === 'GET' && query.grant_type === 'fb_exchange_token') {
+        return reply(200, { access_token: `exchanged-${query.fb_exchange_token}`, expires_in: 5184000 });
+      }
+
+      // The Pages granted to the long-lived token, one with a linked Instagram business account
+      if (url.pathname === '/me/accounts' && req.headers.authorization === 'Bearer exchanged-access-1') {
+        return reply(200, {
+          data: [
+            { id: 'page-1', name: 'Brand Page', access_token: 'page-token-1', instagram_business_account: { id: 'ig-1', username: 'brand' } },
+            { id: 'page-2', name: 'Side Page', access_token: 'page-token-2' }
+          ]
+        });
+      }
+
+      if (url.pathname === '/twitter/me') {
+        return reply(200, { data: { id: 'tw-1', username: 'mockbird' } });
+      }
+
+      if (url.pathname === '/me') {
+        return reply(200, { sub: 'li-1', name: 'Mock Person' });
+      }
+
+      reply(404, { error: 'not_found' });
+    });
+  });
+
+  return new Promise(resolve => {
+    server.listen(0, '127.0.0.1', () => {
+      resolve({ server, requests, url: `http://127.0.0.1:${server.address().port}` });
+    });
+  });
+}
+
+function parseAuthorizationUrl(url) {
+  const parsed = new URL(url);
+  return { base: `${parsed.origin}${parsed.pathname}`, params: Object.fromEntries(parsed.searchParams) };
+}
+
+function flowFor(state) {
+  const { nonce } = jwt.decode(state);
+  return db.prepare('SELECT * FROM oauth_states WHERE nonce = ?').get(nonce);
+}
+
+function accountRow(platform) {
+  return db.prepare('SELECT * FROM social_accounts WHERE workspace_id = ? AND platform = ?').get(workspaceId, platform);
+}
+
+before(async () => {
+  provider = await startProvider();
+
+  for (const platform of ['LINKEDIN', 'TWITTER', 'FACEBOOK', 'INSTAGRAM']) {
+    process.env[`${platform}_OAUTH_AUTHORIZE_URL`] = `${provider.url}/authorize`;
+    process.env[`${platform}_OAUTH_TOKEN_URL`] = `${provider.url}/token`;
+    process.env[`${platform}_OAUTH_PROFILE_URL`] = `${provider.url}/me`;
+    process.env[`${platform}_OAUTH_ACCOUNTS_URL`] = `${provider.url}/me/accounts`;
+  }
+  process.env.TWITTER_OAUTH_PROFILE_URL = `${provider.url}/twitter/me`;
+
+  db = await testDatabase.open();
+  oauth = require('../services/oauth');
+  tokenManager = require('../services/tokenManager');
+  tokenCrypto = require('../services/tokenCrypto');
+
+  userId = db.prepare('INSERT INTO users (email, password, name) VALUES (?, ?, ?)').run('owner@example.com', 'x', 'Owner').lastInsertRowid;
+  workspaceId = db.prepare('INSERT INTO workspaces (name, owner_id) VALUES (?, ?)').run('Test', userId).lastInsertRowid;
+  db.prepare("INSERT INTO workspace_members (workspace_id, user_id, role) VALUES (?, ?, 'owner')").run(workspaceId, userId);
+});
+
+after(() => {
+  provider.server.close();
+  testDatabase.close();
+});
+
+beforeEach(() => {
+  provider.requests.length = 0;
+  db.prepare('DELETE FROM social_accounts').run();
+});
+
+describe('authorization URL', () => {
+  it('signs the state and remembers the flow for ten minutes', () => {
+    const { base, params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('linkedin', userId, workspaceId, REDIRECT_URI));
+
+    assert.equal(base, `${provider.url}/authorize`);
+    assert.equal(params.client_id, 'linkedin-client');
+    assert.equal(params.redirect_uri, REDIRECT_URI);
+    assert.equal(params.response_type, 'code');
+
+    const state = jwt.verify(params.state, process.env.JWT_SECRET);
+    assert.equal(state.userId, userId);
+    assert.equal(state.platform, 'linkedin');
+    assert.throws(() => jwt.verify(params.state, 'another-secret'));
+
+    const flow = flowFor(params.state);
+    assert.equal(flow.workspace_id, workspaceId);
+    assert.equal(flow.code_verifier, null);
+    const ttl = new Date(flow.expires_at) - Date.now();
+    assert.ok(ttl > 9 * 60 * 1000 && ttl <= 10 * 60 * 1000);
+
+    // Only PKCE providers get a challenge
+    assert.equal(params.code_challenge, undefined);
+  });
+
+  it('sends Twitter a S256 challenge of the stored PKCE verifier', () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('twitter', userId, workspaceId, REDIRECT_URI));
+    const flow = flowFor(params.state);
+
+    assert.match(flow.code_verifier, /^[\w-]{43}$/);
+    assert.equal(params.code_challenge_method, 'S256');
+    assert.equal(params.code_challenge, crypto.createHash('sha256').update(flow.code_verifier).digest('base64url'));
+  });
+});
+
+describe('completing authorization', () => {
+  it('exchanges the code and stores the tokens encrypted with their expiry', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('linkedin', userId, workspaceId, REDIRECT_URI));
+
+    const result = await oauth.completeAuthorization('linkedin', AUTHORIZATION_CODE, params.state);
+
+    assert.equal(result.workspaceId, workspaceId);
+    assert.equal(result.accounts.length, 1);
+    assert.deepEqual(result.accounts[0].profile, { id: 'li-1', name: 'Mock Person' });
+
+    const tokenRequest = provider.requests.find(request => request.path === '/token');
+    assert.deepEqual(tokenRequest.form, {
+      grant_type: 'authorization_code',
+      code: AUTHORIZATION_CODE,
+      redirect_uri: REDIRECT_URI,
+      client_id: 'linkedin-client',
+      client_secret: 'linkedin-secret'
+    });
+
+    const profileRequest = provider.requests.find(request => request.path === '/me');
+    assert.equal(profileRequest.headers.authorization, 'Bearer access-1');
+
+    const account = accountRow('linkedin');
+    assert.equal(account.id, Number(result.accounts[0].id));
+    assert.equal(account.account_id, 'li-1');
+    assert.ok(tokenCrypto.isEncrypted(account.access_token));
+    assert.ok(tokenCrypto.isEncrypted(account.refresh_token));
+    assert.equal(tokenCrypto.decryptToken(account.access_token), 'access-1');
+    assert.equal(tokenCrypto.decryptToken(account.refresh_token), REFRESH_TOKEN);
+    assert.ok(Math.abs(new Date(account.token_expires_at) - (Date.now() + 3600 * 1000)) < 60 * 1000);
+  });
+
+  it('sends Twitter the PKCE verifier and authenticates with HTTP Basic', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('twitter', userId, workspaceId, REDIRECT_URI));
+    const { code_verifier: verifier } = flowFor(params.state);
+
+    await oauth.completeAuthorization('twitter', AUTHORIZATION_CODE, params.state);
+
+    const tokenRequest = provider.requests.find(request => request.path === '/token');
+    assert.equal(tokenRequest.form.code_verifier, verifier);
+    assert.equal(crypto.createHash('sha256').update(tokenRequest.form.code_verifier).digest('base64url'), params.code_challenge);
+    assert.equal(tokenRequest.headers.authorization, `Basic ${Buffer.from('twitter-client:twitter-secret').toString('base64')}`);
+    assert.equal(tokenRequest.form.client_secret, undefined);
+
+    assert.equal(accountRow('twitter').account_name, '@mockbird');
+  });
+
+  it('accepts each state only once', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('linkedin', userId, workspaceId, REDIRECT_URI));
+
+    await oauth.completeAuthorization('linkedin', AUTHORIZATION_CODE, params.state);
+
+    await assert.rejects(oauth.completeAuthorization('linkedin', AUTHORIZATION_CODE, params.state), /already used or unknown/);
+  });
+
+  it('rejects a state that was tampered with or signed with another secret', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('linkedin', userId, workspaceId, REDIRECT_URI));
+    const { nonce } = jwt.decode(params.state);
+    const forged = jwt.sign({ userId, platform: 'linkedin', nonce }, 'another-secret');
+
+    await assert.rejects(oauth.completeAuthorization('linkedin', AUTHORIZATION_CODE, `${params.state}x`), /Invalid OAuth state/);
+    await assert.rejects(oauth.completeAuthorization('linkedin', AUTHORIZATION_CODE, forged), /Invalid OAuth state/);
+    assert.equal(provider.requests.length, 0);
+  });
+
+  it('rejects a state for another platform', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('linkedin', userId, workspaceId, REDIRECT_URI));
+
+    await assert.rejects(oauth.completeAuthorization('twitter', AUTHORIZATION_CODE, params.state), /does not match platform/);
+  });
+
+  it('rejects an expired state', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('linkedin', userId, workspaceId, REDIRECT_URI));
+    const { nonce } = jwt.decode(params.state);
+
+    // The signed state expires with the stored flow...
+    const expiredToken = jwt.sign({ userId, platform: 'linkedin', nonce }, process.env.JWT_SECRET, { expiresIn: -1 });
+    await assert.rejects(oauth.completeAuthorization('linkedin', AUTHORIZATION_CODE, expiredToken), /Invalid OAuth state/);
+
+    // ...and the stored flow is checked on its own
+    db.prepare('UPDATE oauth_states SET expires_at = ? WHERE nonce = ?').run(new Date(Date.now() - 1000).toISOString(), nonce);
+    await assert.rejects(oauth.completeAuthorization('linkedin', AUTHORIZATION_CODE, params.state), /OAuth state expired/);
+    assert.equal(provider.requests.length, 0);
+  });
+});
+
+describe('token refresh', () => {
+  // An account connected through the mock provider whose token is about to expire
+  async function connectExpiringAccount(platform, refreshToken = REFRESH_TOKEN) {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl(platform, userId, workspaceId, REDIRECT_URI));
+    const { accounts: [{ id: accountId }] } = await oauth.completeAuthorization(platform, AUTHORIZATION_CODE, params.state);
+
+    db.prepare('UPDATE social_accounts SET refresh_token = ?, token_expires_at = ? WHERE id = ?')
+      .run(tokenCrypto.encryptToken(refreshToken), new Date(Date.now() + 60 * 1000).toISOString(), accountId);
+    provider.requests.length = 0;
+
+    return tokenCrypto.decryptAccount(db.prepare('SELECT * FROM social_accounts WHERE id = ?').get(accountId));
+  }
+
+  it('refreshes a token about to expire and keeps the refresh token when none is returned', async () => {
+    const account = await connectExpiringAccount('linkedin');
+
+    const refreshed = await tokenManager.ensureFreshToken(account);
+
+    const tokenRequest = provider.requests.find(request => request.path === '/token');
+    assert.equal(tokenRequest.form.grant_type, 'refresh_token');
+    assert.equal(tokenRequest.form.refresh_token, REFRESH_TOKEN);
+
+    assert.equal(refreshed.access_token, 'access-2');
+    assert.equal(refreshed.refresh_token, REFRESH_TOKEN);
+    assert.equal(refreshed.connection_status, 'connected');
+
+    const stored = accountRow('linkedin');
+    assert.equal(tokenCrypto.decryptToken(stored.access_token), 'access-2');
+    assert.ok(tokenCrypto.isEncrypted(stored.access_token));
+    assert.ok(Math.abs(new Date(stored.token_expires_at) - (Date.now() + 7200 * 1000)) < 60 * 1000);
+  });
+
+  it('leaves a token that is not about to expire alone', async () => {
+    const account = await connectExpiringAccount('linkedin');
+
+    const unchanged = await tokenManager.ensureFreshToken({ ...account, token_expires_at: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString() });
+
+    assert.equal(unchanged.access_token, 'access-1');
+    assert.equal(provider.requests.length, 0);
+  });
+
+  it('flags the account for reauthorization when the provider refuses the refresh', async () => {
+    const account = await connectExpiringAccount('linkedin', 'revoked-token');
+
+    const result = await tokenManager.ensureFreshToken(account);
+
+    assert.equal(result.connection_status, 'needs_reauth');
+    const stored = accountRow('linkedin');
+    assert.equal(stored.connection_status, 'needs_reauth');
+    assert.match(stored.status_message, /Refresh token revoked/);
+  });
+
+  it('keeps the account connected when the provider is down, and the sweep retries it', async () => {
+    const account = await connectExpiringAccount('linkedin', OUTAGE_REFRESH_TOKEN);
+
+    const result = await tokenManager.ensureFreshToken(account);
+
+    assert.equal(result.access_token, 'access-1');
+    assert.equal(accountRow('linkedin').connection_status, 'connected');
+    assert.equal(accountRow('linkedin').status_message, null);
+
+    const sweep = await tokenManager.refreshExpiringTokens();
+    assert.deepEqual(sweep, { checked: 1, refreshed: 0, failed: 0, retrying: 1 });
+    assert.equal(accountRow('linkedin').connection_status, 'connected');
+  });
+
+  it('keeps the account connected when the provider cannot be reached', async () => {
+    const account = await connectExpiringAccount('linkedin');
+
+    // A port nothing listens on any more
+    const closed = http.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const { port } = closed.address();
+    await new Promise(resolve => closed.close(resolve));
+
+    process.env.LINKEDIN_OAUTH_TOKEN_URL = `http://127.0.0.1:${port}/token`;
+    try {
+      const result = await tokenManager.ensureFreshToken(account);
+      assert.equal(result.connection_status, 'connected');
+    } finally {
+      process.env.LINKEDIN_OAUTH_TOKEN_URL = `${provider.url}/token`;
+    }
+
+    assert.equal(accountRow('linkedin').connection_status, 'connected');
+  });
+
+});
+
+describe('Facebook and Instagram', () => {
+  it('connects every granted Page with its own token, fetched with a long-lived user token', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('facebook', userId, workspaceId, REDIRECT_URI));
+    assert.match(params.scope, /pages_manage_posts/);
+
+    const result = await oauth.completeAuthorization('facebook', AUTHORIZATION_CODE, params.state);
+
+    const exchange = provider.requests.find(request => request.path === '/token' && request.method === 'GET');
+    assert.deepEqual(exchange.query, {
+      grant_type: 'fb_exchange_token',
+      client_id: 'facebook-app',
+      client_secret: 'facebook-secret',
+      fb_exchange_token: 'access-1'
+    });
+
+    assert.deepEqual(result.accounts.map(account => account.profile), [
+      { id: 'page-1', name: 'Brand Page' },
+      { id: 'page-2', name: 'Side Page' }
+    ]);
+
+    const pages = db.prepare("SELECT * FROM social_accounts WHERE platform = 'facebook' ORDER BY account_id").all();
+    assert.deepEqual(pages.map(page => tokenCrypto.decryptToken(page.access_token)), ['page-token-1', 'page-token-2']);
+    // Page tokens from a long-lived user token don't expire
+    assert.ok(pages.every(page => page.token_expires_at === null && page.refresh_token === null));
+  });
+
+  it('connects the Instagram business accounts linked to the granted Pages', async () => {
+    const { params } = parseAuthorizationUrl(oauth.createAuthorizationUrl('instagram', userId, workspaceId, REDIRECT_URI));
+    assert.deepEqual(params.scope.split(',').sort(), ['instagram_basic', 'instagram_content_publish', 'pages_read_engagement', 'pages_show_list']);
+    // Instagram uses the Facebook app unless it has one of its own
+    assert.equal(params.client_id, 'facebook-app');
+
+    const result = await oauth.completeAuthorization('instagram', AUTHORIZATION_CODE, params.state);
+
+    assert.deepEqual(result.accounts.map(account => account.profile), [{ id: 'ig-1', name: '@brand' }]);
+    assert.equal(tokenCrypto.decryptToken(accountRow('instagram').access_token), 'page-token-1');
+  });
+
+  it('asks for reconnection instead of refreshing a Page token', async () => {
+    await assert.rejects(oauth.refreshAccessToken('facebook', { access_token: 'page-token-1' }), /reconnect the account/);
+    assert.equal(provider.requests.length, 0);
+  });
+});
@@ -0,0 +1,314 @@
+const { describe, it, before, after, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('../services/httpClient');
+
+// Media uploads, Instagram containers and Twitter threads against a fake HTTP transport.
+// The platform clients only call the real APIs when these are set:
+process.env.TWITTER_BEARER_TOKEN = 'twitter-bearer';
+process.env.INSTAGRAM_APP_ID = 'instagram-app';
+
+const {
+  uploadTwitterMedia,
+  waitForInstagramContainer
+} = require('../services/mediaUpload');
+const { platformClients } = require('../services/publisher');
+
+const TWITTER_UPLOAD_URL = 'https://upload.twitter.com/1.1/media/upload.json';
+const TWEETS_URL = 'https://api.twitter.com/2/tweets';
+const GRAPH_URL = 'https://graph.facebook.com/v18.0';
+
+const twitterAccount = { account_name: '@demo', account_id: 'tw-1', access_token: 'tw-token' };
+const instagramAccount = { account_name: 'demo', account_id: 'ig-1', access_token: 'page-token' };
+
+// Route every request to `handler(config)` and record it. The handler returns the response
+// body, or throws to fail the request the way axios does.
+function useTransport(handler) {
+  const requests = [];
+  http.setTransport(async config => {
+    requests.push(config);
+    return { status: 200, headers: {}, data: await handler(config) };
+  });
+  return requests;
+}
+
+function httpError(status, data = {}) {
+  return Object.assign(new Error(`Request failed with status code ${status}`), {
+    request: {},
+    response: { status, data }
+  });
+}
+
+// The media upload command a request carries: form-encoded, multipart or a query parameter
+function twitterCommand(config) {
+  if (config.params) return config.params.command;
+  if (config.data instanceof FormData) return config.data.get('command');
+  return new URLSearchParams(config.data).get('command');
+}
+
+// Run `fn` with timers mocked, advancing them whenever it is waiting, so polling loops
+// finish at once
+async function withoutWaiting(fn) {
+  let settled = false;
+  const outcome = fn().then(value => ({ value }), error => ({ error }));
+  outcome.then(() => { settled = true; });
+
+  while (!settled) {
+    await new Promise(resolve => setImmediate(resolve));
+    mock.timers.tick(5000);
+  }
+
+  const { value, error } = await outcome;
+  if (error) throw error;
+  return value;
+}
+
+before(() => {
+  mock.timers.enable({ apis: ['setTimeout'] });
+});
+
+after(() => {
+  mock.timers.reset();
+});
+
+afterEach(() => {
+  http.resetTransport();
+});
+
+describe('Twitter chunked media upload', () => {
+  const video = {
+    filename: 'clip.mp4',
+    mimeType: 'video/mp4',
+    buffer: Buffer.alloc(5 * 1024 * 1024),
+    size: 5 * 1024 * 1024,
+    isVideo: true
+  };
+
+  it('sends INIT, an APPEND per 4MB chunk and FINALIZE, then polls until processed', async () => {
+    let polls = 0;
+    const requests = useTransport(config => {
+      switch (twitterCommand(config)) {
+        case 'INIT':
+          return { media_id_string: 'media-1' };
+        case 'FINALIZE':
+          return { processing_info: { state: 'pending', check_after_secs: 1 } };
+        case 'STATUS':
+          polls++;
+          return { processing_info: { state: polls < 2 ? 'in_progress' : 'succeeded' } };
+        default:
+          return {};
+      }
+    });
+
+    const mediaId = await withoutWaiting(() => uploadTwitterMedia(twitterAccount, video));
+
+    assert.equal(mediaId, 'media-1');
+    assert.deepEqual(requests.map(twitterCommand), ['INIT', 'APPEND', 'APPEND', 'FINALIZE', 'STATUS', 'STATUS']);
+    assert.ok(requests.every(config => config.url === TWITTER_UPLOAD_URL));
+    assert.ok(requests.every(config => config.headers.Authorization === 'Bearer tw-token'));
+
+    const init = new URLSearchParams(requests[0].data);
+    assert.equal(init.get('total_bytes'), String(video.size));
+    assert.equal(init.get('media_category'), 'tweet_video');
+
+    const appends = requests.filter(config => twitterCommand(config) === 'APPEND');
+    assert.deepEqual(appends.map(config => config.data.get('segment_index')), ['0', '1']);
+    assert.deepEqual(appends.map(config => config.data.get('media').size), [4 * 1024 * 1024, 1024 * 1024]);
+    assert.ok(appends.every(config => config.data.get('media_id') === 'media-1'));
+  });
+
+  it('fails with the reason Twitter gives when processing fails', async () => {
+    useTransport(config => {
+      switch (twitterCommand(config)) {
+        case 'INIT':
+          return { media_id_string: 'media-2' };
+        case 'FINALIZE':
+          return { processing_info: { state: 'in_progress', check_after_secs: 1 } };
+        case 'STATUS':
+          return { processing_info: { state: 'failed', error: { message: 'Unsupported codec' } } };
+        default:
+          return {};
+      }
+    });
+
+    await assert.rejects(withoutWaiting(() => uploadTwitterMedia(twitterAccount, video)), /Unsupported codec/);
+  });
+
+  it('stops at the first failed request', async () => {
+    const requests = useTransport(config => {
+      if (twitterCommand(config) === 'APPEND') throw httpError(400, { error: 'bad segment' });
+      return { media_id_string: 'media-3' };
+    });
+
+    await assert.rejects(uploadTwitterMedia(twitterAccount, video), /status code 400/);
+    assert.deepEqual(requests.map(twitterCommand), ['INIT', 'APPEND']);
+  });
+});
+
+describe('Instagram containers', () => {
+  // A Graph API fake: creating a container hands out the next id, and a container reports
+  // IN_PROGRESS once before `finalStatus(id)` (FINISHED unless overridden)
+  function graphApi({ finalStatus = () => 'FINISHED' } = {}) {
+    let nextId = 1;
+    const polled = new Set();
+
+    return useTransport(config => {
+      if (config.method === 'post' && config.url === `${GRAPH_URL}/ig-1/media`) {
+        return { id: `container-${nextId++}` };
+      }
+      if (config.method === 'post' && config.url === `${GRAPH_URL}/ig-1/media_publish`) {
+        return { id: `ig-post-${config.data.creation_id}` };
+      }
+      if (config.method === 'get') {
+        const id = config.url.slice(GRAPH_URL.length + 1);
+        if (!polled.has(id)) {
+          polled.add(id);
+          return { status_code: 'IN_PROGRESS' };
+        }
+        return { status_code: finalStatus(id), status: 'Error: video too short' };
+      }
+      throw httpError(404);
+    });
+  }
+
+  const describeRequest = config => config.method === 'get'
+    ? `GET ${config.url.slice(GRAPH_URL.length + 1)}`
+    : `POST ${config.url.slice(GRAPH_URL.length + 1)}`;
+
+  it('posts a carousel: a container per item, then the carousel container, then publishes it', async () => {
+    const requests = graphApi();
+
+    const result = await withoutWaiting(() => platformClients.instagram.post(
+      instagramAccount,
+      'Two things',
+      ['https://cdn.example.com/a.jpg', 'https://cdn.example.com/b.mp4']
+    ));
+
+    assert.deepEqual(result, { success: true, postId: 'ig-post-container-3', mediaType: 'CAROUSEL' });
+    assert.deepEqual(requests.map(describeRequest), [
+      'POST ig-1/media',
+      'POST ig-1/media',
+      'GET container-2',
+      'GET container-2',
+      'POST ig-1/media',
+      'GET container-3',
+      'GET container-3',
+      'POST ig-1/media_publish'
+    ]);
+
+    const [image, video, , , carousel] = requests;
+    assert.deepEqual(image.data, {
+      image_url: 'https://cdn.example.com/a.jpg',
+      is_carousel_item: true,
+      access_token: 'page-token'
+    });
+    assert.equal(video.data.media_type, 'VIDEO');
+    assert.equal(video.data.video_url, 'https://cdn.example.com/b.mp4');
+    assert.deepEqual(carousel.data, {
+      media_type: 'CAROUSEL',
+      children: 'container-1,container-2',
+      caption: 'Two things',
+      access_token: 'page-token'
+    });
+    assert.equal(requests[7].data.creation_id, 'container-3');
+  });
+
+  it('posts a single video as a Reel once it has been processed', async () => {
+    const requests = graphApi();
+
+    const result = await withoutWaiting(() => platformClients.instagram.post(
+      instagramAccount,
+      'Watch this',
+      ['https://cdn.example.com/reel.mp4']
+    ));
+
+    assert.equal(result.mediaType, 'REELS');
+    assert.deepEqual(requests.map(describeRequest), [
+      'POST ig-1/media',
+      'GET container-1',
+      'GET container-1',
+      'POST ig-1/media_publish'
+    ]);
+    assert.equal(requests[0].data.media_type, 'REELS');
+    assert.equal(requests[0].data.caption, 'Watch this');
+  });
+
+  it('does not publish a Reel Instagram failed to process', async () => {
+    const requests = graphApi({ finalStatus: () => 'ERROR' });
+
+    await assert.rejects(
+      withoutWaiting(() => platformClients.instagram.post(instagramAccount, 'Watch this', ['https://cdn.example.com/reel.mp4'])),
+      /container error: Error: video too short/
+    );
+    assert.ok(!requests.some(config => config.url.endsWith('/media_publish')));
+  });
+
+  it('gives up on a container that never finishes', async () => {
+    const requests = useTransport(() => ({ status_code: 'IN_PROGRESS' }));
+
+    await assert.rejects(
+      withoutWaiting(() => waitForInstagramContainer(instagramAccount, 'container-9')),
+      /Timed out waiting for Instagram/
+    );
+    assert.equal(requests.length, 30);
+    assert.deepEqual(requests[0].params, { fields: 'status_code,status', access_token: 'page-token' });
+  });
+});
+
+describe('Twitter threads', () => {
+  // Three tweets' worth of sentences
+  const content = Array.from({ length: 9 }, (_, i) => `Sentence number ${i + 1} of a long announcement that keeps going for a while.`).join(' ');
+
+  let failAt;
+  let requests;
+
+  beforeEach(() => {
+    failAt = null;
+    let tweetId = 100;
+    requests = useTransport(config => {
+      assert.equal(config.url, TWEETS_URL);
+      if (requests.length === failAt) throw httpError(503, { title: 'Service Unavailable' });
+      return { data: { id: String(tweetId++) } };
+    });
+  });
+
+  it('posts each part as a reply to the one before', async () => {
+    const result = await platformClients.twitter.post(twitterAccount, content);
+
+    assert.equal(result.success, true);
+    assert.equal(requests.length, 3);
+    assert.deepEqual(result.threadIds, ['100', '101', '102']);
+    assert.equal(result.postId, '100');
+
+    assert.equal(requests[0].data.reply, undefined);
+    assert.deepEqual(requests.slice(1).map(config => config.data.reply.in_reply_to_tweet_id), ['100', '101']);
+    assert.ok(requests.every(config => config.data.text.length <= 280));
+    assert.deepEqual(requests.map(config => config.data.text.slice(-3)), ['1/3', '2/3', '3/3']);
+  });
+
+  it('reports how far a broken thread got, and a retry continues from there', async () => {
+    failAt = 2;
+
+    const partial = await platformClients.twitter.post(twitterAccount, content);
+
+    assert.equal(partial.success, false);
+    assert.match(partial.error, /Thread stopped at tweet 2\/3/);
+    assert.deepEqual(partial.threadIds, ['100']);
+
+    failAt = null;
+    requests.length = 0;
+
+    const resumed = await platformClients.twitter.post(twitterAccount, content, [], { threadIds: partial.threadIds });
+
+    assert.equal(resumed.success, true);
+    assert.deepEqual(resumed.threadIds, ['100', '101', '102']);
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0].data.reply.in_reply_to_tweet_id, '100');
+    assert.match(requests[0].data.text, /2\/3$/);
+  });
+
+  it('fails outright when the first tweet is rejected', async () => {
+    failAt = 1;
+
+    await assert.rejects(platformClients.twitter.post(twitterAccount, content), /status code 503/);
+  });
+});